@@ -18,6 +18,7 @@ module.exports = [
         require: 'readonly',
         exports: 'readonly',
         global: 'readonly',
+        FormData: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
         setInterval: 'readonly',
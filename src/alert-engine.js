@@ -0,0 +1,200 @@
+const { isMarketOpen } = require('./market-time');
+
+// Background polling engine for user price alerts.
+//
+// Every poll loads all active alerts, groups them by symbol and fetches
+// each symbol once, so a hundred users watching TCS cost a single API call.
+// One-shot alerts close after firing; re-arming alerts stay active and
+// are suppressed for the cooldown period after each notification.
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const FETCH_BATCH_SIZE = 5;
+
+class AlertEngine {
+  constructor({
+    userManager,
+    fetchStockData,
+    sendMessage,
+    pollIntervalMs = parseInt(process.env.ALERT_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS,
+    cooldownMinutes = parseInt(process.env.ALERT_COOLDOWN_MINUTES) || DEFAULT_COOLDOWN_MINUTES,
+    marketHoursOnly = process.env.ALERT_MARKET_HOURS_ONLY !== 'false',
+  }) {
+    this.userManager = userManager;
+    this.fetchStockData = fetchStockData;
+    this.sendMessage = sendMessage;
+    this.pollIntervalMs = pollIntervalMs;
+    this.cooldownMinutes = cooldownMinutes;
+    this.marketHoursOnly = marketHoursOnly;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`🔔 Alert engine polling every ${Math.round(this.pollIntervalMs / 1000)}s${this.marketHoursOnly ? ' during market hours' : ''}`);
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Check every active alert once; returns the number of alerts fired
+  async poll(now = new Date()) {
+    if (this.polling) return 0;
+    if (this.marketHoursOnly && !isMarketOpen(now)) return 0;
+
+    this.polling = true;
+    let fired = 0;
+
+    try {
+      const alerts = await this.userManager.getActiveAlerts();
+      if (alerts.length === 0) return 0;
+
+      // Group alerts by symbol so each stock is fetched once per poll
+      const alertsBySymbol = new Map();
+      alerts.forEach(alert => {
+        if (!alertsBySymbol.has(alert.symbol)) {
+          alertsBySymbol.set(alert.symbol, []);
+        }
+        alertsBySymbol.get(alert.symbol).push(alert);
+      });
+
+      const symbols = [...alertsBySymbol.keys()];
+      console.log(`🔔 Checking ${alerts.length} alert(s) across ${symbols.length} stock(s)`);
+
+      for (let i = 0; i < symbols.length; i += FETCH_BATCH_SIZE) {
+        const batch = symbols.slice(i, i + FETCH_BATCH_SIZE);
+        const results = await Promise.all(batch.map(symbol => this.fetchStockData(symbol)));
+
+        for (let j = 0; j < batch.length; j++) {
+          const stockData = results[j];
+          if (!stockData || !stockData.success) {
+            console.log(`⚠️ Alert check skipped for ${batch[j]}: data not available`);
+            continue;
+          }
+
+          for (const alert of alertsBySymbol.get(batch[j])) {
+            if (this.shouldFire(alert, stockData, now)) {
+              if (await this.fireAlert(alert, stockData)) {
+                fired += 1;
+              }
+            }
+          }
+        }
+      }
+
+      return fired;
+    } catch (error) {
+      console.error('❌ Error polling alerts:', error);
+      return fired;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Whether the alert condition holds and the alert is not cooling down
+  shouldFire(alert, stockData, now = new Date()) {
+    if (alert.rearm && alert.last_triggered_at) {
+      const lastTriggered = new Date(alert.last_triggered_at.replace(' ', 'T') + 'Z');
+      if (now - lastTriggered < this.cooldownMinutes * 60 * 1000) {
+        return false;
+      }
+    }
+
+    return isConditionMet(alert, stockData);
+  }
+
+  // Notify the user; the alert is marked first so a crash cannot double-send
+  async fireAlert(alert, stockData) {
+    const keepActive = Boolean(alert.rearm);
+    await this.userManager.markAlertTriggered(alert.id, keepActive);
+
+    const message = formatAlertMessage(alert, stockData, alert.language_preference, this.cooldownMinutes);
+    const response = await this.sendMessage(message, alert.phone_number);
+
+    if (!response) {
+      console.error(`❌ Alert #${alert.id} notification failed, re-activating`);
+      await this.userManager.restoreAlert(alert.id, alert.last_triggered_at);
+      return false;
+    }
+
+    console.log(`🔔 Alert #${alert.id} fired for ${alert.phone_number}: ${alert.symbol} ${alert.condition} ${alert.threshold}`);
+    return true;
+  }
+}
+
+function isConditionMet(alert, stockData) {
+  const price = parseFloat(stockData.currentPrice);
+  const change = parseFloat(stockData.percentChange) || 0;
+
+  if (alert.condition === 'above') {
+    return Boolean(price) && price >= alert.threshold;
+  }
+  if (alert.condition === 'below') {
+    return Boolean(price) && price <= alert.threshold;
+  }
+  if (alert.condition === 'move') {
+    return Math.abs(change) >= alert.threshold;
+  }
+  return false;
+}
+
+// Short description of an alert condition, e.g. "above ₹4200" or "move ±5%"
+function describeAlertCondition(alert, language) {
+  if (alert.condition === 'above') {
+    return language === 'english'
+      ? `above ₹${alert.threshold}`
+      : language === 'hindi'
+        ? `₹${alert.threshold} से ऊपर`
+        : `₹${alert.threshold} થી ઉપર`;
+  }
+  if (alert.condition === 'below') {
+    return language === 'english'
+      ? `below ₹${alert.threshold}`
+      : language === 'hindi'
+        ? `₹${alert.threshold} से नीचे`
+        : `₹${alert.threshold} થી નીચે`;
+  }
+  return language === 'english'
+    ? `moves ±${alert.threshold}% in a day`
+    : language === 'hindi'
+      ? `एक दिन में ±${alert.threshold}% बदलाव`
+      : `એક દિવસમાં ±${alert.threshold}% ફેરફાર`;
+}
+
+function formatAlertMessage(alert, stockData, language, cooldownMinutes) {
+  const name = stockData.companyName || alert.symbol;
+  const change = parseFloat(stockData.percentChange) || 0;
+  const changeText = `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+  const condition = describeAlertCondition(alert, language);
+
+  const body = language === 'english'
+    ? `🔔 *Price alert: ${name}*\n\nYour alert #${alert.id} (${alert.symbol} ${condition}) was triggered.\nCurrent price: ₹${stockData.currentPrice} (${changeText} today)`
+    : language === 'hindi'
+      ? `🔔 *प्राइस अलर्ट: ${name}*\n\nआपका अलर्ट #${alert.id} (${alert.symbol} ${condition}) पूरा हुआ।\nअभी का भाव: ₹${stockData.currentPrice} (आज ${changeText})`
+      : `🔔 *પ્રાઇસ એલર્ટ: ${name}*\n\nતમારું એલર્ટ #${alert.id} (${alert.symbol} ${condition}) પૂરું થયું.\nહાલનો ભાવ: ₹${stockData.currentPrice} (આજે ${changeText})`;
+
+  const footer = alert.rearm
+    ? language === 'english'
+      ? `This alert stays active and can fire again after ${cooldownMinutes} minutes. Send "CANCEL ${alert.id}" to stop it.`
+      : language === 'hindi'
+        ? `यह अलर्ट चालू रहेगा और ${cooldownMinutes} मिनट बाद फिर से आ सकता है। बंद करने के लिए "CANCEL ${alert.id}" भेजें।`
+        : `આ એલર્ટ ચાલુ રહેશે અને ${cooldownMinutes} મિનિટ પછી ફરી આવી શકે છે. બંધ કરવા માટે "CANCEL ${alert.id}" મોકલો.`
+    : language === 'english'
+      ? 'This alert is now closed.'
+      : language === 'hindi'
+        ? 'यह अलर्ट अब बंद हो गया है।'
+        : 'આ એલર્ટ હવે બંધ થયું છે.';
+
+  return `${body}\n\n${footer}`;
+}
+
+module.exports = AlertEngine;
+module.exports.isConditionMet = isConditionMet;
+module.exports.describeAlertCondition = describeAlertCondition;
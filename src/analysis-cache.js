@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+const { getISTParts } = require('./market-time');
+
+// SQLite cache for finished analyses, one row per (symbol, language,
+// snapshot hash). The hash covers the fundamentals part of the stock data
+// snapshot (financials, analyst view, news...), so new results or news
+// invalidate the cached text. Entries are only reused on the same IST
+// trading day and while the live price stays close to the price the
+// analysis was written with, since the card quotes it.
+
+// Snapshot fields that change every tick and must not affect the hash
+const VOLATILE_FIELDS = ['currentPrice', 'percentChange', 'yearHigh', 'yearLow', 'cachedAt', 'priceStale'];
+
+const DEFAULT_MAX_PRICE_DRIFT_PERCENT = 2;
+
+// JSON.stringify with sorted keys so equal snapshots always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash of the non-price part of a raw stock data snapshot
+function computeSnapshotHash(rawData) {
+  const snapshot = { ...(rawData || {}) };
+  VOLATILE_FIELDS.forEach(field => delete snapshot[field]);
+  return crypto.createHash('sha256').update(stableStringify(snapshot)).digest('hex').substring(0, 16);
+}
+
+class AnalysisCache {
+  constructor(dbPath = process.env.CACHE_DB_PATH || '/data/cache.db', {
+    maxPriceDriftPercent = parseFloat(process.env.ANALYSIS_CACHE_MAX_PRICE_DRIFT_PERCENT) || DEFAULT_MAX_PRICE_DRIFT_PERCENT,
+  } = {}) {
+    this.dbPath = dbPath;
+    this.maxPriceDriftPercent = maxPriceDriftPercent;
+    this.db = null;
+    this.counters = { hits: 0, misses: 0, writes: 0, purged: 0 };
+  }
+
+  // Open the database and create the cache table
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          console.error('❌ Error opening analysis cache database:', err.message);
+          reject(err);
+          return;
+        }
+
+        const createAnalysisCacheTable = `
+          CREATE TABLE IF NOT EXISTS analysis_cache (
+            symbol TEXT NOT NULL,
+            language TEXT NOT NULL,
+            snapshot_hash TEXT NOT NULL,
+            trade_date TEXT NOT NULL,
+            price REAL,
+            analysis TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (symbol, language, snapshot_hash)
+          )
+        `;
+
+        db.run(createAnalysisCacheTable, (err) => {
+          if (err) {
+            console.error('❌ Error creating analysis cache table:', err.message);
+            reject(err);
+            return;
+          }
+          this.db = db;
+          console.log('✅ Analysis cache ready:', this.dbPath);
+          resolve();
+        });
+      });
+    });
+  }
+
+  // Get a cached analysis for today's snapshot, or null on a miss
+  async get({ symbol, language, snapshotHash, price }) {
+    if (!this.db) return null;
+
+    const row = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM analysis_cache
+        WHERE symbol = ? AND language = ? AND snapshot_hash = ? AND trade_date = ?
+      `;
+
+      this.db.get(query, [symbol, language, snapshotHash, getISTParts().dateKey], (err, row) => {
+        if (err) {
+          console.error('❌ Error reading analysis cache:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      });
+    });
+
+    if (!row) {
+      this.counters.misses += 1;
+      return null;
+    }
+
+    if (row.price && price) {
+      const driftPercent = Math.abs(price - row.price) / row.price * 100;
+      if (driftPercent > this.maxPriceDriftPercent) {
+        this.counters.misses += 1;
+        return null;
+      }
+    }
+
+    this.counters.hits += 1;
+    return row.analysis;
+  }
+
+  // Store an analysis; older snapshots for the same symbol/language are dropped
+  async set({ symbol, language, snapshotHash, price }, analysis) {
+    if (!this.db) return;
+
+    const tradeDate = getISTParts().dateKey;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM analysis_cache WHERE symbol = ? AND language = ? AND (snapshot_hash != ? OR trade_date != ?)',
+        [symbol, language, snapshotHash, tradeDate],
+        (err) => {
+          if (err) {
+            console.error('❌ Error dropping old cached analyses:', err.message);
+            reject(err);
+            return;
+          }
+
+          const query = `
+            INSERT OR REPLACE INTO analysis_cache
+              (symbol, language, snapshot_hash, trade_date, price, analysis, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `;
+
+          this.db.run(query, [symbol, language, snapshotHash, tradeDate, price || null, analysis, Date.now()], (err) => {
+            if (err) {
+              console.error('❌ Error writing analysis cache:', err.message);
+              reject(err);
+              return;
+            }
+            this.counters.writes += 1;
+            resolve();
+          });
+        }
+      );
+    });
+  }
+
+  // Delete cached analyses, optionally only for one symbol and/or language
+  async purge({ symbol = null, language = null } = {}) {
+    if (!this.db) return 0;
+
+    const conditions = [];
+    const params = [];
+    if (symbol) {
+      conditions.push('symbol = ?');
+      params.push(symbol.toUpperCase());
+    }
+    if (language) {
+      conditions.push('language = ?');
+      params.push(language.toLowerCase());
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const counters = this.counters;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM analysis_cache${where}`, params, function(err) {
+        if (err) {
+          console.error('❌ Error purging analysis cache:', err.message);
+          reject(err);
+          return;
+        }
+        counters.purged += this.changes;
+        console.log(`🧹 Purged ${this.changes} cached analyses`);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  // Hit/miss counters since startup plus the current entry count
+  async getStats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    const stats = {
+      enabled: Boolean(this.db),
+      ...this.counters,
+      hit_rate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : null,
+      entries: 0,
+    };
+
+    if (!this.db) return stats;
+
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) as entries FROM analysis_cache', [], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        stats.entries = row.entries;
+        resolve(stats);
+      });
+    });
+  }
+
+  // Close database connection
+  async close() {
+    return new Promise((resolve) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+      this.db.close((err) => {
+        if (err) {
+          console.error('❌ Error closing analysis cache database:', err.message);
+        }
+        this.db = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = AnalysisCache;
+module.exports.computeSnapshotHash = computeSnapshotHash;
@@ -0,0 +1,87 @@
+const { SECTION_KEYS, truncateText } = require('./analysis-schema');
+
+// Renders a structured analysis (see analysis-schema.js) as the WhatsApp
+// card users see, in English, Hindi or Gujarati, and keeps it under the
+// card length limit by shortening the longest texts first.
+
+const DEFAULT_MAX_LENGTH = parseInt(process.env.ANALYSIS_CARD_MAX_LENGTH) || 1400;
+
+// Texts are never shortened below this many characters
+const MIN_TEXT_LENGTH = 60;
+
+const LABELS = {
+  english: {
+    size: 'Company Size',
+    price: 'Current Price',
+    profits: 'Year-on-Year Profits',
+    pe: 'Price vs Earnings (P/E)',
+    experts: 'Expert Opinion',
+    risks: 'Risks & Challenges',
+    news: 'Recent News',
+    summary: 'Summary',
+    recommendation: 'Recommendation',
+    actions: { BUY: 'BUY', HOLD: 'HOLD', SELL: 'SELL' },
+  },
+  hindi: {
+    size: 'कंपनी का साइज़',
+    price: 'मौजूदा भाव',
+    profits: 'साल-दर-साल प्रोफिट',
+    pe: 'भाव बनाम कमाई (P/E)',
+    experts: 'एक्सपर्ट की राय',
+    risks: 'जोखिम और चुनौतियाँ',
+    news: 'ताज़ा खबरें',
+    summary: 'सारांश',
+    recommendation: 'सलाह',
+    actions: { BUY: 'खरीदें', HOLD: 'रुकें', SELL: 'बेचें' },
+  },
+  gujarati: {
+    size: 'કંપનીનું કદ',
+    price: 'હાલનો ભાવ',
+    profits: 'વર્ષ-દર-વર્ષ નફો',
+    pe: 'ભાવ સામે કમાણી (P/E)',
+    experts: 'નિષ્ણાતોનો અભિપ્રાય',
+    risks: 'જોખમ અને પડકારો',
+    news: 'તાજા સમાચાર',
+    summary: 'સારાંશ',
+    recommendation: 'સલાહ',
+    actions: { BUY: 'ખરીદો', HOLD: 'રોકો', SELL: 'વેચો' },
+  },
+};
+
+function renderCard(analysis, labels, texts, note) {
+  const sectionLines = SECTION_KEYS
+    .map(key => `${analysis.sections[key].verdict} *${labels[key]}:* ${texts[key]}`)
+    .join('\n');
+  const action = analysis.recommendation.action;
+
+  return `*${analysis.company.toUpperCase()}:*
+
+${sectionLines}
+
+*${labels.summary}:* ${texts.summary}
+
+*${labels.recommendation}:* 👉 *${labels.actions[action]}* – ${analysis.recommendation.reason}${note ? `\n\n${note}` : ''}`;
+}
+
+// Structured analysis -> WhatsApp text. `note` is an optional last line.
+function formatAnalysisCard(analysis, language = 'english', { maxLength = DEFAULT_MAX_LENGTH, note = '' } = {}) {
+  const labels = LABELS[language] || LABELS.gujarati;
+  const texts = { summary: analysis.summary };
+  SECTION_KEYS.forEach(key => {
+    texts[key] = analysis.sections[key].text;
+  });
+
+  let card = renderCard(analysis, labels, texts, note);
+  while (card.length > maxLength) {
+    const [longestKey, longest] = Object.entries(texts).sort((a, b) => b[1].length - a[1].length)[0];
+    if (longest.length <= MIN_TEXT_LENGTH) break;
+
+    const excess = card.length - maxLength;
+    texts[longestKey] = truncateText(longest, Math.max(MIN_TEXT_LENGTH, longest.length - excess, Math.floor(longest.length * 0.8)));
+    card = renderCard(analysis, labels, texts, note);
+  }
+
+  return card;
+}
+
+module.exports = { formatAnalysisCard, LABELS };
@@ -0,0 +1,196 @@
+// Schema for the structured stock analysis returned by the LLM (and built
+// by the rule-based engine):
+//
+//   {
+//     company: string,
+//     sections: { size, price, profits, pe, experts, risks, news }
+//       each { verdict: '✅' | '⚠️' | '❌', text: string },
+//     summary: string,
+//     recommendation: { action: 'BUY' | 'HOLD' | 'SELL', reason: string }
+//   }
+//
+// parseStructuredAnalysis() turns the raw LLM reply into a valid object:
+// it extracts the JSON, repairs what can be fixed without guessing
+// (verdict/action spelling, over-long text) and validates the rest.
+
+const SECTION_KEYS = ['size', 'price', 'profits', 'pe', 'experts', 'risks', 'news'];
+const VERDICTS = ['✅', '⚠️', '❌'];
+const ACTIONS = ['BUY', 'HOLD', 'SELL'];
+
+// Maximum characters per field; longer text is cut at a word boundary
+const TEXT_LIMITS = {
+  company: 80,
+  section: 220,
+  summary: 320,
+  reason: 160,
+};
+
+// Words models use instead of the verdict symbols
+const VERDICT_ALIASES = {
+  '⚠': '⚠️',
+  positive: '✅',
+  good: '✅',
+  neutral: '⚠️',
+  mixed: '⚠️',
+  negative: '❌',
+  bad: '❌',
+};
+
+// Shorten text to at most `limit` characters, ending with an ellipsis
+function truncateText(text, limit) {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+// The JSON object in a reply, even when wrapped in ``` fences or prose
+function extractJson(text) {
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('reply contains no JSON object');
+  }
+  return JSON.parse(raw.slice(start, end + 1));
+}
+
+function repairText(value, limit) {
+  if (typeof value !== 'string') return value;
+  // WhatsApp bold markers are added by the formatter
+  return truncateText(value.replace(/\*/g, '').replace(/\s+/g, ' ').trim(), limit);
+}
+
+function repairVerdict(value) {
+  if (typeof value !== 'string') return value;
+  const verdict = value.trim();
+  if (VERDICTS.includes(verdict)) return verdict;
+  return VERDICT_ALIASES[verdict.toLowerCase()] || verdict;
+}
+
+function repairAction(value) {
+  if (typeof value !== 'string') return value;
+  const action = value.replace(/[^a-z ]/gi, '').trim().toUpperCase();
+  if (ACTIONS.includes(action)) return action;
+  if (/\bSELL\b/.test(action)) return 'SELL';
+  if (/\bBUY\b/.test(action)) return 'BUY';
+  if (/\b(HOLD|WAIT|NEUTRAL)\b/.test(action)) return 'HOLD';
+  return action;
+}
+
+// Fix formatting slips without inventing content. Missing fields stay missing.
+function repairStructuredAnalysis(value) {
+  if (!value || typeof value !== 'object') return value;
+
+  const sections = {};
+  if (value.sections && typeof value.sections === 'object') {
+    SECTION_KEYS.forEach(key => {
+      const section = value.sections[key];
+      if (section && typeof section === 'object') {
+        sections[key] = {
+          verdict: repairVerdict(section.verdict),
+          text: repairText(section.text, TEXT_LIMITS.section),
+        };
+      }
+    });
+  }
+
+  const recommendation = value.recommendation && typeof value.recommendation === 'object'
+    ? {
+      action: repairAction(value.recommendation.action),
+      reason: repairText(value.recommendation.reason, TEXT_LIMITS.reason),
+    }
+    : value.recommendation;
+
+  return {
+    company: repairText(value.company, TEXT_LIMITS.company),
+    sections,
+    summary: repairText(value.summary, TEXT_LIMITS.summary),
+    recommendation,
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// List of problems with an analysis object (empty when valid)
+function validateStructuredAnalysis(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object') {
+    return ['analysis must be a JSON object'];
+  }
+
+  if (!isNonEmptyString(value.company)) errors.push('company must be a non-empty string');
+
+  if (!value.sections || typeof value.sections !== 'object') {
+    errors.push(`sections must be an object with keys ${SECTION_KEYS.join(', ')}`);
+  } else {
+    SECTION_KEYS.forEach(key => {
+      const section = value.sections[key];
+      if (!section || typeof section !== 'object') {
+        errors.push(`sections.${key} is missing`);
+        return;
+      }
+      if (!VERDICTS.includes(section.verdict)) {
+        errors.push(`sections.${key}.verdict must be one of ${VERDICTS.join(' ')}`);
+      }
+      if (!isNonEmptyString(section.text)) {
+        errors.push(`sections.${key}.text must be a non-empty string`);
+      } else if (section.text.length > TEXT_LIMITS.section) {
+        errors.push(`sections.${key}.text must be at most ${TEXT_LIMITS.section} characters`);
+      }
+    });
+  }
+
+  if (!isNonEmptyString(value.summary)) {
+    errors.push('summary must be a non-empty string');
+  } else if (value.summary.length > TEXT_LIMITS.summary) {
+    errors.push(`summary must be at most ${TEXT_LIMITS.summary} characters`);
+  }
+
+  if (!value.recommendation || typeof value.recommendation !== 'object') {
+    errors.push('recommendation must be an object with action and reason');
+  } else {
+    if (!ACTIONS.includes(value.recommendation.action)) {
+      errors.push(`recommendation.action must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (!isNonEmptyString(value.recommendation.reason)) {
+      errors.push('recommendation.reason must be a non-empty string');
+    }
+  }
+
+  return errors;
+}
+
+// Raw LLM reply -> { analysis, repaired, errors }. analysis is null when
+// the reply can't be made valid; errors then say why (for a re-ask).
+function parseStructuredAnalysis(text) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { analysis: null, repaired: false, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const repaired = repairStructuredAnalysis(parsed);
+  const errors = validateStructuredAnalysis(repaired);
+  if (errors.length > 0) {
+    return { analysis: null, repaired: false, errors };
+  }
+
+  const wasValid = validateStructuredAnalysis(parsed).length === 0
+    && JSON.stringify(parsed) === JSON.stringify(repaired);
+  return { analysis: repaired, repaired: !wasValid, errors: [] };
+}
+
+module.exports = {
+  SECTION_KEYS,
+  VERDICTS,
+  ACTIONS,
+  TEXT_LIMITS,
+  truncateText,
+  parseStructuredAnalysis,
+  repairStructuredAnalysis,
+  validateStructuredAnalysis,
+};
@@ -0,0 +1,161 @@
+// Chat command parsing for incoming WhatsApp messages.
+// parseChatCommand returns null for anything that is not a command, so the
+// message falls through to regular stock analysis.
+
+// Split a comma separated list of stock names ("Tata Motors, TCS")
+function splitStockNames(text) {
+  return (text || '')
+    .split(',')
+    .map(s => s.trim().replace(/\s+/g, ' '))
+    .filter(name => name.length > 0);
+}
+
+// "TCS vs INFY" -> "TCS, INFY"; null when the text has no "vs"
+function splitVersus(text) {
+  const parts = text.split(/\s+(?:vs\.?|versus)\s+/i).map(s => s.trim()).filter(Boolean);
+  return parts.length > 1 ? parts.join(', ') : null;
+}
+
+function parseChatCommand(message) {
+  if (!message) return null;
+
+  const match = message.trim().match(/^(\S+)(?:\s+([\s\S]*))?$/);
+  if (!match) return null;
+
+  const keyword = match[1].toUpperCase();
+  const args = (match[2] || '').trim();
+
+  // Watchlist commands
+  if (keyword === 'ADD') {
+    return {
+      type: 'watchlist_add',
+      symbols: splitStockNames(args).map(s => s.toUpperCase()),
+    };
+  }
+  if (keyword === 'REMOVE') {
+    return {
+      type: 'watchlist_remove',
+      symbols: splitStockNames(args).map(s => s.toUpperCase()),
+    };
+  }
+  if (keyword === 'LIST' && !args) {
+    return { type: 'watchlist_list' };
+  }
+  if (keyword === 'WATCHLIST' && !args) {
+    return { type: 'watchlist_analyze' };
+  }
+
+  // Daily digest opt-in
+  if (keyword === 'DIGEST') {
+    const option = args.toUpperCase();
+    if (option === 'ON' || option === 'OFF') {
+      return { type: option === 'ON' ? 'digest_on' : 'digest_off' };
+    }
+  }
+
+  // Spoken summary after each analysis
+  if (keyword === 'VOICE') {
+    const option = args.toUpperCase();
+    if (option === 'ON' || option === 'OFF') {
+      return { type: option === 'ON' ? 'voice_on' : 'voice_off' };
+    }
+  }
+
+  // Menu and help (also the ids of the menu's list rows)
+  if (keyword === 'MENU' && !args) {
+    return { type: 'menu' };
+  }
+  if (keyword === 'HELP' && !args) {
+    return { type: 'help' };
+  }
+  if (keyword === 'ANALYZE' && !args) {
+    return { type: 'analyze_prompt' };
+  }
+
+  // Quick rule-based analysis without the LLM: FAST TCS, Infosys
+  if (keyword === 'FAST') {
+    return { type: 'fast_analysis', query: args };
+  }
+
+  // Financial scorecard: SCORE TCS
+  if (keyword === 'SCORE') {
+    return args ? { type: 'score', query: args } : { type: 'score_usage' };
+  }
+
+  // Latest quarterly results: RESULTS INFY
+  if (keyword === 'RESULTS') {
+    return args ? { type: 'results', query: args } : { type: 'results_usage' };
+  }
+
+  // Sector overview from peer data: SECTOR IT
+  if (keyword === 'SECTOR') {
+    return args ? { type: 'sector', query: args } : { type: 'sector_usage' };
+  }
+
+  // Side-by-side comparison: COMPARE TCS INFY [HCL], or just "TCS vs INFY"
+  if (keyword === 'COMPARE') {
+    return args ? { type: 'compare', query: splitVersus(args) || args } : { type: 'compare_usage' };
+  }
+  const versusQuery = splitVersus(message.trim());
+  if (versusQuery) {
+    return { type: 'compare', query: versusQuery };
+  }
+
+  // Virtual portfolio: BUY 10 TCS @ 3900, SELL 5 TCS @ 4100, PORTFOLIO
+  if (keyword === 'BUY' || keyword === 'SELL') {
+    const tradeMatch = args.match(/^(\d+)\s+(.+?)\s*(?:@|\s+AT\s+)\s*₹?\s*([\d,]+(?:\.\d+)?)$/i);
+    if (!tradeMatch) {
+      return { type: 'portfolio_usage' };
+    }
+
+    const quantity = parseInt(tradeMatch[1]);
+    const price = parseFloat(tradeMatch[3].replace(/,/g, ''));
+    if (!(quantity > 0) || !(price > 0)) {
+      return { type: 'portfolio_usage' };
+    }
+
+    return {
+      type: keyword === 'BUY' ? 'portfolio_buy' : 'portfolio_sell',
+      symbol: tradeMatch[2].trim().replace(/\s+/g, ' ').toUpperCase(),
+      quantity,
+      price,
+    };
+  }
+  if (keyword === 'PORTFOLIO' && !args) {
+    return { type: 'portfolio_view' };
+  }
+
+  // Price alerts: ALERT TCS ABOVE 4200, ALERT INFY BELOW 1400, ALERT RELIANCE MOVE 5% [REPEAT]
+  if (keyword === 'ALERT') {
+    const alertMatch = args.match(/^(.+?)\s+(ABOVE|BELOW|MOVE)\s+₹?\s*([\d,]+(?:\.\d+)?)\s*%?(?:\s+(REPEAT))?$/i);
+    if (!alertMatch) {
+      return { type: 'alert_usage' };
+    }
+
+    const threshold = parseFloat(alertMatch[3].replace(/,/g, ''));
+    if (!(threshold > 0)) {
+      return { type: 'alert_usage' };
+    }
+
+    return {
+      type: 'alert_create',
+      symbol: alertMatch[1].trim().replace(/\s+/g, ' ').toUpperCase(),
+      condition: alertMatch[2].toLowerCase(),
+      threshold,
+      rearm: Boolean(alertMatch[4]),
+    };
+  }
+  if (keyword === 'ALERTS' && !args) {
+    return { type: 'alert_list' };
+  }
+  if (keyword === 'CANCEL') {
+    const idMatch = args.match(/^#?(\d+)$/);
+    return idMatch
+      ? { type: 'alert_cancel', alertId: parseInt(idMatch[1]) }
+      : { type: 'alert_usage' };
+  }
+
+  return null;
+}
+
+module.exports = { parseChatCommand, splitStockNames };
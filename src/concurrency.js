@@ -0,0 +1,47 @@
+// Small promise concurrency helpers (no external dependency).
+
+// Create a limiter that runs at most `concurrency` tasks at once:
+//   const limit = createLimiter(2);
+//   await limit(() => callApi());
+function createLimiter(concurrency) {
+  const maxConcurrent = Math.max(1, parseInt(concurrency) || 1);
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= maxConcurrent || queue.length === 0) return;
+
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  }
+
+  function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  }
+
+  limit.concurrency = maxConcurrent;
+  Object.defineProperty(limit, 'active', { get: () => active });
+  Object.defineProperty(limit, 'pending', { get: () => queue.length });
+
+  return limit;
+}
+
+// Map over items with at most `concurrency` calls in flight.
+// Results keep the order of the input, like Promise.all.
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(items.map((item, index) => limit(() => mapper(item, index))));
+}
+
+module.exports = { createLimiter, mapWithConcurrency };
@@ -0,0 +1,67 @@
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+// Returns an array of rows, each an array of raw string cells.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel exports often start with one)
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim().length > 0));
+}
+
+// Parse CSV with a header row into objects keyed by the header names
+function parseCsvWithHeader(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = { parseCsv, parseCsvWithHeader };
@@ -0,0 +1,269 @@
+const { getISTParts, parseTimeOfDay, isTradingDay } = require('./market-time');
+require('dotenv').config();
+
+// Daily watchlist digest pushed to opted-in users at a fixed IST time.
+//
+// Delivery state is stored per (user, IST date) in UserManager. A row is
+// marked 'sending' before the message goes out, so a crash or restart
+// mid-run never sends the same digest twice; 'failed' rows are retried on
+// the next tick up to MAX_DIGEST_ATTEMPTS.
+//
+// Digests only go out within DIGEST_WINDOW_MINUTES of the scheduled time:
+// a morning digest turned on (or a server started) in the evening waits
+// for the next trading day instead of arriving at once.
+
+const DEFAULT_DIGEST_TIME = '08:45';
+const DEFAULT_DIGEST_WINDOW_MINUTES = 60;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_DIGEST_ATTEMPTS = 3;
+
+class DigestScheduler {
+  constructor({
+    userManager,
+    fetchStockData,
+    sendMessage,
+    digestTime = process.env.DIGEST_TIME_IST || DEFAULT_DIGEST_TIME,
+    windowMinutes = parseInt(process.env.DIGEST_WINDOW_MINUTES) || DEFAULT_DIGEST_WINDOW_MINUTES,
+    checkIntervalMs = CHECK_INTERVAL_MS,
+  }) {
+    this.userManager = userManager;
+    this.fetchStockData = fetchStockData;
+    this.sendMessage = sendMessage;
+    this.checkIntervalMs = checkIntervalMs;
+    this.windowMinutes = windowMinutes;
+    this.timer = null;
+    this.running = false;
+
+    this.digestMinutes = parseTimeOfDay(digestTime);
+    if (this.digestMinutes === null) {
+      console.warn(`⚠️ Invalid DIGEST_TIME_IST "${digestTime}", using ${DEFAULT_DIGEST_TIME}`);
+      this.digestMinutes = parseTimeOfDay(DEFAULT_DIGEST_TIME);
+    }
+  }
+
+  // Start checking once a minute whether today's digest is due
+  start() {
+    if (this.timer) return;
+
+    console.log(`⏰ Daily digest scheduled for ${this.getDigestTime()} IST on trading days`);
+
+    this.timer = setInterval(() => this.tick(), this.checkIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Configured send time as "HH:MM" (IST)
+  getDigestTime() {
+    const hh = String(Math.floor(this.digestMinutes / 60)).padStart(2, '0');
+    const mm = String(this.digestMinutes % 60).padStart(2, '0');
+    return `${hh}:${mm}`;
+  }
+
+  // Run the digest if it is a trading day and within the send window
+  async tick(now = new Date()) {
+    if (!isTradingDay(now)) return;
+    const minutesOfDay = getISTParts(now).minutesOfDay;
+    if (minutesOfDay < this.digestMinutes || minutesOfDay >= this.digestMinutes + this.windowMinutes) return;
+
+    await this.runDigest({ now });
+  }
+
+  // Send today's digest to every subscriber (or a single phone number).
+  // With dryRun, digests are returned instead of sent and nothing is recorded.
+  async runDigest({ now = new Date(), phoneNumber = null, force = false, dryRun = false } = {}) {
+    const summary = { date: getISTParts(now).dateKey, sent: 0, skipped: 0, failed: 0, digests: [] };
+
+    if (this.running) {
+      console.log('⏳ Digest run already in progress, skipping');
+      return summary;
+    }
+    this.running = true;
+
+    try {
+      let subscribers = await this.userManager.getDigestSubscribers();
+      if (phoneNumber) {
+        subscribers = subscribers.filter(user => user.phone_number === phoneNumber);
+      }
+
+      // Share one fetch per symbol across all users in this run
+      const stockDataBySymbol = new Map();
+
+      for (const user of subscribers) {
+        const result = await this.sendDigestToUser(user, summary.date, {
+          force,
+          dryRun,
+          stockDataBySymbol,
+        });
+        summary[result.status] += 1;
+        if (result.digest) {
+          summary.digests.push({ phoneNumber: user.phone_number, digest: result.digest });
+        }
+      }
+
+      if (summary.sent > 0 || summary.failed > 0) {
+        console.log(`📬 Digest run for ${summary.date}: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped`);
+      }
+      return summary;
+    } catch (error) {
+      console.error('❌ Error running daily digest:', error);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async sendDigestToUser(user, digestDate, { force, dryRun, stockDataBySymbol }) {
+    const phoneNumber = user.phone_number;
+    const language = user.language_preference;
+
+    if (!force) {
+      const delivery = await this.userManager.getDigestDelivery(phoneNumber, digestDate);
+      if (delivery && delivery.status !== 'failed') {
+        return { status: 'skipped' };
+      }
+      if (delivery && delivery.attempts >= MAX_DIGEST_ATTEMPTS) {
+        return { status: 'skipped' };
+      }
+    }
+
+    // Not recorded, so stocks added later in the send window still get today's digest
+    const symbols = await this.userManager.getWatchlist(phoneNumber);
+    if (symbols.length === 0) {
+      return { status: 'skipped' };
+    }
+
+    const digest = await this.buildDigest(symbols, language, stockDataBySymbol);
+
+    if (dryRun) {
+      return { status: 'sent', digest };
+    }
+
+    await this.userManager.recordDigestDelivery(phoneNumber, digestDate, 'sending');
+    try {
+      const response = await this.sendMessage(digest, phoneNumber);
+      if (!response) {
+        throw new Error('WhatsApp API did not accept the message');
+      }
+      await this.userManager.recordDigestDelivery(phoneNumber, digestDate, 'sent');
+      return { status: 'sent' };
+    } catch (error) {
+      console.error(`❌ Digest delivery failed for ${phoneNumber}:`, error.message);
+      await this.userManager.recordDigestDelivery(phoneNumber, digestDate, 'failed', error.message);
+      return { status: 'failed' };
+    }
+  }
+
+  // Build a short price summary for the given symbols in the user's language
+  async buildDigest(symbols, language, stockDataBySymbol = new Map()) {
+    const lines = [];
+
+    for (const symbol of symbols) {
+      if (!stockDataBySymbol.has(symbol)) {
+        stockDataBySymbol.set(symbol, this.fetchStockData(symbol));
+      }
+      const stockData = await stockDataBySymbol.get(symbol);
+      lines.push(formatDigestLine(symbol, stockData, language));
+    }
+
+    const header = language === 'english'
+      ? '🌅 *Good morning! Your watchlist today:*'
+      : language === 'hindi'
+        ? '🌅 *सुप्रभात! आज आपकी वॉचलिस्ट:*'
+        : '🌅 *સુપ્રભાત! આજે તમારી વૉચલિસ્ટ:*';
+    const footer = language === 'english'
+      ? 'Send "WATCHLIST" for detailed analysis. Send "DIGEST OFF" to stop these messages.'
+      : language === 'hindi'
+        ? 'पूरे विश्लेषण के लिए "WATCHLIST" भेजें। ये मैसेज बंद करने के लिए "DIGEST OFF" भेजें।'
+        : 'વિગતવાર વિશ્લેષણ માટે "WATCHLIST" મોકલો. આ મેસેજ બંધ કરવા માટે "DIGEST OFF" મોકલો.';
+    const disclaimer = language === 'english'
+      ? '⚠️ This is information only, not investment advice.'
+      : language === 'hindi'
+        ? '⚠️ यह सिर्फ जानकारी है, निवेश सलाह नहीं है।'
+        : '⚠️ આ માત્ર માહિતી છે, રોકાણની સલાહ નથી.';
+
+    return `${header}\n\n${lines.join('\n\n')}\n\n${footer}\n${disclaimer}`;
+  }
+}
+
+// One digest entry: price, day change and position in the 52-week range
+function formatDigestLine(symbol, stockData, language) {
+  if (!stockData || !stockData.success) {
+    return language === 'english'
+      ? `⚠️ *${symbol}:* Data not available`
+      : language === 'hindi'
+        ? `⚠️ *${symbol}:* डेटा उपलब्ध नहीं है`
+        : `⚠️ *${symbol}:* ડેટા ઉપલબ્ધ નથી`;
+  }
+
+  const change = stockData.percentChange || 0;
+  const icon = change >= 0 ? '📈' : '📉';
+  const sign = change > 0 ? '+' : '';
+  let line = `${icon} *${stockData.symbol || symbol}* ₹${stockData.currentPrice} (${sign}${change.toFixed(2)}%)`;
+
+  const price = parseFloat(stockData.currentPrice);
+  if (price && stockData.yearHigh && stockData.yearLow) {
+    const belowHigh = Math.round(((stockData.yearHigh - price) / stockData.yearHigh) * 100);
+    const range = `₹${stockData.yearLow} – ₹${stockData.yearHigh}`;
+    line += language === 'english'
+      ? `\n   52W: ${range} · ${belowHigh > 0 ? `${belowHigh}% below high` : 'near high'}`
+      : language === 'hindi'
+        ? `\n   52 हफ्ते: ${range} · ${belowHigh > 0 ? `हाई से ${belowHigh}% नीचे` : 'हाई के पास'}`
+        : `\n   52 અઠવાડિયા: ${range} · ${belowHigh > 0 ? `હાઈથી ${belowHigh}% નીચે` : 'હાઈની નજીક'}`;
+  }
+
+  return line;
+}
+
+// Local test harness: print today's digests without calling WhatsApp.
+// --record also writes delivery state, --force ignores earlier deliveries.
+async function main() {
+  const args = process.argv.slice(2);
+  const phoneNumber = args.find(arg => !arg.startsWith('--')) || null;
+  const dryRun = !args.includes('--record');
+
+  const UserManager = require('./user-manager');
+  const { fetchStockData } = require('./stock-analysis');
+
+  const userManager = new UserManager(process.env.USER_DB_PATH);
+  await userManager.initialize();
+
+  const scheduler = new DigestScheduler({
+    userManager,
+    fetchStockData,
+    sendMessage: async (text, to) => {
+      console.log(`📤 [harness] Would send to ${to}:\n${text}`);
+      return { harness: true };
+    },
+  });
+
+  const summary = await scheduler.runDigest({
+    phoneNumber,
+    force: args.includes('--force'),
+    dryRun,
+  });
+
+  if (dryRun) {
+    summary.digests.forEach(({ phoneNumber: to, digest }) => {
+      console.log('\n' + '='.repeat(70));
+      console.log(`📱 DIGEST FOR ${to}:`);
+      console.log('='.repeat(70));
+      console.log(digest);
+    });
+  }
+  console.log(`\n📬 ${summary.date}: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped${dryRun ? ' (dry run)' : ''}`);
+
+  await userManager.close();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = DigestScheduler;
@@ -0,0 +1,106 @@
+// Helpers for the `financials` section of a /stock API response: a list of
+// statements ({ Type: 'Annual' | 'Interim', FiscalYear, EndDate,
+// stockFinancialMap: { INC, BAL, CAS } }), each a list of { key, value }.
+// Amounts are in ₹ crore, share counts in crore shares.
+
+// Round to a number of decimals; null for missing or non-finite values
+function round(value, decimals = 1) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// ₹ crore amount with Indian digit grouping ("1,23,456"), or 'N/A'
+function formatCrore(value) {
+  return value === null ? 'N/A' : Math.round(value).toLocaleString('en-IN');
+}
+
+// Helper function to find financial statement item by key
+function findFinancialItem(financialArray, keyName) {
+  if (!Array.isArray(financialArray)) return null;
+  const item = financialArray.find(item => item.key === keyName);
+  if (item && item.value !== null && item.value !== undefined) {
+    const value = parseFloat(item.value);
+    return isNaN(value) ? null : value;
+  }
+  return null;
+}
+
+// First key that has a value
+function findFirstItem(financialArray, keyNames) {
+  for (const keyName of keyNames) {
+    const value = findFinancialItem(financialArray, keyName);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+// Interest expense as a positive number. The net non-operating line is
+// negative when the company pays more interest than it earns.
+function findInterestExpense(INC) {
+  const supplemental = findFinancialItem(INC, 'InterestExpSupplemental');
+  if (supplemental !== null) return Math.abs(supplemental);
+
+  const net = findFinancialItem(INC, 'InterestInc(Exp)Net-Non-OpTotal');
+  return net !== null && net < 0 ? -net : null;
+}
+
+// Free cash flow = operating cash flow - capital expenditure.
+// Capex is reported as a negative cash flow, but some feeds give it positive.
+function computeFreeCashFlow(operatingCashFlow, capex) {
+  if (operatingCashFlow === null || capex === null) return null;
+  return operatingCashFlow - Math.abs(capex);
+}
+
+// One statement flattened to the line items the analysis uses
+function readStatement(statement) {
+  const { INC, BAL, CAS } = statement.stockFinancialMap || {};
+  const operatingCashFlow = findFinancialItem(CAS, 'CashfromOperatingActivities');
+  const capex = findFinancialItem(CAS, 'CapitalExpenditures');
+
+  return {
+    fiscalYear: statement.FiscalYear,
+    endDate: statement.EndDate || null,
+    period: statement.fiscalPeriodNumber || 0,
+    revenue: findFirstItem(INC, ['Revenue', 'TotalRevenue']),
+    costOfRevenue: findFinancialItem(INC, 'CostofRevenueTotal'),
+    grossProfit: findFinancialItem(INC, 'GrossProfit'),
+    operatingIncome: findFinancialItem(INC, 'OperatingIncome'),
+    pretaxIncome: findFinancialItem(INC, 'NetIncomeBeforeTaxes'),
+    netIncome: findFirstItem(INC, ['NetIncome', 'NetIncomeAfterTaxes']),
+    interestExpense: findInterestExpense(INC),
+    totalAssets: findFinancialItem(BAL, 'TotalAssets'),
+    currentAssets: findFinancialItem(BAL, 'TotalCurrentAssets'),
+    currentLiabilities: findFinancialItem(BAL, 'TotalCurrentLiabilities'),
+    totalLiabilities: findFinancialItem(BAL, 'TotalLiabilities'),
+    totalEquity: findFinancialItem(BAL, 'TotalEquity'),
+    totalDebt: findFirstItem(BAL, ['TotalDebt', 'TotalLongTermDebt']),
+    longTermDebt: findFinancialItem(BAL, 'TotalLongTermDebt'),
+    retainedEarnings: findFinancialItem(BAL, 'RetainedEarnings(AccumulatedDeficit)'),
+    sharesOutstanding: findFinancialItem(BAL, 'TotalCommonSharesOutstanding'),
+    operatingCashFlow,
+    capex,
+    freeCashFlow: computeFreeCashFlow(operatingCashFlow, capex),
+  };
+}
+
+// Statements of one type ('Annual' or 'Interim'), oldest first
+function getStatements(stockData, type = 'Annual') {
+  const financials = stockData && stockData.financials;
+  if (!Array.isArray(financials)) return [];
+
+  return financials
+    .filter(statement => statement.Type === type && statement.stockFinancialMap)
+    .map(readStatement)
+    .sort((a, b) => (a.endDate && b.endDate
+      ? a.endDate.localeCompare(b.endDate)
+      : a.fiscalYear - b.fiscalYear || a.period - b.period));
+}
+
+module.exports = {
+  round,
+  formatCrore,
+  findFinancialItem,
+  computeFreeCashFlow,
+  getStatements,
+};
@@ -0,0 +1,368 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite-backed job queue between the webhook and the analysis pipeline.
+//
+// The webhook enqueues a job and returns; workers claim jobs one at a time
+// (at most `concurrency` in flight) and call the handler registered for the
+// job type. A failed job is retried with exponential backoff until it runs
+// out of attempts, then kept as 'dead' for inspection. Jobs left 'running'
+// by a crash or deploy are put back to 'pending' on initialize().
+//
+// Job states: pending -> running -> done | pending (retry) | dead
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_BASE_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const IDLE_POLL_INTERVAL_MS = 1000;
+
+// Finished jobs are kept this long for latency stats, dead jobs for inspection
+const DONE_JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEAD_JOB_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+class JobQueue {
+  constructor(dbPath = process.env.JOB_QUEUE_DB_PATH || '/data/jobs.db', {
+    concurrency = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    backoffBaseMs = parseInt(process.env.JOB_RETRY_BACKOFF_MS) || DEFAULT_BACKOFF_BASE_MS,
+  } = {}) {
+    this.dbPath = dbPath;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffBaseMs = backoffBaseMs;
+    this.db = null;
+    this.handlers = new Map();
+    this.active = 0;
+    this.running = false;
+    this.timer = null;
+    this.wakePending = false;
+    this.counters = { enqueued: 0, completed: 0, retried: 0, dead: 0 };
+  }
+
+  // Open the database, create the jobs table and resume interrupted jobs
+  async initialize() {
+    await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          console.error('❌ Error opening job queue database:', err.message);
+          reject(err);
+          return;
+        }
+        this.db = db;
+        resolve();
+      });
+    });
+
+    const createJobsTable = `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        dedup_key TEXT UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        run_at INTEGER NOT NULL,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      )
+    `;
+
+    await this.run(createJobsTable);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)');
+    console.log('✅ Job queue ready:', this.dbPath);
+
+    const resumed = await this.run(`
+      UPDATE jobs SET status = 'pending', run_at = ? WHERE status = 'running'
+    `, [Date.now()]);
+    if (resumed > 0) {
+      console.log(`🔁 Resuming ${resumed} interrupted job(s)`);
+    }
+
+    const now = Date.now();
+    await this.run(`
+      DELETE FROM jobs WHERE (status = 'done' AND finished_at < ?) OR (status = 'dead' AND finished_at < ?)
+    `, [now - DONE_JOB_RETENTION_MS, now - DEAD_JOB_RETENTION_MS]);
+  }
+
+  // Register the function that processes jobs of one type: handler(payload, job)
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job. Returns the job id, or null if a job with the same dedupKey exists.
+  async enqueue(type, payload, { dedupKey = null, maxAttempts = this.maxAttempts } = {}) {
+    const now = Date.now();
+    const query = `
+      INSERT OR IGNORE INTO jobs (type, payload, dedup_key, max_attempts, run_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const jobId = await new Promise((resolve, reject) => {
+      this.db.run(query, [type, JSON.stringify(payload), dedupKey, maxAttempts, now, now], function(err) {
+        if (err) {
+          console.error('❌ Error enqueuing job:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0 ? this.lastID : null);
+      });
+    });
+
+    if (jobId) {
+      this.counters.enqueued += 1;
+      this.wake();
+    }
+    return jobId;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Job queue workers started (concurrency ${this.concurrency})`);
+    this.wake();
+  }
+
+  // Stop claiming new jobs; jobs already running finish on their own
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Fill free worker slots, then poll again for delayed retries
+  wake() {
+    if (!this.running || !this.db) return;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Workers busy (or mid-claim): look again as soon as one frees up
+    if (this.active >= this.concurrency) {
+      this.wakePending = true;
+    }
+
+    while (this.active < this.concurrency) {
+      this.active += 1;
+      this.claimAndRun()
+        .then((claimed) => {
+          this.active -= 1;
+          if (claimed || this.wakePending) {
+            this.wakePending = false;
+            this.wake();
+          }
+        })
+        .catch((error) => {
+          this.active -= 1;
+          console.error('❌ Job queue worker error:', error.message);
+        });
+    }
+
+    this.timer = setTimeout(() => this.wake(), IDLE_POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  // Claim the next due job and run it. Returns false when nothing was due.
+  async claimAndRun() {
+    const job = await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, started_at = ?
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE status = 'pending' AND run_at <= ?
+          ORDER BY run_at, id
+          LIMIT 1
+        )
+        RETURNING *
+      `;
+      const now = Date.now();
+
+      this.db.get(query, [now, now], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      });
+    });
+
+    if (!job) return false;
+
+    const handler = this.handlers.get(job.type);
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      await handler(JSON.parse(job.payload), {
+        id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        isFinalAttempt: job.attempts >= job.max_attempts,
+        createdAt: job.created_at,
+      });
+      await this.run(`
+        UPDATE jobs SET status = 'done', last_error = NULL, finished_at = ? WHERE id = ?
+      `, [Date.now(), job.id]);
+      this.counters.completed += 1;
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+
+    return true;
+  }
+
+  // Schedule a retry with backoff, or dead-letter the job after its last attempt
+  async handleFailure(job, error) {
+    const message = error && error.message ? error.message : String(error);
+
+    if (job.attempts >= job.max_attempts) {
+      this.counters.dead += 1;
+      console.error(`💀 Job #${job.id} (${job.type}) failed ${job.attempts} time(s), moved to dead letters: ${message}`);
+      await this.run(`
+        UPDATE jobs SET status = 'dead', last_error = ?, finished_at = ? WHERE id = ?
+      `, [message, Date.now(), job.id]);
+      return;
+    }
+
+    const delayMs = Math.min(MAX_BACKOFF_MS, this.backoffBaseMs * 2 ** (job.attempts - 1));
+    this.counters.retried += 1;
+    console.warn(`🔁 Job #${job.id} (${job.type}) failed, retrying in ${Math.round(delayMs / 1000)}s: ${message}`);
+    await this.run(`
+      UPDATE jobs SET status = 'pending', last_error = ?, run_at = ? WHERE id = ?
+    `, [message, Date.now() + delayMs, job.id]);
+  }
+
+  // Put a dead job back in the queue with a fresh set of attempts
+  async retryDeadJob(jobId) {
+    const changes = await this.run(`
+      UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, finished_at = NULL WHERE id = ? AND status = 'dead'
+    `, [Date.now(), jobId]);
+    if (changes > 0) this.wake();
+    return changes > 0;
+  }
+
+  // Most recent dead-lettered jobs
+  async getDeadJobs(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT id, type, payload, attempts, last_error, created_at, finished_at
+        FROM jobs WHERE status = 'dead'
+        ORDER BY finished_at DESC
+        LIMIT ?
+      `;
+
+      this.db.all(query, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows.map(row => ({
+          ...row,
+          payload: JSON.parse(row.payload),
+          created_at: new Date(row.created_at).toISOString(),
+          finished_at: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+        })));
+      });
+    });
+  }
+
+  // Queue depth per state, age of the oldest waiting job and recent latency
+  async getStats() {
+    const stats = {
+      enabled: Boolean(this.db),
+      workers: { concurrency: this.concurrency, active: this.active },
+      depth: { pending: 0, running: 0, done: 0, dead: 0 },
+      oldest_pending_age_seconds: null,
+      latency_last_hour: null,
+      ...this.counters,
+    };
+
+    if (!this.db) return stats;
+
+    const now = Date.now();
+    const [depthRows, oldest, latency] = await Promise.all([
+      this.all('SELECT status, COUNT(*) as count FROM jobs GROUP BY status'),
+      this.all(`
+        SELECT MIN(created_at) as created_at FROM jobs WHERE status = 'pending'
+      `),
+      this.all(`
+        SELECT COUNT(*) as jobs,
+          AVG(started_at - created_at) as avg_wait_ms,
+          AVG(finished_at - created_at) as avg_total_ms,
+          MAX(finished_at - created_at) as max_total_ms
+        FROM jobs WHERE status = 'done' AND finished_at >= ?
+      `, [now - 60 * 60 * 1000]),
+    ]);
+
+    depthRows.forEach(row => {
+      stats.depth[row.status] = row.count;
+    });
+    if (oldest[0] && oldest[0].created_at) {
+      stats.oldest_pending_age_seconds = Math.round((now - oldest[0].created_at) / 1000);
+    }
+    if (latency[0] && latency[0].jobs > 0) {
+      stats.latency_last_hour = {
+        jobs: latency[0].jobs,
+        avg_wait_ms: Math.round(latency[0].avg_wait_ms),
+        avg_total_ms: Math.round(latency[0].avg_total_ms),
+        max_total_ms: latency[0].max_total_ms,
+      };
+    }
+
+    return stats;
+  }
+
+  // Run a statement and resolve with the number of changed rows
+  run(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function(err) {
+        if (err) {
+          console.error('❌ Job queue query failed:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      });
+    });
+  }
+
+  all(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Close database connection
+  async close() {
+    this.stop();
+    return new Promise((resolve) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+      this.db.close((err) => {
+        if (err) {
+          console.error('❌ Error closing job queue database:', err.message);
+        }
+        this.db = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,192 @@
+const OpenAIProvider = require('./openai-provider');
+const StubProvider = require('./stub-provider');
+
+// LLM layer used by the analysis pipeline.
+//
+// Callers name a task ("analysis", "translation") instead of a model; the
+// model for each task comes from LLM_<TASK>_MODEL (default gpt-4o-mini).
+// Every call gets a timeout and retries with backoff on rate limits,
+// server errors and network failures, and its token usage is recorded.
+//
+// A provider has a `name` and
+//   complete({ task, model, messages, maxTokens, temperature, timeoutMs, responseFormat })
+//     -> { text, usage: { promptTokens, completionTokens } }
+// responseFormat 'json' asks the model for a single JSON object.
+// Providers flag failures to reach the API with `error.networkError` and
+// their own timeouts with `error.timedOut`; other errors are not retried.
+
+const PROVIDER_CLASSES = {
+  openai: OpenAIProvider,
+  stub: StubProvider,
+};
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Calls kept for the admin view
+const RECENT_CALLS_LIMIT = 50;
+
+// Socket-level error codes from Node and undici
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// Rate limits, server errors and network errors/timeouts are worth retrying.
+// Anything else (bad requests, bugs in a provider) fails straight away so
+// the rule-based fallback isn't delayed.
+function isRetryableError(error) {
+  if (error.timedOut || error.networkError) return true;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  const code = error.code || (error.cause && error.cause.code);
+  return NETWORK_ERROR_CODES.has(code);
+}
+
+class LLMClient {
+  constructor({
+    provider,
+    models = {},
+    timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : DEFAULT_MAX_RETRIES,
+  }) {
+    this.provider = provider;
+    this.models = models;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.usageByTask = {};
+    this.recentCalls = [];
+  }
+
+  // Model configured for a task
+  getModel(task) {
+    return this.models[task] || process.env[`LLM_${task.toUpperCase()}_MODEL`] || DEFAULT_MODEL;
+  }
+
+  // Run one completion for a task and return its text
+  async complete(task, { messages, maxTokens = 800, temperature = 0.3, responseFormat = 'text' }) {
+    const model = this.getModel(task);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      const startTime = Date.now();
+      try {
+        const result = await this.withTimeout(this.provider.complete({
+          task,
+          model,
+          messages,
+          maxTokens,
+          temperature,
+          timeoutMs: this.timeoutMs,
+          responseFormat,
+        }));
+
+        this.recordCall({ task, model, attempt, startTime, usage: result.usage, error: null });
+        return result.text;
+      } catch (error) {
+        lastError = error;
+        this.recordCall({ task, model, attempt, startTime, usage: null, error });
+
+        if (attempt > this.maxRetries || !isRetryableError(error)) break;
+
+        const delayMs = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`🔁 LLM ${task} call failed (${error.message}), retrying in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    throw lastError;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM call timed out after ${this.timeoutMs}ms`);
+        error.timedOut = true;
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Add a call to the per-task totals and the recent calls list
+  recordCall({ task, model, attempt, startTime, usage, error }) {
+    const durationMs = Date.now() - startTime;
+    const promptTokens = usage ? usage.promptTokens : 0;
+    const completionTokens = usage ? usage.completionTokens : 0;
+
+    const totals = this.usageByTask[task] || (this.usageByTask[task] = {
+      calls: 0,
+      failures: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_duration_ms: 0,
+    });
+    totals.calls += 1;
+    totals.failures += error ? 1 : 0;
+    totals.prompt_tokens += promptTokens;
+    totals.completion_tokens += completionTokens;
+    totals.total_duration_ms += durationMs;
+
+    this.recentCalls.push({
+      at: new Date(startTime).toISOString(),
+      task,
+      provider: this.provider.name,
+      model,
+      attempt,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      duration_ms: durationMs,
+      error: error ? error.message : null,
+    });
+    if (this.recentCalls.length > RECENT_CALLS_LIMIT) {
+      this.recentCalls.shift();
+    }
+
+    if (!error) {
+      console.log(`🧠 LLM ${task} (${this.provider.name}/${model}): ${promptTokens}+${completionTokens} tokens in ${durationMs}ms`);
+    }
+  }
+
+  getUsageStats() {
+    const tasks = {};
+    Object.entries(this.usageByTask).forEach(([task, totals]) => {
+      tasks[task] = {
+        model: this.getModel(task),
+        calls: totals.calls,
+        failures: totals.failures,
+        prompt_tokens: totals.prompt_tokens,
+        completion_tokens: totals.completion_tokens,
+        avg_duration_ms: totals.calls > 0 ? Math.round(totals.total_duration_ms / totals.calls) : null,
+      };
+    });
+
+    return {
+      provider: this.provider.name,
+      timeout_ms: this.timeoutMs,
+      max_retries: this.maxRetries,
+      tasks,
+      recent_calls: this.recentCalls.slice(-10),
+    };
+  }
+}
+
+// Build the client for the provider named in LLM_PROVIDER (default openai)
+function createLLMClient(providerName = process.env.LLM_PROVIDER || 'openai') {
+  const ProviderClass = PROVIDER_CLASSES[providerName.trim().toLowerCase()];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${providerName}" (available: ${Object.keys(PROVIDER_CLASSES).join(', ')})`);
+  }
+
+  return new LLMClient({ provider: new ProviderClass() });
+}
+
+module.exports = {
+  createLLMClient,
+  LLMClient,
+  OpenAIProvider,
+  StubProvider,
+};
@@ -0,0 +1,53 @@
+const OpenAI = require('openai');
+const { createLimiter } = require('../concurrency');
+
+// OpenAI chat completions
+class OpenAIProvider {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    concurrency = process.env.OPENAI_CONCURRENCY || 3,
+  } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.client = null;
+    this.limit = createLimiter(concurrency);
+  }
+
+  // The SDK client is created on first use, so rule-based mode runs without a key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async complete({ model, messages, maxTokens, temperature, timeoutMs, responseFormat }) {
+    // Retries are handled by the LLM client, so the SDK's own are disabled
+    const completion = await this.limit(() => this.getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {}),
+    }, { timeout: timeoutMs, maxRetries: 0 })).catch(error => {
+      // The SDK reports network failures (and its timeouts) without a status
+      if (error instanceof OpenAI.APIConnectionTimeoutError) {
+        error.timedOut = true;
+      } else if (error instanceof OpenAI.APIConnectionError) {
+        error.networkError = true;
+      }
+      throw error;
+    });
+
+    const usage = completion.usage || {};
+    return {
+      text: completion.choices[0].message.content.trim(),
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+      },
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Deterministic offline provider for tests and local runs (LLM_PROVIDER=stub).
+// The same prompt always gives the same text:
+//  - analysis: the JSON example from the prompt, with every <placeholder>
+//    filled in and the ✅|⚠️|❌ and BUY|HOLD|SELL choices fixed
+//  - translation: the text to translate, marked with the task name
+//  - anything else: a short reply with a hash of the prompt
+// Token usage is estimated at ~4 characters per token.
+
+const TEMPLATE_MARKER = 'Reply with a JSON object in exactly this shape:';
+const TRANSLATION_MARKER = 'English Analysis to Translate:';
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async complete({ task, model, messages }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    let text;
+
+    if (prompt.includes(TEMPLATE_MARKER)) {
+      text = prompt.slice(prompt.lastIndexOf(TEMPLATE_MARKER) + TEMPLATE_MARKER.length)
+        .replace(/✅\|⚠️\|❌/g, '⚠️')
+        .replace(/BUY\|HOLD\|SELL/g, 'HOLD')
+        .replace(/<[^>\n]*>/g, `stub ${task} text`)
+        .trim();
+    } else if (prompt.includes(TRANSLATION_MARKER)) {
+      text = `[${task}] ${prompt.slice(prompt.lastIndexOf(TRANSLATION_MARKER) + TRANSLATION_MARKER.length).trim()}`;
+    } else {
+      const hash = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 8);
+      text = `Stub ${task} response (${model}, ${hash})`;
+    }
+
+    return {
+      text,
+      usage: {
+        promptTokens: estimateTokens(prompt),
+        completionTokens: estimateTokens(text),
+      },
+    };
+  }
+}
+
+module.exports = StubProvider;
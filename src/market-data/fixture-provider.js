@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { symbolMaster, normalizeName } = require('../symbol-master');
+const { parseHistoricalPrices } = require('./price-history');
+
+// Serves stock snapshots from JSON files, for tests and offline development.
+// Each file in the directory (default fixtures/stocks) holds one /stock
+// response; it is found by file name, tickerId or companyName, and names
+// known to the symbol master ("RIL", "रिलायंस") resolve to their symbol.
+// Price history comes from <history dir>/<SYMBOL>.json (default
+// fixtures/history), each holding one /historical_data response.
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'stocks');
+const DEFAULT_HISTORY_DIR = path.join(__dirname, '..', '..', 'fixtures', 'history');
+
+class FixtureProvider {
+  constructor({
+    fixturesDir = process.env.MARKET_DATA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+    historyDir = process.env.MARKET_DATA_HISTORY_DIR || DEFAULT_HISTORY_DIR,
+  } = {}) {
+    this.name = 'fixture';
+    this.fixturesDir = fixturesDir;
+    this.historyDir = historyDir;
+    this.index = null;
+  }
+
+  // Map every lookup key to its fixture file (built on first use)
+  loadIndex() {
+    if (this.index) return this.index;
+
+    this.index = new Map();
+    let files = [];
+    try {
+      files = fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      console.error(`❌ Error reading stock fixtures from ${this.fixturesDir}:`, error.message);
+    }
+
+    files.forEach(file => {
+      const filePath = path.join(this.fixturesDir, file);
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        [path.basename(file, '.json'), data.tickerId, data.companyName]
+          .map(normalizeName)
+          .filter(Boolean)
+          .forEach(key => this.index.set(key, filePath));
+      } catch (error) {
+        console.error(`❌ Invalid stock fixture ${file}:`, error.message);
+      }
+    });
+
+    console.log(`✅ Stock fixtures loaded: ${files.length} file(s) from ${this.fixturesDir}`);
+    return this.index;
+  }
+
+  // Lookup keys for a stock name: the name itself plus its symbol and name
+  lookupKeys(stockName) {
+    const keys = [normalizeName(stockName)];
+    const resolution = symbolMaster.resolve(stockName);
+    if (resolution.status === 'matched') {
+      keys.push(normalizeName(resolution.match.symbol), normalizeName(resolution.match.name));
+    }
+    return keys;
+  }
+
+  // Raw snapshot for a stock name, or null if there is no fixture for it
+  async getStock(stockName) {
+    const index = this.loadIndex();
+
+    const filePath = this.lookupKeys(stockName).map(key => index.get(key)).find(Boolean);
+    if (!filePath) return null;
+
+    // Read on every call so edited fixtures are picked up without a restart
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Daily closes from the history fixture named after the stock's symbol
+  // (or its snapshot's tickerId), or null if there is none. The fixture
+  // holds one year, so every period gets the whole series.
+  async getPriceHistory(stockName) {
+    const snapshotPath = this.lookupKeys(stockName).map(key => this.loadIndex().get(key)).find(Boolean);
+    const names = [path.basename(snapshotPath || '', '.json'), ...this.lookupKeys(stockName)].filter(Boolean);
+
+    const filePath = names
+      .map(name => path.join(this.historyDir, `${name.toUpperCase()}.json`))
+      .find(candidate => fs.existsSync(candidate));
+    if (!filePath) return null;
+
+    const points = parseHistoricalPrices(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    return points.length > 0 ? points : null;
+  }
+}
+
+module.exports = FixtureProvider;
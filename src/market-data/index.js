@@ -0,0 +1,106 @@
+const RapidApiProvider = require('./rapidapi-provider');
+const FixtureProvider = require('./fixture-provider');
+
+// Market data providers. Every provider has a `name` and
+//   getStock(stockName) -> raw snapshot, or null if the stock is unknown
+// and throws on transport/API errors. A snapshot has the shape of the
+// IndianAPI /stock response that the rest of the bot is built around:
+//   companyName, tickerId, industry,
+//   currentPrice { NSE, BSE }, percentChange, yearHigh, yearLow,
+//   financials [{ Type, FiscalYear, stockFinancialMap { INC, BAL, CAS } }],
+//   keyMetrics, analystView, riskMeter, recentNews
+// Providers may also have
+//   getPriceHistory(stockName, { period }) -> [{ date, close }] oldest first, or null
+// for the daily closes behind price charts.
+//
+// MARKET_DATA_PROVIDERS picks the providers, in fallback order
+// (default "rapidapi"; e.g. "fixture" offline or "rapidapi,fixture").
+
+const PROVIDER_CLASSES = {
+  rapidapi: RapidApiProvider,
+  fixture: FixtureProvider,
+};
+
+// Tries each provider in order until one knows the stock
+class MarketDataChain {
+  constructor(providers) {
+    this.providers = providers;
+    this.name = providers.map(provider => provider.name).join(',');
+    this.counters = {};
+    providers.forEach(provider => {
+      this.counters[provider.name] = { hits: 0, not_found: 0, errors: 0 };
+    });
+  }
+
+  // Raw snapshot from the first provider that has the stock, or null if
+  // none do. Throws the last error if a provider failed and none had it.
+  async getStock(stockName) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      try {
+        const data = await provider.getStock(stockName);
+        if (data) {
+          this.counters[provider.name].hits += 1;
+          return data;
+        }
+        this.counters[provider.name].not_found += 1;
+      } catch (error) {
+        this.counters[provider.name].errors += 1;
+        console.error(`❌ ${provider.name} provider failed for ${stockName}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  // Daily closes from the first provider that has them, or null. Provider
+  // errors are logged and skipped; a missing chart is not worth failing for.
+  async getPriceHistory(stockName, options = {}) {
+    for (const provider of this.providers) {
+      if (!provider.getPriceHistory) continue;
+      try {
+        const points = await provider.getPriceHistory(stockName, options);
+        if (points) return points;
+      } catch (error) {
+        console.error(`❌ ${provider.name} price history failed for ${stockName}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  getStats() {
+    return {
+      providers: this.providers.map(provider => provider.name),
+      ...this.counters,
+    };
+  }
+}
+
+// Build the provider chain from a comma-separated list of provider names
+function createMarketDataProvider(names = process.env.MARKET_DATA_PROVIDERS || 'rapidapi') {
+  const providerNames = String(names).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+  const providers = providerNames.map(name => {
+    const ProviderClass = PROVIDER_CLASSES[name];
+    if (!ProviderClass) {
+      throw new Error(`Unknown market data provider "${name}" (available: ${Object.keys(PROVIDER_CLASSES).join(', ')})`);
+    }
+    return new ProviderClass();
+  });
+
+  if (providers.length === 0) {
+    throw new Error('MARKET_DATA_PROVIDERS is empty');
+  }
+
+  return new MarketDataChain(providers);
+}
+
+module.exports = {
+  createMarketDataProvider,
+  MarketDataChain,
+  RapidApiProvider,
+  FixtureProvider,
+};
@@ -0,0 +1,16 @@
+// Daily closing prices from an IndianAPI /historical_data response:
+//   { datasets: [{ metric: 'Price', label: 'Price on NSE', values: [['2025-11-05', '4123.25'], ...] }, ...] }
+// -> [{ date: '2025-11-05', close: 4123.25 }, ...], oldest first.
+// Returns [] when the response has no usable price series.
+function parseHistoricalPrices(data) {
+  const datasets = (data && Array.isArray(data.datasets)) ? data.datasets : [];
+  const priceSet = datasets.find(dataset => String(dataset.metric || '').toLowerCase() === 'price');
+  if (!priceSet || !Array.isArray(priceSet.values)) return [];
+
+  return priceSet.values
+    .map(([date, close]) => ({ date: String(date), close: parseFloat(close) }))
+    .filter(point => /^\d{4}-\d{2}-\d{2}/.test(point.date) && point.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { parseHistoricalPrices };
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const https = require('https');
+const { createLimiter } = require('../concurrency');
+const { parseHistoricalPrices } = require('./price-history');
+
+// IndianAPI.in /stock and /historical_data endpoints via RapidAPI
+const INDIAN_API_BASE_URL = 'https://indian-stock-exchange-api2.p.rapidapi.com';
+const INDIAN_API_HOST = 'indian-stock-exchange-api2.p.rapidapi.com';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class RapidApiProvider {
+  constructor({
+    apiKey = process.env.RAPIDAPI_KEY,
+    concurrency = process.env.RAPIDAPI_CONCURRENCY || 3,
+    // Certificate checks stay on unless explicitly disabled (e.g. behind a
+    // TLS-intercepting proxy in development)
+    insecureTls = process.env.RAPIDAPI_INSECURE_TLS === 'true',
+  } = {}) {
+    this.name = 'rapidapi';
+    this.apiKey = apiKey;
+    this.limit = createLimiter(concurrency);
+    this.httpsAgent = insecureTls ? new https.Agent({ rejectUnauthorized: false }) : undefined;
+
+    if (insecureTls) {
+      console.warn('⚠️ RAPIDAPI_INSECURE_TLS is set - TLS certificates are NOT verified');
+    }
+  }
+
+  get headers() {
+    return {
+      'x-rapidapi-host': INDIAN_API_HOST,
+      'x-rapidapi-key': this.apiKey,
+      Accept: 'application/json',
+    };
+  }
+
+  // Raw snapshot for a stock name, or null if the API doesn't know it
+  async getStock(stockName) {
+    const response = await this.limit(() => axios.get(`${INDIAN_API_BASE_URL}/stock`, {
+      params: { name: stockName },
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      httpsAgent: this.httpsAgent,
+    }));
+
+    return response.data && response.data.companyName ? response.data : null;
+  }
+
+  // Daily closes for a period ("1m", "6m", "1yr", ...), or null if the API
+  // has no price series for the stock
+  async getPriceHistory(stockName, { period = '1yr' } = {}) {
+    const response = await this.limit(() => axios.get(`${INDIAN_API_BASE_URL}/historical_data`, {
+      params: { stock_name: stockName, period, filter: 'price' },
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      httpsAgent: this.httpsAgent,
+    }));
+
+    const points = parseHistoricalPrices(response.data);
+    return points.length > 0 ? points : null;
+  }
+}
+
+module.exports = RapidApiProvider;
@@ -0,0 +1,66 @@
+// Indian Standard Time helpers shared by the scheduler subsystems.
+// IST has no daylight saving, so a fixed +05:30 offset is enough.
+
+const IST_OFFSET_MINUTES = 330;
+
+// Regular NSE/BSE session, in minutes since midnight IST
+const MARKET_OPEN_MINUTES = 9 * 60 + 15;
+const MARKET_CLOSE_MINUTES = 15 * 60 + 30;
+
+// Break a Date into IST calendar fields
+function getISTParts(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth() + 1;
+  const day = ist.getUTCDate();
+
+  return {
+    year,
+    month,
+    day,
+    hours: ist.getUTCHours(),
+    minutes: ist.getUTCMinutes(),
+    weekday: ist.getUTCDay(), // 0 = Sunday
+    minutesOfDay: ist.getUTCHours() * 60 + ist.getUTCMinutes(),
+    dateKey: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+  };
+}
+
+// "HH:MM" clock time in IST
+function formatISTTime(date = new Date()) {
+  const { hours, minutes } = getISTParts(date);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Parse "HH:MM" into minutes since midnight, or null if invalid
+function parseTimeOfDay(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+// NSE/BSE trade Monday to Friday (exchange holidays are not tracked)
+function isTradingDay(date = new Date()) {
+  const { weekday } = getISTParts(date);
+  return weekday >= 1 && weekday <= 5;
+}
+
+// True during the regular trading session on a trading day
+function isMarketOpen(date = new Date()) {
+  if (!isTradingDay(date)) return false;
+  const { minutesOfDay } = getISTParts(date);
+  return minutesOfDay >= MARKET_OPEN_MINUTES && minutesOfDay <= MARKET_CLOSE_MINUTES;
+}
+
+module.exports = {
+  getISTParts,
+  formatISTTime,
+  parseTimeOfDay,
+  isTradingDay,
+  isMarketOpen,
+};
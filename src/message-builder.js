@@ -0,0 +1,257 @@
+// Meta `interactive` messages: reply buttons and lists.
+//
+// Every button and list row id is the text command it stands for ("ADD TCS",
+// "LIST", "English"), so a tap comes back as that command and goes through
+// the same path as a typed message. Builders return the `interactive`
+// object for the Cloud API; toPlainText renders the same choices as text
+// for when an interactive message can't be sent.
+
+// Cloud API limits
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+const MAX_SECTION_TITLE = 24;
+const MAX_BODY = 1024;
+const MAX_ID = 200;
+
+const PHRASES = {
+  english: {
+    menuButton: 'Menu',
+    menuSection: 'What would you like?',
+    menuBody: 'Send a stock name for analysis any time, or pick from the menu.',
+    analyze: ['📈 Analyze a stock', 'Send a name like TCS or Reliance'],
+    watchlist: ['📋 My watchlist', 'Your saved stocks'],
+    alerts: ['🔔 My alerts', 'Price alerts you have set'],
+    help: ['❓ Help', 'All commands'],
+    followUpBody: 'What next?',
+    addButton: '➕ Watchlist',
+    compareButton: '⚖️ Compare',
+    compareAllButton: '⚖️ Compare them',
+    menuShortcut: '📋 Menu',
+    plainOption: (title, command) => `• ${title}: send "${command}"`,
+  },
+  hindi: {
+    menuButton: 'मेनू',
+    menuSection: 'आप क्या करना चाहेंगे?',
+    menuBody: 'विश्लेषण के लिए कभी भी स्टॉक का नाम भेजें, या मेनू से चुनें।',
+    analyze: ['📈 स्टॉक का विश्लेषण', 'TCS या Reliance जैसा नाम भेजें'],
+    watchlist: ['📋 मेरी वॉचलिस्ट', 'आपके सेव किए स्टॉक'],
+    alerts: ['🔔 मेरे अलर्ट', 'आपके सेट किए प्राइस अलर्ट'],
+    help: ['❓ मदद', 'सभी कमांड'],
+    followUpBody: 'आगे क्या करें?',
+    addButton: '➕ वॉचलिस्ट',
+    compareButton: '⚖️ तुलना करें',
+    compareAllButton: '⚖️ तुलना करें',
+    menuShortcut: '📋 मेनू',
+    plainOption: (title, command) => `• ${title}: "${command}" भेजें`,
+  },
+  gujarati: {
+    menuButton: 'મેનુ',
+    menuSection: 'તમે શું કરવા માંગો છો?',
+    menuBody: 'વિશ્લેષણ માટે ગમે ત્યારે સ્ટોકનું નામ મોકલો, અથવા મેનુમાંથી પસંદ કરો.',
+    analyze: ['📈 સ્ટોકનું વિશ્લેષણ', 'TCS અથવા Reliance જેવું નામ મોકલો'],
+    watchlist: ['📋 મારી વૉચલિસ્ટ', 'તમારા સેવ કરેલા સ્ટોક'],
+    alerts: ['🔔 મારા એલર્ટ', 'તમે સેટ કરેલા પ્રાઇસ એલર્ટ'],
+    help: ['❓ મદદ', 'બધા કમાન્ડ'],
+    followUpBody: 'હવે શું કરવું છે?',
+    addButton: '➕ વૉચલિસ્ટ',
+    compareButton: '⚖️ સરખામણી',
+    compareAllButton: '⚖️ સરખામણી કરો',
+    menuShortcut: '📋 મેનુ',
+    plainOption: (title, command) => `• ${title}: "${command}" મોકલો`,
+  },
+};
+
+const HELP_MESSAGES = {
+  english: `❓ *What you can send*
+
+• *TCS* or *TCS, Infosys* – analyze stocks
+• *TCS vs INFY* – compare 2-3 stocks
+• *FAST TCS* – quick analysis without AI
+• *SCORE TCS* / *RESULTS TCS* – scorecard / quarterly results
+• *SECTOR IT* – sector overview
+• *ADD TCS* / *REMOVE TCS* / *LIST* / *WATCHLIST* – watchlist
+• *ALERT TCS ABOVE 4200* / *ALERTS* – price alerts
+• *BUY 10 TCS @ 3900* / *PORTFOLIO* – virtual portfolio
+• *DIGEST ON* / *VOICE ON* – daily digest / spoken summaries
+• *MENU* – the menu, *English* / *Hindi* / *Gujarati* – language
+
+You can also send a voice note.`,
+  hindi: `❓ *आप क्या भेज सकते हैं*
+
+• *TCS* या *TCS, Infosys* – स्टॉक का विश्लेषण
+• *TCS vs INFY* – 2-3 स्टॉक की तुलना
+• *FAST TCS* – AI के बिना जल्दी विश्लेषण
+• *SCORE TCS* / *RESULTS TCS* – स्कोरकार्ड / तिमाही नतीजे
+• *SECTOR IT* – सेक्टर की जानकारी
+• *ADD TCS* / *REMOVE TCS* / *LIST* / *WATCHLIST* – वॉचलिस्ट
+• *ALERT TCS ABOVE 4200* / *ALERTS* – प्राइस अलर्ट
+• *BUY 10 TCS @ 3900* / *PORTFOLIO* – वर्चुअल पोर्टफोलियो
+• *DIGEST ON* / *VOICE ON* – डेली डाइजेस्ट / आवाज़ में सारांश
+• *MENU* – मेनू, *English* / *Hindi* / *Gujarati* – भाषा
+
+आप वॉइस नोट भी भेज सकते हैं।`,
+  gujarati: `❓ *તમે શું મોકલી શકો છો*
+
+• *TCS* અથવા *TCS, Infosys* – સ્ટોકનું વિશ્લેષણ
+• *TCS vs INFY* – 2-3 સ્ટોકની સરખામણી
+• *FAST TCS* – AI વગર ઝડપી વિશ્લેષણ
+• *SCORE TCS* / *RESULTS TCS* – સ્કોરકાર્ડ / ત્રિમાસિક પરિણામો
+• *SECTOR IT* – સેક્ટરની માહિતી
+• *ADD TCS* / *REMOVE TCS* / *LIST* / *WATCHLIST* – વૉચલિસ્ટ
+• *ALERT TCS ABOVE 4200* / *ALERTS* – પ્રાઇસ એલર્ટ
+• *BUY 10 TCS @ 3900* / *PORTFOLIO* – વર્ચ્યુઅલ પોર્ટફોલિયો
+• *DIGEST ON* / *VOICE ON* – દૈનિક ડાયજેસ્ટ / અવાજમાં સારાંશ
+• *MENU* – મેનુ, *English* / *Hindi* / *Gujarati* – ભાષા
+
+તમે વોઇસ નોટ પણ મોકલી શકો છો.`,
+};
+
+// Shorten to a Cloud API length limit
+function fit(text, limit) {
+  const value = String(text || '').trim();
+  return value.length <= limit ? value : `${value.slice(0, limit - 1).trim()}…`;
+}
+
+function checkId(id) {
+  if (!id || id.length > MAX_ID) {
+    throw new Error(`Invalid interactive id "${id}"`);
+  }
+  return id;
+}
+
+// Up to 3 reply buttons: buttons = [{ id, title }]
+function buildButtonMessage({ body, buttons, footer }) {
+  if (buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+    throw new Error(`A button message needs 1-${MAX_BUTTONS} buttons, got ${buttons.length}`);
+  }
+
+  return {
+    type: 'button',
+    body: { text: fit(body, MAX_BODY) },
+    ...(footer ? { footer: { text: fit(footer, 60) } } : {}),
+    action: {
+      buttons: buttons.map(button => ({
+        type: 'reply',
+        reply: { id: checkId(button.id), title: fit(button.title, MAX_BUTTON_TITLE) },
+      })),
+    },
+  };
+}
+
+// A list behind one button: sections = [{ title, rows: [{ id, title, description }] }]
+function buildListMessage({ body, buttonText, sections, footer }) {
+  const rowCount = sections.reduce((count, section) => count + section.rows.length, 0);
+  if (rowCount === 0 || rowCount > MAX_LIST_ROWS) {
+    throw new Error(`A list message needs 1-${MAX_LIST_ROWS} rows, got ${rowCount}`);
+  }
+
+  return {
+    type: 'list',
+    body: { text: fit(body, MAX_BODY) },
+    ...(footer ? { footer: { text: fit(footer, 60) } } : {}),
+    action: {
+      button: fit(buttonText, MAX_BUTTON_TITLE),
+      sections: sections.map(section => ({
+        title: fit(section.title, MAX_SECTION_TITLE),
+        rows: section.rows.map(row => ({
+          id: checkId(row.id),
+          title: fit(row.title, MAX_ROW_TITLE),
+          ...(row.description ? { description: fit(row.description, MAX_ROW_DESCRIPTION) } : {}),
+        })),
+      })),
+    },
+  };
+}
+
+// The same choices as a text message with the command to send for each
+function toPlainText(interactive, language = 'english') {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  const options = interactive.type === 'list'
+    ? interactive.action.sections.flatMap(section => section.rows)
+    : interactive.action.buttons.map(button => button.reply);
+
+  return `${interactive.body.text}\n\n${options.map(option => t.plainOption(option.title, option.id)).join('\n')}`;
+}
+
+// First message to a new user; the ids are the language commands
+function buildLanguagePicker() {
+  return buildButtonMessage({
+    body: 'Welcome! Please choose your language.\nकृपया अपनी भाषा चुनें।\nકૃપા કરીને તમારી ભાષા પસંદ કરો.',
+    buttons: [
+      { id: 'English', title: 'English' },
+      { id: 'Hindi', title: 'हिंदी' },
+      { id: 'Gujarati', title: 'ગુજરાતી' },
+    ],
+  });
+}
+
+// Main menu; body replaces the default text (e.g. the "language set" message)
+function buildMainMenu(language = 'english', { body } = {}) {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  const row = (id, [title, description]) => ({ id, title, description });
+
+  return buildListMessage({
+    body: body || t.menuBody,
+    buttonText: t.menuButton,
+    sections: [{
+      title: t.menuSection,
+      rows: [
+        row('ANALYZE', t.analyze),
+        row('LIST', t.watchlist),
+        row('ALERTS', t.alerts),
+        row('HELP', t.help),
+      ],
+    }],
+  });
+}
+
+// Buttons after an analysis of these symbols, or null if there is nothing
+// to offer. A single stock gets "add to watchlist" (unless it is already
+// there) and "compare"; 2-3 stocks get "compare them".
+function buildAnalysisFollowUps(symbols, language = 'english', { watchlist = [] } = {}) {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  const buttons = [];
+
+  if (symbols.length === 1) {
+    if (!watchlist.includes(symbols[0])) {
+      buttons.push({ id: `ADD ${symbols[0]}`, title: t.addButton });
+    }
+    buttons.push({ id: `COMPARE ${symbols[0]}`, title: t.compareButton });
+  } else if (symbols.length === 2 || symbols.length === 3) {
+    buttons.push({ id: `COMPARE ${symbols.join(', ')}`, title: t.compareAllButton });
+  } else {
+    return null;
+  }
+  buttons.push({ id: 'MENU', title: t.menuShortcut });
+
+  return buildButtonMessage({ body: t.followUpBody, buttons });
+}
+
+// The command behind a tapped button or list row, or null
+function getInteractiveReplyCommand(interactive) {
+  if (!interactive) return null;
+  const reply = interactive.type === 'button_reply'
+    ? interactive.button_reply
+    : interactive.type === 'list_reply'
+      ? interactive.list_reply
+      : null;
+  return reply && reply.id ? reply.id : null;
+}
+
+function formatHelpMessage(language = 'english') {
+  return HELP_MESSAGES[language] || HELP_MESSAGES.gujarati;
+}
+
+module.exports = {
+  buildButtonMessage,
+  buildListMessage,
+  toPlainText,
+  buildLanguagePicker,
+  buildMainMenu,
+  buildAnalysisFollowUps,
+  getInteractiveReplyCommand,
+  formatHelpMessage,
+};
@@ -0,0 +1,85 @@
+const axios = require('axios');
+const { Blob } = require('buffer');
+
+// Downloads media sent to the bot (documents, voice notes) through the
+// Graph API: GET /{media-id} returns a short-lived URL, which is then
+// fetched with the same access token. The URL expires after a few minutes,
+// so it is looked up right before every download. Media the bot sends
+// (spoken replies) is uploaded first and then sent by its media id.
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function tooLargeError(size, maxBytes) {
+  const error = new Error(`Media is ${size ? `${size} bytes` : 'too large'}, over the ${maxBytes} byte limit`);
+  error.tooLarge = true;
+  return error;
+}
+
+class MetaMediaClient {
+  constructor({ graphApiUrl, accessToken, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    this.graphApiUrl = graphApiUrl;
+    this.accessToken = accessToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get headers() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  // { url, mime_type, file_size, sha256, id }
+  async getMediaInfo(mediaId) {
+    const response = await axios.get(`${this.graphApiUrl}/${mediaId}`, {
+      headers: this.headers,
+      timeout: this.timeoutMs,
+    });
+    return response.data;
+  }
+
+  // Download a media file as { data: Buffer, mimeType, size }. Files over
+  // maxBytes fail with error.tooLarge, before downloading when Meta reports the size.
+  async download(mediaId, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    const info = await this.getMediaInfo(mediaId);
+    if (info.file_size && info.file_size > maxBytes) {
+      throw tooLargeError(info.file_size, maxBytes);
+    }
+
+    let response;
+    try {
+      response = await axios.get(info.url, {
+        headers: this.headers,
+        timeout: this.timeoutMs,
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw tooLargeError(info.file_size, maxBytes);
+      }
+      throw error;
+    }
+
+    const data = Buffer.from(response.data);
+    return {
+      data,
+      mimeType: info.mime_type || response.headers['content-type'] || null,
+      size: data.length,
+    };
+  }
+
+  // Upload a file for sending from this phone number; returns its media id
+  async upload(phoneNumberId, data, { mimeType, filename }) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([data], { type: mimeType }), filename);
+
+    const response = await axios.post(`${this.graphApiUrl}/${phoneNumberId}/media`, form, {
+      headers: this.headers,
+      timeout: this.timeoutMs,
+    });
+    return response.data.id;
+  }
+}
+
+module.exports = MetaMediaClient;
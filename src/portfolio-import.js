@@ -0,0 +1,262 @@
+const { parseCsv } = require('./csv');
+const { symbolMaster } = require('./symbol-master');
+const { formatRupees } = require('./portfolio');
+
+// Portfolio import from broker CSV files sent as WhatsApp documents.
+// Holdings exports (Zerodha, Groww, Upstox) become one buy lot per row at
+// the average cost; tradebooks / contract notes become buys and sells.
+// Stock names are reconciled against the symbol master, and rows that
+// can't be read are reported back with the reason.
+
+// Brokers put a few title lines above the header in some exports
+const HEADER_SEARCH_ROWS = 20;
+
+const MAX_IMPORT_ROWS = 200;
+
+// Column names per format, compared without case, spaces or punctuation
+// ("Avg. cost" = "avgcost"). Tradebooks come first: holdings columns
+// would also match a tradebook, but tradebooks have a buy/sell column.
+const BROKER_FORMATS = [
+  {
+    broker: 'Tradebook',
+    kind: 'trades',
+    columns: {
+      symbol: ['Symbol', 'Trading Symbol', 'Scrip', 'Scrip Name', 'Security', 'Instrument'],
+      side: ['Trade Type', 'Buy/Sell', 'B/S', 'Side', 'Transaction Type'],
+      quantity: ['Quantity', 'Qty'],
+      price: ['Price', 'Trade Price', 'Rate', 'Net Rate per Unit'],
+    },
+  },
+  {
+    broker: 'Zerodha',
+    kind: 'holdings',
+    columns: {
+      symbol: ['Instrument', 'Symbol'],
+      quantity: ['Qty.', 'Quantity Available'],
+      price: ['Avg. cost', 'Average Price'],
+    },
+  },
+  {
+    broker: 'Groww',
+    kind: 'holdings',
+    columns: {
+      symbol: ['Stock Name'],
+      quantity: ['Quantity'],
+      price: ['Average buy price'],
+    },
+  },
+  {
+    broker: 'Upstox',
+    kind: 'holdings',
+    columns: {
+      symbol: ['Scrip Name', 'Company Name', 'Symbol', 'Instrument'],
+      quantity: ['Qty', 'Net Qty', 'Quantity'],
+      price: ['Avg Price', 'Avg. Price', 'Buy Avg', 'Average Price'],
+    },
+  },
+];
+
+// Exchange series suffixes on trading symbols (TATAMOTORS-BE)
+const SERIES_SUFFIX_PATTERN = /-(EQ|BE|BZ|SM|ST)$/i;
+
+function normalizeHeader(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Column index for each field of a format, or null if one is missing
+function matchColumns(headerRow, format) {
+  const headers = headerRow.map(normalizeHeader);
+  const indexes = {};
+  for (const [field, names] of Object.entries(format.columns)) {
+    const index = names.map(normalizeHeader).map(name => headers.indexOf(name)).find(i => i !== -1);
+    if (index === undefined) return null;
+    indexes[field] = index;
+  }
+  return indexes;
+}
+
+function findHeader(rows) {
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); rowIndex++) {
+    for (const format of BROKER_FORMATS) {
+      const columns = matchColumns(rows[rowIndex], format);
+      if (columns) return { rowIndex, format, columns };
+    }
+  }
+  return null;
+}
+
+function parseNumber(cell) {
+  const cleaned = String(cell || '').replace(/[₹,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return parseFloat(cleaned);
+}
+
+function parseSide(cell) {
+  const side = String(cell || '').trim().toLowerCase();
+  if (side === 'b' || side.startsWith('buy')) return 'buy';
+  if (side === 's' || side.startsWith('sell')) return 'sell';
+  return null;
+}
+
+// Known stock for a symbol or company name from the file, or null
+function reconcileSymbol(name) {
+  const resolution = symbolMaster.resolve(name.replace(SERIES_SUFFIX_PATTERN, ''));
+  return resolution.status === 'matched'
+    ? { symbol: resolution.match.symbol, companyName: resolution.match.name }
+    : null;
+}
+
+// Parse a CSV export. Returns { broker, kind, entries, failures } with
+// entries as { row, symbol, companyName, side, quantity, price } and
+// failures as { row, name, reason }; broker is null for unknown layouts.
+// Row numbers are the line numbers a spreadsheet would show.
+function parsePortfolioCsv(text) {
+  const rows = parseCsv(text);
+  const header = findHeader(rows);
+  if (!header) {
+    return { broker: null, kind: null, entries: [], failures: [] };
+  }
+
+  const { rowIndex, format, columns } = header;
+  const entries = [];
+  const failures = [];
+
+  rows.slice(rowIndex + 1).forEach((cells, index) => {
+    const row = rowIndex + index + 2;
+    const name = (cells[columns.symbol] || '').trim();
+
+    // Blank and total lines are not holdings
+    if (!name || /^total/i.test(name)) return;
+
+    if (entries.length + failures.length >= MAX_IMPORT_ROWS) {
+      failures.push({ row, name, reason: 'too_many_rows' });
+      return;
+    }
+
+    const quantity = parseNumber(cells[columns.quantity]);
+    const price = parseNumber(cells[columns.price]);
+    const side = format.kind === 'trades' ? parseSide(cells[columns.side]) : 'buy';
+
+    let reason = null;
+    if (!(quantity > 0)) reason = 'quantity';
+    else if (!(price > 0)) reason = 'price';
+    else if (!side) reason = 'side';
+
+    const stock = reason ? null : reconcileSymbol(name);
+    if (!reason && !stock) reason = 'unknown_stock';
+
+    if (reason) {
+      failures.push({ row, name, reason });
+      return;
+    }
+    entries.push({ row, symbol: stock.symbol, companyName: stock.companyName, side, quantity, price });
+  });
+
+  return { broker: format.broker, kind: format.kind, entries, failures };
+}
+
+// Replies shown after an import
+const MAX_LISTED_ENTRIES = 15;
+const MAX_LISTED_FAILURES = 10;
+
+const PHRASES = {
+  english: {
+    imported: (count, broker, kind) => `📥 Imported ${count} ${kind === 'trades' ? 'trades' : 'holdings'} from your ${broker} file:`,
+    more: count => `…and ${count} more`,
+    replaced: 'Holdings from your previous import were replaced.',
+    failedTitle: count => `⚠️ ${count} row(s) could not be imported:`,
+    reasons: {
+      quantity: 'quantity missing or not a number',
+      price: 'price missing or not a number',
+      side: 'buy/sell not recognised',
+      unknown_stock: 'stock not recognised',
+      too_many_rows: 'too many rows',
+    },
+    row: 'Row',
+    nothingImported: '❌ No rows could be imported.',
+    unrecognized: '❌ This file doesn\'t look like a holdings or tradebook export.\n\nSend the CSV holdings export from Zerodha, Groww or Upstox, or a tradebook with Symbol, Trade Type, Quantity and Price columns.',
+    notCsv: '📄 Please send the holdings export as a .csv file. Excel and PDF files can\'t be read yet.',
+    tooLarge: '📄 This file is too large. Please send a holdings export under 1 MB.',
+    failed: '❌ Could not read the file. Please try sending it again.',
+    footer: 'Send "PORTFOLIO" to see your holdings.',
+  },
+  hindi: {
+    imported: (count, broker, kind) => `📥 आपकी ${broker} फाइल से ${count} ${kind === 'trades' ? 'ट्रेड' : 'होल्डिंग्स'} इम्पोर्ट की गईं:`,
+    more: count => `…और ${count}`,
+    replaced: 'पिछली बार इम्पोर्ट की गई होल्डिंग्स बदल दी गईं।',
+    failedTitle: count => `⚠️ ${count} लाइन इम्पोर्ट नहीं हो सकीं:`,
+    reasons: {
+      quantity: 'मात्रा नहीं है या नंबर नहीं है',
+      price: 'भाव नहीं है या नंबर नहीं है',
+      side: 'खरीद/बिक्री समझ नहीं आई',
+      unknown_stock: 'स्टॉक पहचाना नहीं गया',
+      too_many_rows: 'बहुत ज़्यादा लाइनें',
+    },
+    row: 'लाइन',
+    nothingImported: '❌ कोई भी लाइन इम्पोर्ट नहीं हो सकी।',
+    unrecognized: '❌ यह फाइल होल्डिंग्स या ट्रेडबुक एक्सपोर्ट जैसी नहीं लगती।\n\nZerodha, Groww या Upstox का CSV होल्डिंग्स एक्सपोर्ट भेजें, या Symbol, Trade Type, Quantity और Price कॉलम वाली ट्रेडबुक भेजें।',
+    notCsv: '📄 कृपया होल्डिंग्स एक्सपोर्ट .csv फाइल के रूप में भेजें। Excel और PDF फाइलें अभी नहीं पढ़ी जा सकतीं।',
+    tooLarge: '📄 यह फाइल बहुत बड़ी है। कृपया 1 MB से छोटी होल्डिंग्स फाइल भेजें।',
+    failed: '❌ फाइल पढ़ी नहीं जा सकी। कृपया फिर से भेजें।',
+    footer: 'अपनी होल्डिंग्स देखने के लिए "PORTFOLIO" भेजें।',
+  },
+  gujarati: {
+    imported: (count, broker, kind) => `📥 તમારી ${broker} ફાઇલમાંથી ${count} ${kind === 'trades' ? 'ટ્રેડ' : 'હોલ્ડિંગ્સ'} ઇમ્પોર્ટ કર્યા:`,
+    more: count => `…અને ${count}`,
+    replaced: 'ગયા વખતે ઇમ્પોર્ટ કરેલા હોલ્ડિંગ્સ બદલી દેવામાં આવ્યા.',
+    failedTitle: count => `⚠️ ${count} લાઇન ઇમ્પોર્ટ થઈ શકી નથી:`,
+    reasons: {
+      quantity: 'જથ્થો નથી અથવા નંબર નથી',
+      price: 'ભાવ નથી અથવા નંબર નથી',
+      side: 'ખરીદી/વેચાણ સમજાયું નહીં',
+      unknown_stock: 'સ્ટોક ઓળખાયો નહીં',
+      too_many_rows: 'ઘણી બધી લાઇનો',
+    },
+    row: 'લાઇન',
+    nothingImported: '❌ કોઈ લાઇન ઇમ્પોર્ટ થઈ શકી નથી.',
+    unrecognized: '❌ આ ફાઇલ હોલ્ડિંગ્સ અથવા ટ્રેડબુક એક્સપોર્ટ જેવી લાગતી નથી.\n\nZerodha, Groww અથવા Upstox નો CSV હોલ્ડિંગ્સ એક્સપોર્ટ મોકલો, અથવા Symbol, Trade Type, Quantity અને Price કૉલમવાળી ટ્રેડબુક મોકલો.',
+    notCsv: '📄 કૃપા કરીને હોલ્ડિંગ્સ એક્સપોર્ટ .csv ફાઇલ તરીકે મોકલો. Excel અને PDF ફાઇલો હજી વાંચી શકાતી નથી.',
+    tooLarge: '📄 આ ફાઇલ ખૂબ મોટી છે. કૃપા કરીને 1 MB થી નાની હોલ્ડિંગ્સ ફાઇલ મોકલો.',
+    failed: '❌ ફાઇલ વાંચી શકાઈ નથી. કૃપા કરીને ફરીથી મોકલો.',
+    footer: 'તમારા હોલ્ડિંગ્સ જોવા માટે "PORTFOLIO" મોકલો.',
+  },
+};
+
+function getPhrases(language) {
+  return PHRASES[language] || PHRASES.gujarati;
+}
+
+// Summary of an import: what was added and which rows failed.
+// replacedCount is the number of earlier imported holdings removed.
+function formatImportMessage(result, { replacedCount = 0 } = {}, language = 'english') {
+  const t = getPhrases(language);
+  if (!result.broker) return t.unrecognized;
+
+  const sections = [];
+  if (result.entries.length > 0) {
+    const lines = result.entries.slice(0, MAX_LISTED_ENTRIES).map(entry =>
+      `• ${result.kind === 'trades' ? `${entry.side.toUpperCase()} ` : ''}${entry.symbol} – ${entry.quantity} @ ${formatRupees(entry.price)}`);
+    if (result.entries.length > MAX_LISTED_ENTRIES) lines.push(t.more(result.entries.length - MAX_LISTED_ENTRIES));
+    sections.push(`${t.imported(result.entries.length, result.broker, result.kind)}\n${lines.join('\n')}`);
+    if (replacedCount > 0) sections.push(t.replaced);
+  } else {
+    sections.push(t.nothingImported);
+  }
+
+  if (result.failures.length > 0) {
+    const lines = result.failures.slice(0, MAX_LISTED_FAILURES).map(failure =>
+      `• ${t.row} ${failure.row} (${failure.name}): ${t.reasons[failure.reason]}`);
+    if (result.failures.length > MAX_LISTED_FAILURES) lines.push(t.more(result.failures.length - MAX_LISTED_FAILURES));
+    sections.push(`${t.failedTitle(result.failures.length)}\n${lines.join('\n')}`);
+  }
+
+  if (result.entries.length > 0) sections.push(t.footer);
+  return sections.join('\n\n');
+}
+
+// Replies for files that were not imported: notCsv, tooLarge or failed
+function formatImportProblem(problem, language = 'english') {
+  return getPhrases(language)[problem];
+}
+
+module.exports = { parsePortfolioCsv, formatImportMessage, formatImportProblem };
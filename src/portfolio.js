@@ -0,0 +1,294 @@
+// Virtual portfolio: FIFO lot accounting over a user's BUY/SELL ledger
+// (stored by UserManager), valuation with live prices, and the replies for
+// BUY, SELL and PORTFOLIO. Sells use up the oldest lots first, so realized
+// P&L is sale proceeds minus the cost of those lots.
+
+// Quantities below this are treated as zero (float leftovers from partial lots)
+const QUANTITY_EPSILON = 1e-9;
+
+// Apply the transactions (oldest first) lot by lot. Returns every symbol
+// ever traded with its open lots and realized P&L, plus one entry per sale.
+function buildFifoLedger(transactions) {
+  const positions = new Map();
+  const sales = [];
+
+  transactions.forEach(transaction => {
+    if (!positions.has(transaction.symbol)) {
+      positions.set(transaction.symbol, {
+        symbol: transaction.symbol,
+        companyName: transaction.company_name || transaction.symbol,
+        lots: [],
+        realizedPnl: 0,
+      });
+    }
+    const position = positions.get(transaction.symbol);
+    if (transaction.company_name) position.companyName = transaction.company_name;
+
+    if (transaction.side === 'buy') {
+      position.lots.push({ quantity: transaction.quantity, price: transaction.price, tradedAt: transaction.traded_at });
+      return;
+    }
+
+    // Sell: consume the oldest lots; anything beyond the holding is ignored
+    let remaining = transaction.quantity;
+    let cost = 0;
+    while (remaining > QUANTITY_EPSILON && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const used = Math.min(lot.quantity, remaining);
+      cost += used * lot.price;
+      lot.quantity -= used;
+      remaining -= used;
+      if (lot.quantity <= QUANTITY_EPSILON) position.lots.shift();
+    }
+
+    const quantity = transaction.quantity - remaining;
+    const pnl = quantity * transaction.price - cost;
+    position.realizedPnl += pnl;
+    sales.push({ transactionId: transaction.id, symbol: transaction.symbol, quantity, price: transaction.price, cost, pnl });
+  });
+
+  const summarized = [...positions.values()].map(position => {
+    const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const cost = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    return {
+      ...position,
+      quantity,
+      cost,
+      averagePrice: quantity > QUANTITY_EPSILON ? cost / quantity : null,
+    };
+  });
+
+  return {
+    positions: summarized,
+    openPositions: summarized.filter(position => position.quantity > QUANTITY_EPSILON),
+    sales,
+    realizedPnl: summarized.reduce((sum, position) => sum + position.realizedPnl, 0),
+  };
+}
+
+// Value the open positions. quotes maps symbol -> fetchStockData result;
+// holdings without a price are listed in `unpriced` and left out of totals.
+function valuePortfolio(ledger, quotes) {
+  const holdings = ledger.openPositions.map(position => {
+    const quote = quotes[position.symbol];
+    const price = quote && quote.success ? parseFloat(quote.currentPrice) || null : null;
+    const value = price !== null ? price * position.quantity : null;
+    const percentChange = quote && quote.success ? quote.percentChange : null;
+
+    return {
+      symbol: position.symbol,
+      companyName: position.companyName,
+      industry: (quote && quote.industry) || null,
+      quantity: position.quantity,
+      averagePrice: position.averagePrice,
+      cost: position.cost,
+      price,
+      priceStale: Boolean(quote && quote.priceStale),
+      value,
+      unrealizedPnl: value !== null ? value - position.cost : null,
+      unrealizedPercent: value !== null && position.cost ? ((value - position.cost) / position.cost) * 100 : null,
+      dayChange: value !== null && percentChange !== null ? value - value / (1 + percentChange / 100) : null,
+    };
+  });
+
+  const priced = holdings.filter(holding => holding.value !== null);
+  const value = priced.reduce((sum, holding) => sum + holding.value, 0);
+  const pricedCost = priced.reduce((sum, holding) => sum + holding.cost, 0);
+  const dayChange = priced.reduce((sum, holding) => sum + (holding.dayChange || 0), 0);
+
+  const byIndustry = new Map();
+  priced.forEach(holding => {
+    const industry = holding.industry || 'Other';
+    byIndustry.set(industry, (byIndustry.get(industry) || 0) + holding.value);
+  });
+  const allocation = [...byIndustry.entries()]
+    .map(([industry, industryValue]) => ({ industry, value: industryValue, percent: value ? (industryValue / value) * 100 : 0 }))
+    .sort((a, b) => b.value - a.value);
+
+  return {
+    holdings,
+    unpriced: holdings.filter(holding => holding.value === null).map(holding => holding.symbol),
+    totals: {
+      invested: pricedCost,
+      value,
+      unrealizedPnl: value - pricedCost,
+      unrealizedPercent: pricedCost ? ((value - pricedCost) / pricedCost) * 100 : null,
+      realizedPnl: ledger.realizedPnl,
+      dayChange,
+      dayChangePercent: value - dayChange ? (dayChange / (value - dayChange)) * 100 : null,
+    },
+    allocation,
+  };
+}
+
+// Prices keep paise below ₹1,000; signed amounts (P&L) are whole rupees
+function formatRupees(amount, { signed = false } = {}) {
+  const sign = signed ? (amount > 0 ? '+' : amount < 0 ? '-' : '') : amount < 0 ? '-' : '';
+  const decimals = signed || Math.abs(amount) >= 1000 ? 0 : 2;
+  return `${sign}₹${Math.abs(amount).toLocaleString('en-IN', { maximumFractionDigits: decimals })}`;
+}
+
+function formatPercent(value) {
+  if (value === null || !Number.isFinite(value)) return 'N/A';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function formatQuantity(quantity) {
+  return Number(quantity.toFixed(4)).toString();
+}
+
+function trendIcon(amount) {
+  return amount > 0 ? '📈' : amount < 0 ? '📉' : '➖';
+}
+
+const PHRASES = {
+  english: {
+    title: '💼 *Your Portfolio*',
+    value: 'Value',
+    invested: 'invested',
+    unrealized: 'Unrealized P&L',
+    realized: 'Realized P&L',
+    today: 'Today',
+    holdings: '*Holdings:*',
+    now: 'Now',
+    pnl: 'P&L',
+    allocation: '*Allocation by industry:*',
+    staleNote: '⏱️ Some prices are from the last saved snapshot.',
+    unpriced: symbols => `⚠️ No price for ${symbols.join(', ')}, left out of the totals.`,
+    empty: '💼 Your portfolio is empty.\n\nRecord a purchase with: BUY 10 TCS @ 3900',
+    usage: '💼 *Portfolio*\n\nBUY 10 TCS @ 3900\nSELL 5 TCS @ 4100\nPORTFOLIO - value and profit/loss of your holdings',
+    bought: (quantity, symbol, price) => `✅ Recorded: bought ${quantity} ${symbol} @ ${price}`,
+    sold: (quantity, symbol, price) => `✅ Recorded: sold ${quantity} ${symbol} @ ${price}`,
+    realizedOnSale: pnl => `Realized P&L on this sale: ${pnl} (oldest shares sold first)`,
+    holdingNow: (quantity, symbol, average) => `You now hold ${quantity} ${symbol} (average cost ${average}).`,
+    closed: symbol => `Your ${symbol} position is now closed.`,
+    notHeld: symbol => `⚠️ You don't hold any ${symbol} in your portfolio.`,
+    tooMany: (held, symbol, quantity) => `⚠️ You hold only ${held} ${symbol}, so you can't sell ${quantity}.`,
+    footer: 'Send "PORTFOLIO" to see your holdings.',
+  },
+  hindi: {
+    title: '💼 *आपका पोर्टफोलियो*',
+    value: 'कुल वैल्यू',
+    invested: 'निवेश',
+    unrealized: 'अनरियलाइज़्ड मुनाफा/घाटा',
+    realized: 'रियलाइज़्ड मुनाफा/घाटा',
+    today: 'आज',
+    holdings: '*होल्डिंग्स:*',
+    now: 'अभी',
+    pnl: 'मुनाफा/घाटा',
+    allocation: '*इंडस्ट्री के हिसाब से बंटवारा:*',
+    staleNote: '⏱️ कुछ भाव पिछले सेव किए गए डेटा से हैं।',
+    unpriced: symbols => `⚠️ ${symbols.join(', ')} का भाव नहीं मिला, इन्हें कुल में नहीं जोड़ा गया।`,
+    empty: '💼 आपका पोर्टफोलियो खाली है।\n\nखरीद दर्ज करने के लिए भेजें: BUY 10 TCS @ 3900',
+    usage: '💼 *पोर्टफोलियो*\n\nBUY 10 TCS @ 3900\nSELL 5 TCS @ 4100\nPORTFOLIO - आपकी होल्डिंग्स की वैल्यू और मुनाफा/घाटा',
+    bought: (quantity, symbol, price) => `✅ दर्ज किया: ${quantity} ${symbol} खरीदे @ ${price}`,
+    sold: (quantity, symbol, price) => `✅ दर्ज किया: ${quantity} ${symbol} बेचे @ ${price}`,
+    realizedOnSale: pnl => `इस बिक्री पर मुनाफा/घाटा: ${pnl} (सबसे पुराने शेयर पहले बेचे गए)`,
+    holdingNow: (quantity, symbol, average) => `अब आपके पास ${quantity} ${symbol} हैं (औसत लागत ${average})।`,
+    closed: symbol => `आपकी ${symbol} पोज़िशन अब बंद हो गई है।`,
+    notHeld: symbol => `⚠️ आपके पोर्टफोलियो में ${symbol} नहीं है।`,
+    tooMany: (held, symbol, quantity) => `⚠️ आपके पास सिर्फ ${held} ${symbol} हैं, इसलिए आप ${quantity} नहीं बेच सकते।`,
+    footer: 'अपनी होल्डिंग्स देखने के लिए "PORTFOLIO" भेजें।',
+  },
+  gujarati: {
+    title: '💼 *તમારો પોર્ટફોલિયો*',
+    value: 'કુલ વેલ્યુ',
+    invested: 'રોકાણ',
+    unrealized: 'અનરિયલાઇઝ્ડ નફો/નુકસાન',
+    realized: 'રિયલાઇઝ્ડ નફો/નુકસાન',
+    today: 'આજે',
+    holdings: '*હોલ્ડિંગ્સ:*',
+    now: 'હમણાં',
+    pnl: 'નફો/નુકસાન',
+    allocation: '*ઇન્ડસ્ટ્રી પ્રમાણે વહેંચણી:*',
+    staleNote: '⏱️ કેટલાક ભાવ છેલ્લા સેવ કરેલા ડેટામાંથી છે.',
+    unpriced: symbols => `⚠️ ${symbols.join(', ')} નો ભાવ મળ્યો નથી, તેને કુલમાં ઉમેર્યા નથી.`,
+    empty: '💼 તમારો પોર્ટફોલિયો ખાલી છે.\n\nખરીદી નોંધવા માટે મોકલો: BUY 10 TCS @ 3900',
+    usage: '💼 *પોર્ટફોલિયો*\n\nBUY 10 TCS @ 3900\nSELL 5 TCS @ 4100\nPORTFOLIO - તમારા હોલ્ડિંગ્સની વેલ્યુ અને નફો/નુકસાન',
+    bought: (quantity, symbol, price) => `✅ નોંધ્યું: ${quantity} ${symbol} ખરીદ્યા @ ${price}`,
+    sold: (quantity, symbol, price) => `✅ નોંધ્યું: ${quantity} ${symbol} વેચ્યા @ ${price}`,
+    realizedOnSale: pnl => `આ વેચાણ પર નફો/નુકસાન: ${pnl} (સૌથી જૂના શેર પહેલા વેચાયા)`,
+    holdingNow: (quantity, symbol, average) => `હવે તમારી પાસે ${quantity} ${symbol} છે (સરેરાશ કિંમત ${average}).`,
+    closed: symbol => `તમારી ${symbol} પોઝિશન હવે બંધ થઈ ગઈ છે.`,
+    notHeld: symbol => `⚠️ તમારા પોર્ટફોલિયોમાં ${symbol} નથી.`,
+    tooMany: (held, symbol, quantity) => `⚠️ તમારી પાસે ફક્ત ${held} ${symbol} છે, એટલે તમે ${quantity} વેચી શકતા નથી.`,
+    footer: 'તમારા હોલ્ડિંગ્સ જોવા માટે "PORTFOLIO" મોકલો.',
+  },
+};
+
+// Like the reply ternaries in the server, any language other than english
+// or hindi gets the gujarati text
+function getPhrases(language) {
+  return PHRASES[language] || PHRASES.gujarati;
+}
+
+// PORTFOLIO reply. Holdings are separate paragraphs so a long portfolio
+// splits cleanly between stocks.
+function formatPortfolioMessage(valuation, language = 'english') {
+  const t = getPhrases(language);
+  if (!valuation || valuation.holdings.length === 0) {
+    return valuation && valuation.totals.realizedPnl
+      ? `${t.empty}\n\n*${t.realized}:* ${formatRupees(valuation.totals.realizedPnl, { signed: true })}`
+      : t.empty;
+  }
+
+  const { totals } = valuation;
+  const summary = [
+    `*${t.value}:* ${formatRupees(totals.value)} (${t.invested} ${formatRupees(totals.invested)})`,
+    `*${t.unrealized}:* ${trendIcon(totals.unrealizedPnl)} ${formatRupees(totals.unrealizedPnl, { signed: true })} (${formatPercent(totals.unrealizedPercent)})`,
+    `*${t.realized}:* ${formatRupees(totals.realizedPnl, { signed: true })}`,
+    `*${t.today}:* ${trendIcon(totals.dayChange)} ${formatRupees(totals.dayChange, { signed: true })} (${formatPercent(totals.dayChangePercent)})`,
+  ];
+
+  const holdings = valuation.holdings.map(holding => {
+    const header = `*${holding.symbol}* – ${formatQuantity(holding.quantity)} @ ${formatRupees(holding.averagePrice)}`;
+    if (holding.value === null) return header;
+    return `${header}\n   ${t.now} ${formatRupees(holding.price)}${holding.priceStale ? ' ⏱️' : ''} | ${t.pnl} ${formatRupees(holding.unrealizedPnl, { signed: true })} (${formatPercent(holding.unrealizedPercent)}) | ${t.today} ${formatRupees(holding.dayChange || 0, { signed: true })}`;
+  });
+
+  const sections = [t.title, summary.join('\n'), t.holdings, ...holdings];
+  if (valuation.allocation.length > 0) {
+    sections.push(`${t.allocation}\n${valuation.allocation.map(entry => `• ${entry.industry}: ${entry.percent.toFixed(0)}%`).join('\n')}`);
+  }
+  if (valuation.holdings.some(holding => holding.priceStale)) sections.push(t.staleNote);
+  if (valuation.unpriced.length > 0) sections.push(t.unpriced(valuation.unpriced));
+
+  return sections.join('\n\n');
+}
+
+// Reply to a recorded BUY or SELL. position is the symbol's ledger entry
+// after the trade; sale is the FIFO result of a SELL.
+function formatTradeMessage({ side, symbol, quantity, price, position, sale }, language = 'english') {
+  const t = getPhrases(language);
+  const lines = [
+    side === 'buy'
+      ? t.bought(formatQuantity(quantity), symbol, formatRupees(price))
+      : t.sold(formatQuantity(quantity), symbol, formatRupees(price)),
+  ];
+  if (sale) lines.push(t.realizedOnSale(formatRupees(sale.pnl, { signed: true })));
+  lines.push(position && position.quantity > QUANTITY_EPSILON
+    ? t.holdingNow(formatQuantity(position.quantity), symbol, formatRupees(position.averagePrice))
+    : t.closed(symbol));
+
+  return `${lines.join('\n')}\n\n${t.footer}`;
+}
+
+// Reply when a SELL is larger than the holding (held = 0 for none)
+function formatSellRejectedMessage(symbol, held, quantity, language = 'english') {
+  const t = getPhrases(language);
+  return held > QUANTITY_EPSILON ? t.tooMany(formatQuantity(held), symbol, formatQuantity(quantity)) : t.notHeld(symbol);
+}
+
+function formatPortfolioUsage(language = 'english') {
+  return getPhrases(language).usage;
+}
+
+module.exports = {
+  buildFifoLedger,
+  formatRupees,
+  valuePortfolio,
+  formatPortfolioMessage,
+  formatTradeMessage,
+  formatSellRejectedMessage,
+  formatPortfolioUsage,
+};
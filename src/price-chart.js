@@ -0,0 +1,319 @@
+const zlib = require('zlib');
+
+// Price chart as a PNG, drawn in plain JavaScript (no browser or canvas
+// library): one year of daily closes, the 52-week high and low as bands
+// with their levels, and a marker at the current price. Pixels go into an
+// RGB buffer, text uses a 5x7 bitmap font, and the image is encoded with
+// zlib's deflate.
+
+const WIDTH = 800;
+const HEIGHT = 450;
+
+// Plot area margins; the right margin holds the current price label
+const MARGIN = { left: 20, right: 120, top: 70, bottom: 40 };
+
+// Bands cover the top and bottom 5% of the 52-week range
+const BAND_FRACTION = 0.05;
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [235, 238, 242],
+  axis: [180, 186, 194],
+  text: [40, 44, 52],
+  muted: [120, 126, 136],
+  line: [33, 102, 204],
+  high: [214, 69, 65],
+  low: [46, 160, 67],
+  current: [245, 130, 32],
+  labelText: [255, 255, 255],
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// 5x7 glyphs, one number per row, bit 4 is the leftmost pixel
+const FONT = {
+  '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  A: [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11],
+  B: [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  C: [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  D: [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  E: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  F: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  G: [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  H: [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  I: [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  M: [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  P: [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  Q: [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  R: [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  S: [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  T: [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  X: [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  Z: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+  '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// --- Drawing on an RGB buffer ---
+
+function createCanvas(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = background[0];
+    pixels[i + 1] = background[1];
+    pixels[i + 2] = background[2];
+  }
+  return { width, height, pixels };
+}
+
+// alpha < 1 blends the color over what is already there
+function setPixel(canvas, x, y, color, alpha = 1) {
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+
+  const offset = (y * canvas.width + x) * 3;
+  for (let c = 0; c < 3; c++) {
+    canvas.pixels[offset + c] = Math.round(color[c] * alpha + canvas.pixels[offset + c] * (1 - alpha));
+  }
+}
+
+function fillRect(canvas, x0, y0, x1, y1, color, alpha = 1) {
+  const [left, right] = [Math.round(Math.min(x0, x1)), Math.round(Math.max(x0, x1))];
+  const [top, bottom] = [Math.round(Math.min(y0, y1)), Math.round(Math.max(y0, y1))];
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      setPixel(canvas, x, y, color, alpha);
+    }
+  }
+}
+
+// Line with a square brush of the given thickness
+function drawLine(canvas, x0, y0, x1, y1, color, thickness = 1) {
+  const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+  const half = Math.floor(thickness / 2);
+  for (let i = 0; i <= steps; i++) {
+    const x = Math.round(x0 + ((x1 - x0) * i) / steps);
+    const y = Math.round(y0 + ((y1 - y0) * i) / steps);
+    fillRect(canvas, x - half, y - half, x - half + thickness - 1, y - half + thickness - 1, color);
+  }
+}
+
+function drawDashedHorizontalLine(canvas, x0, x1, y, color, { dash = 6, gap = 4, thickness = 1 } = {}) {
+  for (let x = x0; x <= x1; x += dash + gap) {
+    drawLine(canvas, x, y, Math.min(x + dash - 1, x1), y, color, thickness);
+  }
+}
+
+function fillCircle(canvas, cx, cy, radius, color) {
+  for (let y = -radius; y <= radius; y++) {
+    for (let x = -radius; x <= radius; x++) {
+      if (x * x + y * y <= radius * radius) {
+        setPixel(canvas, cx + x, cy + y, color);
+      }
+    }
+  }
+}
+
+function textWidth(text, scale) {
+  return text.length * (GLYPH_WIDTH + 1) * scale - scale;
+}
+
+// Upper-case text with the bitmap font; unknown characters are blank
+function drawText(canvas, text, x, y, color, scale = 2) {
+  const chars = String(text).toUpperCase().split('');
+  chars.forEach((char, index) => {
+    const glyph = FONT[char];
+    if (!glyph) return;
+    const left = x + index * (GLYPH_WIDTH + 1) * scale;
+    glyph.forEach((row, rowIndex) => {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (row & (1 << (GLYPH_WIDTH - 1 - col))) {
+          fillRect(canvas, left + col * scale, y + rowIndex * scale, left + (col + 1) * scale - 1, y + (rowIndex + 1) * scale - 1, color);
+        }
+      }
+    });
+  });
+}
+
+// --- PNG encoding ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// 8-bit RGB PNG; every scanline uses filter type 0 (none)
+function encodePng(canvas) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(canvas.width, 0);
+  header.writeUInt32BE(canvas.height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter method
+  header[12] = 0; // no interlace
+
+  const rowLength = canvas.width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * canvas.height);
+  for (let y = 0; y < canvas.height; y++) {
+    canvas.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// --- Chart ---
+
+// 4322.95 -> "4,322.95" (Indian digit grouping)
+function formatPrice(value) {
+  return Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// "2025-11-05" -> "NOV 25"
+function formatMonth(date) {
+  const [year, month] = date.split('-');
+  return `${MONTHS[parseInt(month) - 1]} ${year.slice(2)}`;
+}
+
+// Text with a white backing so it stays readable over the line and bands
+function drawLabel(canvas, text, x, y, color, scale = 2) {
+  const width = textWidth(text, scale);
+  fillRect(canvas, x - 3, y - 3, x + width + 2, y + GLYPH_HEIGHT * scale + 2, COLORS.background, 0.85);
+  drawText(canvas, text, x, y, color, scale);
+}
+
+// points: [{ date, close }] oldest first. Returns a PNG Buffer, or null
+// with fewer than two points.
+function renderPriceChart({ symbol, points, currentPrice, yearHigh, yearLow, width = WIDTH, height = HEIGHT }) {
+  const closes = (points || []).map(point => point.close).filter(close => close > 0);
+  if (closes.length < 2) return null;
+
+  const price = parseFloat(currentPrice) || closes[closes.length - 1];
+  const high = parseFloat(yearHigh) || Math.max(...closes);
+  const low = parseFloat(yearLow) || Math.min(...closes);
+
+  const canvas = createCanvas(width, height, COLORS.background);
+  const plot = {
+    left: MARGIN.left,
+    right: width - MARGIN.right,
+    top: MARGIN.top,
+    bottom: height - MARGIN.bottom,
+  };
+
+  // Price scale with some room above the high and below the low
+  const dataMax = Math.max(high, price, ...closes);
+  const dataMin = Math.min(low, price, ...closes);
+  const padding = (dataMax - dataMin || dataMax * 0.1) * 0.08;
+  const scaleMax = dataMax + padding;
+  const scaleMin = Math.max(0, dataMin - padding);
+  const yFor = value => plot.bottom - ((value - scaleMin) / (scaleMax - scaleMin)) * (plot.bottom - plot.top);
+  const xFor = index => plot.left + (index * (plot.right - plot.left)) / (closes.length - 1);
+
+  // Grid and axis
+  for (let i = 0; i <= 4; i++) {
+    const y = Math.round(plot.top + (i * (plot.bottom - plot.top)) / 4);
+    drawLine(canvas, plot.left, y, plot.right, y, COLORS.grid);
+  }
+  drawLine(canvas, plot.left, plot.bottom, plot.right, plot.bottom, COLORS.axis);
+
+  // 52-week high and low bands, with the levels as solid lines
+  const bandHeight = (high - low) * BAND_FRACTION;
+  fillRect(canvas, plot.left, yFor(high), plot.right, yFor(high - bandHeight), COLORS.high, 0.12);
+  fillRect(canvas, plot.left, yFor(low), plot.right, yFor(low + bandHeight), COLORS.low, 0.12);
+  drawLine(canvas, plot.left, Math.round(yFor(high)), plot.right, Math.round(yFor(high)), COLORS.high);
+  drawLine(canvas, plot.left, Math.round(yFor(low)), plot.right, Math.round(yFor(low)), COLORS.low);
+
+  // Price line
+  for (let i = 1; i < closes.length; i++) {
+    drawLine(canvas, Math.round(xFor(i - 1)), Math.round(yFor(closes[i - 1])), Math.round(xFor(i)), Math.round(yFor(closes[i])), COLORS.line, 2);
+  }
+
+  // Current price: dashed level, dot at the last close and a label in the margin
+  const currentY = Math.round(yFor(price));
+  drawDashedHorizontalLine(canvas, plot.left, plot.right, currentY, COLORS.current, { thickness: 2 });
+  fillCircle(canvas, Math.round(xFor(closes.length - 1)), Math.round(yFor(closes[closes.length - 1])), 5, COLORS.current);
+  const priceText = formatPrice(price);
+  const labelTop = Math.min(Math.max(currentY - 10, plot.top - 10), plot.bottom - 10);
+  fillRect(canvas, plot.right + 6, labelTop, plot.right + 12 + textWidth(priceText, 2), labelTop + 20, COLORS.current);
+  drawText(canvas, priceText, plot.right + 9, labelTop + 3, COLORS.labelText, 2);
+
+  // Level labels just outside the bands
+  drawLabel(canvas, `52W HIGH ${formatPrice(high)}`, plot.left + 6, Math.round(yFor(high)) - 20, COLORS.high);
+  drawLabel(canvas, `52W LOW ${formatPrice(low)}`, plot.left + 6, Math.round(yFor(low)) + 6, COLORS.low);
+
+  // Title with the change over the period
+  const change = ((closes[closes.length - 1] - closes[0]) / closes[0]) * 100;
+  drawText(canvas, symbol || '', MARGIN.left, 20, COLORS.text, 3);
+  const changeText = `${change >= 0 ? '+' : ''}${change.toFixed(1)}% 1Y`;
+  drawText(canvas, changeText, MARGIN.left + textWidth(symbol || '', 3) + 18, 27, change >= 0 ? COLORS.low : COLORS.high, 2);
+
+  // First, middle and last month under the axis
+  const dates = points.filter(point => point.close > 0).map(point => point.date);
+  [0, Math.floor((dates.length - 1) / 2), dates.length - 1].forEach((index, position) => {
+    const text = formatMonth(dates[index]);
+    const x = position === 0
+      ? plot.left
+      : position === 2
+        ? plot.right - textWidth(text, 2)
+        : xFor(index) - textWidth(text, 2) / 2;
+    drawText(canvas, text, Math.round(x), plot.bottom + 12, COLORS.muted, 2);
+  });
+
+  return encodePng(canvas);
+}
+
+module.exports = { renderPriceChart, encodePng, crc32 };
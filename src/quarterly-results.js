@@ -0,0 +1,189 @@
+const { getStatements, round, formatCrore } = require('./financials');
+
+// Quarterly results from the interim statements in `financials`: the
+// latest quarter compared with the previous quarter (QoQ) and with the
+// same quarter a year earlier (YoY), plus the recent quarter history.
+// Quarters are labelled with the Indian fiscal year: Q1 FY2026 = Apr-Jun 2025.
+
+const DEFAULT_MAX_QUARTERS = 8;
+
+// Changes smaller than this (in % or percentage points) count as flat
+const FLAT_CHANGE_THRESHOLD = 1;
+
+function margin(numerator, revenue) {
+  return numerator !== null && revenue ? round((numerator / revenue) * 100) : null;
+}
+
+function growth(current, previous) {
+  if (current === null || previous === null || !previous) return null;
+  return round(((current - previous) / Math.abs(previous)) * 100);
+}
+
+function toQuarter(statement) {
+  return {
+    label: statement.period ? `Q${statement.period} FY${statement.fiscalYear}` : statement.endDate,
+    fiscalYear: Number(statement.fiscalYear),
+    period: statement.period,
+    endDate: statement.endDate,
+    revenue: statement.revenue,
+    netIncome: statement.netIncome,
+    operatingIncome: statement.operatingIncome,
+    netMargin: margin(statement.netIncome, statement.revenue),
+    operatingMargin: margin(statement.operatingIncome, statement.revenue),
+  };
+}
+
+// Growth of revenue and profit, and margin change in percentage points
+function compareQuarters(current, previous) {
+  if (!previous) return null;
+  return {
+    against: previous.label,
+    revenueGrowth: growth(current.revenue, previous.revenue),
+    netIncomeGrowth: growth(current.netIncome, previous.netIncome),
+    netMarginChange: current.netMargin !== null && previous.netMargin !== null
+      ? round(current.netMargin - previous.netMargin)
+      : null,
+    operatingMarginChange: current.operatingMargin !== null && previous.operatingMargin !== null
+      ? round(current.operatingMargin - previous.operatingMargin)
+      : null,
+  };
+}
+
+// Same quarter one year earlier, by fiscal period or else by end month
+function findYearAgoQuarter(quarters, latest) {
+  return quarters.find(quarter => {
+    if (latest.period && quarter.period) {
+      return quarter.period === latest.period && quarter.fiscalYear === latest.fiscalYear - 1;
+    }
+    if (!latest.endDate || !quarter.endDate) return false;
+    const [year, month] = latest.endDate.split('-');
+    return quarter.endDate.startsWith(`${Number(year) - 1}-${month}`);
+  }) || null;
+}
+
+// Quarterly results for a raw /stock API response, or null without interims
+function computeQuarterlyResults(stockData, { maxQuarters = DEFAULT_MAX_QUARTERS } = {}) {
+  const quarters = getStatements(stockData, 'Interim')
+    .map(toQuarter)
+    .filter(quarter => quarter.revenue !== null || quarter.netIncome !== null)
+    .slice(-maxQuarters);
+
+  if (quarters.length === 0) return null;
+
+  const latest = quarters[quarters.length - 1];
+  return {
+    latest,
+    qoq: compareQuarters(latest, quarters.length > 1 ? quarters[quarters.length - 2] : null),
+    yoy: compareQuarters(latest, findYearAgoQuarter(quarters, latest)),
+    quarters,
+  };
+}
+
+function formatSigned(value, unit = '%') {
+  if (value === null) return 'N/A';
+  return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+// Table for the analysis prompt
+function formatQuarterlyForPrompt(results) {
+  if (!results) return 'Not available';
+
+  const { latest, qoq, yoy } = results;
+  const rows = [
+    ['Latest Quarter', `${latest.label} (ended ${latest.endDate})`],
+    ['Revenue', `₹${formatCrore(latest.revenue)} crores (QoQ ${formatSigned(qoq?.revenueGrowth ?? null)}, YoY ${formatSigned(yoy?.revenueGrowth ?? null)})`],
+    ['Net Profit', `₹${formatCrore(latest.netIncome)} crores (QoQ ${formatSigned(qoq?.netIncomeGrowth ?? null)}, YoY ${formatSigned(yoy?.netIncomeGrowth ?? null)})`],
+    ['Net Margin', `${latest.netMargin ?? 'N/A'}% (QoQ ${formatSigned(qoq?.netMarginChange ?? null, ' pp')}, YoY ${formatSigned(yoy?.netMarginChange ?? null, ' pp')})`],
+    ['Recent Quarters', results.quarters.map(q => `${q.label}: ₹${formatCrore(q.revenue)} / ₹${formatCrore(q.netIncome)}`).join('; ')],
+  ];
+
+  return [
+    '| Quarterly Info      | Value                                 |',
+    '|---------------------|---------------------------------------|',
+    ...rows.map(([name, value]) => `| ${name.padEnd(19)} | ${value} |`),
+  ].join('\n');
+}
+
+// Labels for the RESULTS chat reply
+const MESSAGE_PHRASES = {
+  english: {
+    title: (company, label) => `📑 *${company} – Quarterly Results (${label})*`,
+    revenue: 'Revenue',
+    netIncome: 'Net Profit',
+    netMargin: 'Net Margin',
+    operatingMargin: 'Operating Margin',
+    qoq: 'QoQ',
+    yoy: 'YoY',
+    crore: 'crore',
+    history: count => `*Last ${count} quarters (revenue / profit, ₹ crore):*`,
+    noYoy: 'The same quarter last year is not available for comparison.',
+    noData: company => `❌ ${company}: Quarterly results are not available.`,
+  },
+  hindi: {
+    title: (company, label) => `📑 *${company} – तिमाही नतीजे (${label})*`,
+    revenue: 'कारोबार (रेवेन्यू)',
+    netIncome: 'नेट प्रोफिट',
+    netMargin: 'नेट मार्जिन',
+    operatingMargin: 'ऑपरेटिंग मार्जिन',
+    qoq: 'पिछली तिमाही से',
+    yoy: 'पिछले साल से',
+    crore: 'करोड़',
+    history: count => `*पिछली ${count} तिमाहियाँ (रेवेन्यू / प्रोफिट, ₹ करोड़):*`,
+    noYoy: 'पिछले साल की इसी तिमाही का डेटा उपलब्ध नहीं है।',
+    noData: company => `❌ ${company}: तिमाही नतीजे उपलब्ध नहीं हैं।`,
+  },
+  gujarati: {
+    title: (company, label) => `📑 *${company} – ત્રિમાસિક પરિણામો (${label})*`,
+    revenue: 'આવક (રેવન્યુ)',
+    netIncome: 'નેટ નફો',
+    netMargin: 'નેટ માર્જિન',
+    operatingMargin: 'ઓપરેટિંગ માર્જિન',
+    qoq: 'ગયા ક્વાર્ટરથી',
+    yoy: 'ગયા વર્ષથી',
+    crore: 'કરોડ',
+    history: count => `*છેલ્લા ${count} ક્વાર્ટર (રેવન્યુ / નફો, ₹ કરોડ):*`,
+    noYoy: 'ગયા વર્ષના આ જ ક્વાર્ટરનો ડેટા ઉપલબ્ધ નથી.',
+    noData: company => `❌ ${company}: ત્રિમાસિક પરિણામો ઉપલબ્ધ નથી.`,
+  },
+};
+
+function changeIcon(value) {
+  if (value === null) return '⚠️';
+  if (value >= FLAT_CHANGE_THRESHOLD) return '✅';
+  return value <= -FLAT_CHANGE_THRESHOLD ? '❌' : '⚠️';
+}
+
+// WhatsApp reply for the RESULTS command
+function formatResultsMessage(companyName, results, language = 'english') {
+  const t = MESSAGE_PHRASES[language] || MESSAGE_PHRASES.gujarati;
+  if (!results) return t.noData(companyName);
+
+  const { latest, qoq, yoy } = results;
+  const changeLine = (field, unit) => [[t.qoq, qoq], [t.yoy, yoy]]
+    .filter(([, comparison]) => comparison)
+    .map(([name, comparison]) => `${changeIcon(comparison[field])} ${name} ${formatSigned(comparison[field], unit)}`)
+    .join(' | ');
+
+  const lines = [
+    `*${t.revenue}:* ₹${formatCrore(latest.revenue)} ${t.crore}`,
+    `   ${changeLine('revenueGrowth', '%')}`,
+    `*${t.netIncome}:* ₹${formatCrore(latest.netIncome)} ${t.crore}`,
+    `   ${changeLine('netIncomeGrowth', '%')}`,
+  ];
+  if (latest.netMargin !== null) {
+    lines.push(`*${t.netMargin}:* ${latest.netMargin}%`, `   ${changeLine('netMarginChange', ' pp')}`);
+  }
+  if (latest.operatingMargin !== null) {
+    lines.push(`*${t.operatingMargin}:* ${latest.operatingMargin}%`, `   ${changeLine('operatingMarginChange', ' pp')}`);
+  }
+  if (!yoy) lines.push(`\n${t.noYoy}`);
+
+  const history = results.quarters
+    .slice()
+    .reverse()
+    .map(quarter => `${quarter.label}: ${formatCrore(quarter.revenue)} / ${formatCrore(quarter.netIncome)}`);
+
+  return `${t.title(companyName, latest.label)}\n\n${lines.join('\n')}\n\n${t.history(history.length)}\n${history.join('\n')}`;
+}
+
+module.exports = { computeQuarterlyResults, formatQuarterlyForPrompt, formatResultsMessage };
@@ -0,0 +1,227 @@
+const { getISTParts, formatISTTime } = require('./market-time');
+
+// Per-user and global limits on how much work WhatsApp messages can trigger.
+//
+//  - Burst limit: an in-memory token bucket per phone number, checked for
+//    every message (commands included).
+//  - Daily quota: stock analyses per user per IST day, stored on the users
+//    row so it survives restarts. Admins can set a per-user quota or exempt
+//    a number from both per-user limits.
+//  - Spend ceiling: estimated AI cost of all analyses per IST day.
+//    Applies to everyone, exempt users included. Only analyses that call
+//    the LLM are charged; rule-based (FAST), COMPARE and cached analyses
+//    cost nothing.
+//
+// Daily quotas are reserved before the analysis runs, so concurrent
+// requests can't overshoot them, and released again when the analysis
+// fails and is retried. Spend is charged per stock just before its LLM
+// call, once the analysis is known not to come from the cache.
+
+const DEFAULT_BURST = 5;
+const DEFAULT_REFILL_PER_MINUTE = 3;
+const DEFAULT_DAILY_QUOTA = 20;
+const DEFAULT_SPEND_CEILING_USD = 10;
+const DEFAULT_ANALYSIS_COST_USD = 0.003;
+
+// Idle buckets are full again, so they can be dropped
+const BUCKET_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class RateLimiter {
+  constructor({
+    userManager,
+    burst = parseInt(process.env.RATE_LIMIT_BURST) || DEFAULT_BURST,
+    refillPerMinute = parseFloat(process.env.RATE_LIMIT_REFILL_PER_MINUTE) || DEFAULT_REFILL_PER_MINUTE,
+    dailyQuota = parseInt(process.env.DAILY_ANALYSIS_QUOTA) || DEFAULT_DAILY_QUOTA,
+    spendCeilingUsd = parseFloat(process.env.DAILY_SPEND_CEILING_USD) || DEFAULT_SPEND_CEILING_USD,
+    analysisCostUsd = parseFloat(process.env.ANALYSIS_COST_ESTIMATE_USD) || DEFAULT_ANALYSIS_COST_USD,
+  }) {
+    this.userManager = userManager;
+    this.burst = burst;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.dailyQuota = dailyQuota;
+    this.spendCeilingUsd = spendCeilingUsd;
+    this.analysisCostUsd = analysisCostUsd;
+    this.buckets = new Map(); // phone number -> { tokens, updatedAt, notified }
+    this.lastSweep = Date.now();
+    this.counters = { blocked_burst: 0, blocked_quota: 0, blocked_spend: 0 };
+  }
+
+  // Take one token for an incoming message.
+  // Returns { allowed, resetAt, notify } - notify is true only for the first
+  // blocked message, so a spammer gets one "slow down" reply, not one each.
+  async checkMessage(phoneNumber, now = Date.now()) {
+    const limits = await this.userManager.getUsageLimits(phoneNumber);
+    if (limits && limits.rate_limit_exempt) {
+      return { allowed: true };
+    }
+
+    this.sweepBuckets(now);
+
+    const bucket = this.buckets.get(phoneNumber) || { tokens: this.burst, updatedAt: now, notified: false };
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(phoneNumber, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+      return { allowed: true };
+    }
+
+    this.counters.blocked_burst += 1;
+    const notify = !bucket.notified;
+    bucket.notified = true;
+
+    return {
+      allowed: false,
+      reason: 'burst',
+      resetAt: new Date(now + Math.ceil((1 - bucket.tokens) / this.refillPerMs)),
+      notify,
+    };
+  }
+
+  // Reserve `count` stock analyses for a request. Requests that may call
+  // the LLM (usesLLM) are refused once the spend ceiling is reached.
+  // Returns { allowed: true, dateKey } or { allowed: false, reason: 'quota'|'spend', resetAt, quota, remaining }.
+  async reserveAnalyses(phoneNumber, count, { usesLLM = true, now = new Date() } = {}) {
+    const { dateKey } = getISTParts(now);
+    const resetAt = nextISTMidnight(now);
+
+    const fitsQuota = await this.userManager.reserveDailyAnalyses(phoneNumber, dateKey, count, this.dailyQuota);
+    if (!fitsQuota) {
+      this.counters.blocked_quota += 1;
+      const limits = await this.userManager.getUsageLimits(phoneNumber);
+      const quota = limits && limits.daily_quota_override !== null ? limits.daily_quota_override : this.dailyQuota;
+      const used = limits && limits.daily_analysis_date === dateKey ? limits.daily_analysis_count : 0;
+      return { allowed: false, reason: 'quota', resetAt, quota, remaining: Math.max(0, quota - used) };
+    }
+
+    if (usesLLM) {
+      const usage = await this.userManager.getDailyUsage(dateKey);
+      if (usage.estimated_cost_usd + this.analysisCostUsd > this.spendCeilingUsd) {
+        this.counters.blocked_spend += 1;
+        await this.userManager.releaseDailyAnalyses(phoneNumber, dateKey, count);
+        console.warn(`💸 Daily spend ceiling of $${this.spendCeilingUsd} reached`);
+        return { allowed: false, reason: 'spend', resetAt };
+      }
+    }
+
+    return { allowed: true, dateKey };
+  }
+
+  // Charge one LLM analysis to today's spend. Returns false, without
+  // charging, when it would go over the ceiling.
+  async chargeAnalysis(now = new Date()) {
+    const { dateKey } = getISTParts(now);
+    const charged = await this.userManager.reserveDailySpend(dateKey, 1, this.analysisCostUsd, this.spendCeilingUsd);
+    if (!charged) {
+      this.counters.blocked_spend += 1;
+      console.warn(`💸 Daily spend ceiling of $${this.spendCeilingUsd} reached`);
+    }
+    return charged;
+  }
+
+  // Give back analyses reserved on dateKey for a request that did not complete
+  async releaseAnalyses(phoneNumber, count, dateKey) {
+    await this.userManager.releaseDailyAnalyses(phoneNumber, dateKey, count);
+  }
+
+  // Current limits and usage for one user (admin view)
+  async getUserLimits(phoneNumber, now = new Date()) {
+    const limits = await this.userManager.getUsageLimits(phoneNumber);
+    if (!limits) return null;
+
+    const { dateKey } = getISTParts(now);
+    const bucket = this.buckets.get(phoneNumber);
+
+    return {
+      phone_number: phoneNumber,
+      exempt: Boolean(limits.rate_limit_exempt),
+      daily_quota: limits.daily_quota_override !== null ? limits.daily_quota_override : this.dailyQuota,
+      daily_quota_override: limits.daily_quota_override,
+      analyses_today: limits.daily_analysis_date === dateKey ? limits.daily_analysis_count : 0,
+      burst_tokens: bucket ? Number(bucket.tokens.toFixed(2)) : this.burst,
+    };
+  }
+
+  // Remove the in-memory burst state for a user (used with admin overrides)
+  resetBurst(phoneNumber) {
+    this.buckets.delete(phoneNumber);
+  }
+
+  async getStats(now = new Date()) {
+    const usage = await this.userManager.getDailyUsage(getISTParts(now).dateKey);
+
+    return {
+      burst: this.burst,
+      refill_per_minute: Number((this.refillPerMs * 60000).toFixed(2)),
+      daily_quota: this.dailyQuota,
+      spend_ceiling_usd: this.spendCeilingUsd,
+      analysis_cost_estimate_usd: this.analysisCostUsd,
+      today: {
+        analyses: usage.analyses,
+        estimated_cost_usd: Number(usage.estimated_cost_usd.toFixed(4)),
+      },
+      tracked_buckets: this.buckets.size,
+      ...this.counters,
+    };
+  }
+
+  // Drop buckets that have been idle long enough to be full again
+  sweepBuckets(now) {
+    if (now - this.lastSweep < BUCKET_SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    const fullAfterMs = this.burst / this.refillPerMs;
+    for (const [phoneNumber, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > fullAfterMs) {
+        this.buckets.delete(phoneNumber);
+      }
+    }
+  }
+}
+
+// Start of the next IST calendar day
+function nextISTMidnight(now = new Date()) {
+  const { minutesOfDay } = getISTParts(now);
+  const startOfToday = now.getTime() - minutesOfDay * 60 * 1000 - now.getUTCSeconds() * 1000 - now.getUTCMilliseconds();
+  return new Date(startOfToday + 24 * 60 * 60 * 1000);
+}
+
+// Localized "limit reached, resets at HH:MM IST" reply
+function formatLimitMessage(result, language) {
+  const resetTime = formatISTTime(result.resetAt);
+
+  if (result.reason === 'burst') {
+    return language === 'english'
+      ? `⏳ You're sending messages too quickly. Please wait - the limit resets at ${resetTime} IST.`
+      : language === 'hindi'
+        ? `⏳ आप बहुत जल्दी-जल्दी संदेश भेज रहे हैं। कृपया रुकें - सीमा ${resetTime} IST पर रीसेट होगी।`
+        : `⏳ તમે બહુ ઝડપથી મેસેજ મોકલી રહ્યા છો. કૃપા કરીને રાહ જુઓ - મર્યાદા ${resetTime} IST પર રીસેટ થશે.`;
+  }
+
+  if (result.reason === 'quota') {
+    const remainingText = result.remaining > 0
+      ? language === 'english'
+        ? ` You can analyze ${result.remaining} more stock(s) today.`
+        : language === 'hindi'
+          ? ` आज आप ${result.remaining} और स्टॉक का विश्लेषण कर सकते हैं।`
+          : ` આજે તમે ${result.remaining} વધુ સ્ટોક ચેક કરી શકો છો.`
+      : '';
+
+    return (language === 'english'
+      ? `⏳ Daily limit reached (${result.quota} stock analyses per day).${remainingText} Resets at ${resetTime} IST.`
+      : language === 'hindi'
+        ? `⏳ आज की सीमा पूरी हो गई (रोज़ ${result.quota} स्टॉक विश्लेषण)।${remainingText} सीमा ${resetTime} IST पर रीसेट होगी।`
+        : `⏳ આજની મર્યાદા પૂરી થઈ ગઈ (રોજ ${result.quota} સ્ટોક વિશ્લેષણ).${remainingText} મર્યાદા ${resetTime} IST પર રીસેટ થશે.`);
+  }
+
+  return language === 'english'
+    ? `⏳ The service has reached today's usage limit. Please try again after ${resetTime} IST.`
+    : language === 'hindi'
+      ? `⏳ सेवा आज की उपयोग सीमा तक पहुँच गई है। कृपया ${resetTime} IST के बाद फिर कोशिश करें।`
+      : `⏳ સેવા આજની ઉપયોગ મર્યાદા સુધી પહોંચી ગઈ છે. કૃપા કરીને ${resetTime} IST પછી ફરી પ્રયાસ કરો.`;
+}
+
+module.exports = RateLimiter;
+module.exports.formatLimitMessage = formatLimitMessage;
@@ -0,0 +1,382 @@
+const { formatAnalysisCard } = require('./analysis-formatter');
+
+// Rule-based stock analysis, built only from the metrics computed by
+// extractKeyMetricsWithHistory - no LLM or translation calls.
+//
+// Produces the same structured analysis as the LLM (see analysis-schema.js),
+// with texts written directly in English, Hindi or Gujarati. Used when the
+// LLM is unavailable and for the explicit fast/offline mode
+// (ANALYSIS_MODE=rules or the FAST chat command).
+
+const STATUS_ICONS = { good: '✅', neutral: '⚠️', bad: '❌' };
+
+// Market cap bands in ₹ crore
+const LARGE_CAP_CRORE = 100000;
+const MID_LARGE_CAP_CRORE = 30000;
+const MID_CAP_CRORE = 5000;
+
+// Indian digit grouping: 1234567 -> 12,34,567
+function formatNumber(value, decimals = 0) {
+  return Number(value).toLocaleString('en-IN', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Sentence templates per language
+const PHRASES = {
+  english: {
+    notAvailable: 'Data not available.',
+    size: {
+      large: cap => `Large company, market cap ₹${cap} crore.`,
+      midLarge: cap => `Mid-to-large company, market cap ₹${cap} crore.`,
+      mid: cap => `Mid-sized company, market cap ₹${cap} crore.`,
+      small: cap => `Small company (₹${cap} crore) - prices can swing more.`,
+    },
+    price: {
+      range: (price, low, high) => `₹${price}, 52-week range ₹${low}-₹${high}.`,
+      nearHigh: 'Trading near its 52-week high.',
+      nearLow: 'Trading near its 52-week low.',
+      farBelowHigh: pct => `${pct}% below its 52-week high - a sharp fall.`,
+      belowHigh: pct => `${pct}% below its 52-week high.`,
+    },
+    profits: {
+      loss: 'The company made a loss in the latest year.',
+      growth: (revenue, eps) => `Revenue growth ${revenue}, EPS growth ${eps}.`,
+      margin: margin => `Net margin ${margin}%.`,
+      roe: roe => `ROE ${roe}%.`,
+    },
+    pe: {
+      negative: 'P/E is negative because of losses.',
+      cheap: pe => `P/E ${pe} - attractively valued.`,
+      fair: pe => `P/E ${pe} - fairly valued.`,
+      high: pe => `P/E ${pe} - on the expensive side.`,
+      veryHigh: pe => `P/E ${pe} - expensive.`,
+    },
+    experts: {
+      none: 'No analyst coverage available.',
+      ratings: (total, ratings) => `${total} analyst${total > 1 ? 's' : ''} - ${ratings}.`,
+    },
+    risks: {
+      highDebt: de => `High debt (debt/equity ${de}).`,
+      moderateDebt: de => `Moderate debt (debt/equity ${de}).`,
+      lowDebt: de => `Low debt (debt/equity ${de}).`,
+      negativeMargin: 'Negative profit margin.',
+      volatility: level => `${level === 'high' ? 'High' : level === 'low' ? 'Low' : 'Moderate'} volatility in recent results.`,
+    },
+    news: {
+      none: 'No recent news.',
+      latest: headline => `Latest: ${headline}`,
+    },
+    summary: (company, good, bad) => `${company} scores ${good} positive${good === 1 ? '' : 's'} and ${bad} concern${bad === 1 ? '' : 's'} on our checklist.`,
+    reasons: {
+      BUY: 'Strong on most checks.',
+      HOLD: 'Mixed picture - watch the weak points.',
+      SELL: 'Weak on several checks.',
+    },
+    footer: '_Quick rule-based analysis (no AI)._',
+  },
+  hindi: {
+    notAvailable: 'डेटा उपलब्ध नहीं है।',
+    size: {
+      large: cap => `बड़ी कंपनी, मार्केट कैप ₹${cap} करोड़।`,
+      midLarge: cap => `मध्यम से बड़ी कंपनी, मार्केट कैप ₹${cap} करोड़।`,
+      mid: cap => `मध्यम आकार की कंपनी, मार्केट कैप ₹${cap} करोड़।`,
+      small: cap => `छोटी कंपनी (₹${cap} करोड़) - भाव ज़्यादा ऊपर-नीचे हो सकता है।`,
+    },
+    price: {
+      range: (price, low, high) => `₹${price}, 52 हफ्ते की रेंज ₹${low}-₹${high}।`,
+      nearHigh: '52 हफ्ते के ऊँचे स्तर के पास है।',
+      nearLow: '52 हफ्ते के निचले स्तर के पास है।',
+      farBelowHigh: pct => `52 हफ्ते के ऊँचे स्तर से ${pct}% नीचे - तेज़ गिरावट।`,
+      belowHigh: pct => `52 हफ्ते के ऊँचे स्तर से ${pct}% नीचे।`,
+    },
+    profits: {
+      loss: 'पिछले साल कंपनी को घाटा हुआ।',
+      growth: (revenue, eps) => `कारोबार में बढ़त ${revenue}, EPS में बढ़त ${eps}।`,
+      margin: margin => `नेट मार्जिन ${margin}%।`,
+      roe: roe => `ROE ${roe}%।`,
+    },
+    pe: {
+      negative: 'घाटे की वजह से P/E नेगेटिव है।',
+      cheap: pe => `P/E ${pe} - भाव आकर्षक है।`,
+      fair: pe => `P/E ${pe} - भाव ठीक-ठाक है।`,
+      high: pe => `P/E ${pe} - भाव थोड़ा महँगा है।`,
+      veryHigh: pe => `P/E ${pe} - भाव महँगा है।`,
+    },
+    experts: {
+      none: 'किसी एनालिस्ट की राय उपलब्ध नहीं है।',
+      ratings: (total, ratings) => `${total} एनालिस्ट - ${ratings}।`,
+    },
+    risks: {
+      highDebt: de => `कर्जा ज़्यादा है (डेट/इक्विटी ${de})।`,
+      moderateDebt: de => `कर्जा मध्यम है (डेट/इक्विटी ${de})।`,
+      lowDebt: de => `कर्जा कम है (डेट/इक्विटी ${de})।`,
+      negativeMargin: 'प्रोफिट मार्जिन नेगेटिव है।',
+      volatility: level => `हाल के नतीजों में ${level === 'high' ? 'ज़्यादा' : level === 'low' ? 'कम' : 'मध्यम'} उतार-चढ़ाव।`,
+    },
+    news: {
+      none: 'कोई ताज़ा खबर नहीं।',
+      latest: headline => `ताज़ा: ${headline}`,
+    },
+    summary: (company, good, bad) => `${company} हमारी चेकलिस्ट पर ${good} अच्छी बातें और ${bad} चिंताएँ दिखाती है।`,
+    reasons: {
+      BUY: 'ज़्यादातर पैमानों पर मज़बूत।',
+      HOLD: 'मिली-जुली तस्वीर - कमज़ोर बातों पर नज़र रखें।',
+      SELL: 'कई पैमानों पर कमज़ोर।',
+    },
+    footer: '_नियम-आधारित त्वरित विश्लेषण (AI के बिना)।_',
+  },
+  gujarati: {
+    notAvailable: 'ડેટા ઉપલબ્ધ નથી.',
+    size: {
+      large: cap => `મોટી કંપની, કંપનીનું મૂલ્ય ₹${cap} કરોડ.`,
+      midLarge: cap => `મધ્યમથી મોટી કંપની, કંપનીનું મૂલ્ય ₹${cap} કરોડ.`,
+      mid: cap => `મધ્યમ કદની કંપની, કંપનીનું મૂલ્ય ₹${cap} કરોડ.`,
+      small: cap => `નાની કંપની (₹${cap} કરોડ) - ભાવ વધુ ઉપર-નીચે થઈ શકે.`,
+    },
+    price: {
+      range: (price, low, high) => `₹${price}, 52 અઠવાડિયાની રેન્જ ₹${low}-₹${high}.`,
+      nearHigh: '52 અઠવાડિયાના ઊંચા સ્તરની નજીક છે.',
+      nearLow: '52 અઠવાડિયાના નીચા સ્તરની નજીક છે.',
+      farBelowHigh: pct => `52 અઠવાડિયાના ઊંચા સ્તરથી ${pct}% નીચે - તીવ્ર ઘટાડો.`,
+      belowHigh: pct => `52 અઠવાડિયાના ઊંચા સ્તરથી ${pct}% નીચે.`,
+    },
+    profits: {
+      loss: 'ગયા વર્ષે કંપનીને નુકસાન થયું.',
+      growth: (revenue, eps) => `આવકમાં વધારો ${revenue}, EPS માં વધારો ${eps}.`,
+      margin: margin => `નેટ માર્જિન ${margin}%.`,
+      roe: roe => `ROE ${roe}%.`,
+    },
+    pe: {
+      negative: 'નુકસાનને કારણે P/E નેગેટિવ છે.',
+      cheap: pe => `P/E ${pe} - ભાવ આકર્ષક છે.`,
+      fair: pe => `P/E ${pe} - ભાવ યોગ્ય છે.`,
+      high: pe => `P/E ${pe} - ભાવ થોડો મોંઘો છે.`,
+      veryHigh: pe => `P/E ${pe} - ભાવ મોંઘો છે.`,
+    },
+    experts: {
+      none: 'કોઈ એનાલિસ્ટનો અભિપ્રાય ઉપલબ્ધ નથી.',
+      ratings: (total, ratings) => `${total} એનાલિસ્ટ - ${ratings}.`,
+    },
+    risks: {
+      highDebt: de => `કર્જ વધારે છે (ડેટ/ઇક્વિટી ${de}).`,
+      moderateDebt: de => `કર્જ મધ્યમ છે (ડેટ/ઇક્વિટી ${de}).`,
+      lowDebt: de => `કર્જ ઓછું છે (ડેટ/ઇક્વિટી ${de}).`,
+      negativeMargin: 'નફાનું માર્જિન નેગેટિવ છે.',
+      volatility: level => `તાજેતરના પરિણામોમાં ${level === 'high' ? 'વધુ' : level === 'low' ? 'ઓછી' : 'મધ્યમ'} વધઘટ.`,
+    },
+    news: {
+      none: 'કોઈ તાજા સમાચાર નથી.',
+      latest: headline => `તાજા: ${headline}`,
+    },
+    summary: (company, good, bad) => `${company} અમારી ચેકલિસ્ટ પર ${good} સારી બાબતો અને ${bad} ચિંતાઓ બતાવે છે.`,
+    reasons: {
+      BUY: 'મોટાભાગના માપદંડો પર મજબૂત.',
+      HOLD: 'મિશ્ર ચિત્ર - નબળી બાબતો પર નજર રાખો.',
+      SELL: 'ઘણા માપદંડો પર નબળી.',
+    },
+    footer: '_નિયમ આધારિત ઝડપી વિશ્લેષણ (AI વગર)._',
+  },
+};
+
+function scoreSize(metrics, t) {
+  const marketCap = toNumber(metrics.marketCap);
+  if (!marketCap) return { status: 'neutral', text: t.notAvailable };
+
+  const cap = formatNumber(marketCap);
+  if (marketCap >= LARGE_CAP_CRORE) return { status: 'good', text: t.size.large(cap) };
+  if (marketCap >= MID_LARGE_CAP_CRORE) return { status: 'good', text: t.size.midLarge(cap) };
+  if (marketCap >= MID_CAP_CRORE) return { status: 'neutral', text: t.size.mid(cap) };
+  return { status: 'neutral', text: t.size.small(cap) };
+}
+
+function scorePrice(stockData, t) {
+  const price = toNumber(stockData.currentPrice);
+  const high = toNumber(stockData.yearHigh);
+  const low = toNumber(stockData.yearLow);
+  if (!price) return { status: 'neutral', text: t.notAvailable };
+  if (!high || !low || high <= low) {
+    return { status: 'neutral', text: `₹${formatNumber(price, 2)}.` };
+  }
+
+  const range = t.price.range(formatNumber(price, 2), formatNumber(low, 2), formatNumber(high, 2));
+  const belowHighPercent = Math.round(((high - price) / high) * 100);
+  const rangePosition = (price - low) / (high - low);
+
+  if (belowHighPercent <= 5) return { status: 'neutral', text: `${range} ${t.price.nearHigh}` };
+  if (belowHighPercent >= 40) return { status: 'bad', text: `${range} ${t.price.farBelowHigh(belowHighPercent)}` };
+  if (rangePosition <= 0.1) return { status: 'neutral', text: `${range} ${t.price.nearLow}` };
+  return { status: 'good', text: `${range} ${t.price.belowHigh(belowHighPercent)}` };
+}
+
+function scoreProfits(metrics, t) {
+  const netIncome = toNumber(metrics.netIncome);
+  const revenueGrowth = toNumber(metrics.revenueGrowth);
+  const epsGrowth = toNumber(metrics.epsGrowth);
+  const margin = toNumber(metrics.netProfitMargin);
+  const roe = toNumber(metrics.roe);
+
+  const details = [];
+  if (revenueGrowth !== null || epsGrowth !== null) {
+    details.push(t.profits.growth(
+      revenueGrowth !== null ? `${revenueGrowth}%` : 'N/A',
+      epsGrowth !== null ? `${epsGrowth}%` : 'N/A'
+    ));
+  }
+  if (margin !== null) details.push(t.profits.margin(margin.toFixed(1)));
+  if (roe !== null) details.push(t.profits.roe(roe.toFixed(1)));
+
+  if (netIncome !== null && netIncome < 0) {
+    return { status: 'bad', text: [t.profits.loss, ...details].join(' ') };
+  }
+  if (details.length === 0) return { status: 'neutral', text: t.notAvailable };
+
+  const growthFigures = [revenueGrowth, epsGrowth].filter(value => value !== null);
+  let status = 'neutral';
+  if (growthFigures.length > 0 && growthFigures.every(value => value < 0)) {
+    status = 'bad';
+  } else if (growthFigures.length > 0 && growthFigures.every(value => value >= 5)) {
+    status = 'good';
+  }
+
+  return { status, text: details.join(' ') };
+}
+
+function scoreValuation(metrics, t) {
+  const pe = toNumber(metrics.peRatio);
+  if (pe === null) return { status: 'neutral', text: t.notAvailable };
+  if (pe <= 0) return { status: 'bad', text: t.pe.negative };
+
+  const value = pe.toFixed(1);
+  if (pe < 15) return { status: 'good', text: t.pe.cheap(value) };
+  if (pe <= 30) return { status: 'neutral', text: t.pe.fair(value) };
+  if (pe <= 50) return { status: 'neutral', text: t.pe.high(value) };
+  return { status: 'bad', text: t.pe.veryHigh(value) };
+}
+
+function scoreExperts(metrics, t) {
+  const analystData = metrics.analystData;
+  if (!analystData || !analystData.hasAnalysts || !analystData.totalAnalysts) {
+    return { status: 'neutral', text: t.experts.none };
+  }
+
+  const countFor = names => analystData.ratings
+    .filter(rating => names.includes(rating.rating))
+    .reduce((sum, rating) => sum + rating.count, 0);
+
+  const buyShare = countFor(['Strong Buy', 'Buy']) / analystData.totalAnalysts;
+  const sellShare = countFor(['Sell', 'Strong Sell']) / analystData.totalAnalysts;
+  const ratings = analystData.ratings.map(rating => `${rating.count} ${rating.rating}`).join(', ');
+  const text = t.experts.ratings(analystData.totalAnalysts, ratings);
+
+  if (buyShare >= 0.6) return { status: 'good', text };
+  if (sellShare >= 0.4) return { status: 'bad', text };
+  return { status: 'neutral', text };
+}
+
+function scoreRisks(metrics, t) {
+  const debtToEquity = toNumber(metrics.debtToEquity);
+  const margin = toNumber(metrics.netProfitMargin);
+  const details = [];
+  let status = 'good';
+
+  if (debtToEquity !== null) {
+    const value = debtToEquity.toFixed(2);
+    if (debtToEquity > 2) {
+      status = 'bad';
+      details.push(t.risks.highDebt(value));
+    } else if (debtToEquity > 1) {
+      status = 'neutral';
+      details.push(t.risks.moderateDebt(value));
+    } else {
+      details.push(t.risks.lowDebt(value));
+    }
+  }
+
+  if (margin !== null && margin < 0) {
+    status = 'bad';
+    details.push(t.risks.negativeMargin);
+  }
+
+  if (metrics.riskLevel) {
+    if (metrics.riskLevel === 'high' && status === 'good') status = 'neutral';
+    details.push(t.risks.volatility(metrics.riskLevel));
+  }
+
+  if (details.length === 0) return { status: 'neutral', text: t.notAvailable };
+  return { status, text: details.join(' ') };
+}
+
+function scoreNews(metrics, t) {
+  const newsData = metrics.newsData;
+  if (!newsData || !newsData.hasNews || newsData.headlines.length === 0) {
+    return { status: 'neutral', text: t.news.none };
+  }
+  // Headlines are not scored - there is no sentiment model here
+  return { status: 'neutral', text: t.news.latest(newsData.headlines[0].headline) };
+}
+
+// Score every section and derive an overall BUY/HOLD/SELL.
+// News is shown but does not count towards the score.
+function scoreStock(stockData, language = 'english') {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  const metrics = stockData.metrics || {};
+
+  const sections = {
+    size: scoreSize(metrics, t),
+    price: scorePrice(stockData, t),
+    profits: scoreProfits(metrics, t),
+    pe: scoreValuation(metrics, t),
+    experts: scoreExperts(metrics, t),
+    risks: scoreRisks(metrics, t),
+    news: scoreNews(metrics, t),
+  };
+
+  const scored = Object.entries(sections).filter(([key]) => key !== 'news').map(([, section]) => section.status);
+  const good = scored.filter(status => status === 'good').length;
+  const bad = scored.filter(status => status === 'bad').length;
+  const score = good - bad;
+
+  let action = 'HOLD';
+  if (score >= 3 && sections.profits.status !== 'bad' && sections.risks.status !== 'bad') {
+    action = 'BUY';
+  } else if (score <= -2) {
+    action = 'SELL';
+  }
+
+  return { sections, good, bad, score, action };
+}
+
+// Structured analysis object, with texts in the given language
+function buildRuleBasedReport(stockData, language = 'english') {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  const { sections, good, bad, action } = scoreStock(stockData, language);
+  const companyName = stockData.companyName || stockData.symbol;
+
+  const reportSections = {};
+  Object.entries(sections).forEach(([key, section]) => {
+    reportSections[key] = { verdict: STATUS_ICONS[section.status], text: section.text };
+  });
+
+  return {
+    company: companyName,
+    sections: reportSections,
+    summary: t.summary(companyName, good, bad),
+    recommendation: { action, reason: t.reasons[action] },
+    source: 'rules',
+  };
+}
+
+// Full WhatsApp card in the same format as the AI analysis
+function buildRuleBasedAnalysis(stockData, language = 'english') {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  return formatAnalysisCard(buildRuleBasedReport(stockData, language), language, { note: t.footer });
+}
+
+module.exports = { buildRuleBasedAnalysis, buildRuleBasedReport, scoreStock };
@@ -0,0 +1,288 @@
+const { getStatements, round, formatCrore } = require('./financials');
+
+// Quantitative scorecard over the full annual statement history:
+//   - Piotroski F-score (0-9) comparing the latest year with the one before
+//   - Altman Z-score (original public-company formula) and its zone
+//   - interest coverage (EBIT / interest) and cash conversion (CFO / profit)
+//   - revenue and profit CAGR over up to 3 years, and the net margin trend
+//
+// Every figure is null when the statements don't have the inputs, so a
+// partial API response gives a partial scorecard instead of wrong numbers.
+
+const MAX_CAGR_YEARS = 3;
+
+// Altman Z zones (original formula)
+const ALTMAN_SAFE = 2.99;
+const ALTMAN_DISTRESS = 1.81;
+
+// Altman Z is not meaningful for lenders and insurers
+const FINANCIAL_INDUSTRY_PATTERN = /bank|financ|insurance|nbfc/i;
+
+// Net margin change (percentage points) treated as a real trend
+const MARGIN_TREND_THRESHOLD = 1;
+
+function ratio(numerator, denominator) {
+  if (numerator === null || denominator === null || !denominator) return null;
+  return numerator / denominator;
+}
+
+function percent(fraction) {
+  return fraction === null ? null : round(fraction * 100);
+}
+
+function isHigher(current, previous) {
+  return current === null || previous === null ? null : current > previous;
+}
+
+// Piotroski F-score: one point per passed check, null checks are skipped
+function computePiotroski(current, previous) {
+  const roa = ratio(current.netIncome, current.totalAssets);
+  const leverage = ratio(current.longTermDebt, current.totalAssets);
+  const previousLeverage = ratio(previous.longTermDebt, previous.totalAssets);
+
+  const checks = {
+    positive_roa: roa === null ? null : roa > 0,
+    positive_operating_cash_flow: current.operatingCashFlow === null ? null : current.operatingCashFlow > 0,
+    improving_roa: isHigher(roa, ratio(previous.netIncome, previous.totalAssets)),
+    cash_flow_above_profit: current.operatingCashFlow === null || current.netIncome === null
+      ? null
+      : current.operatingCashFlow > current.netIncome,
+    // Debt-free in both years counts as not increasing leverage
+    lower_leverage: leverage === null || previousLeverage === null
+      ? null
+      : leverage < previousLeverage || (leverage === 0 && previousLeverage === 0),
+    higher_current_ratio: isHigher(
+      ratio(current.currentAssets, current.currentLiabilities),
+      ratio(previous.currentAssets, previous.currentLiabilities)
+    ),
+    no_new_shares: current.sharesOutstanding === null || previous.sharesOutstanding === null
+      ? null
+      : current.sharesOutstanding <= previous.sharesOutstanding,
+    higher_gross_margin: isHigher(
+      ratio(current.grossProfit, current.revenue),
+      ratio(previous.grossProfit, previous.revenue)
+    ),
+    higher_asset_turnover: isHigher(
+      ratio(current.revenue, current.totalAssets),
+      ratio(previous.revenue, previous.totalAssets)
+    ),
+  };
+
+  const results = Object.values(checks).filter(result => result !== null);
+  return {
+    score: results.filter(Boolean).length,
+    available: results.length,
+    checks,
+  };
+}
+
+// Altman Z = 1.2 WC/TA + 1.4 RE/TA + 3.3 EBIT/TA + 0.6 MV/TL + 1.0 Sales/TA
+function computeAltmanZ(current, marketCap, industry) {
+  if (FINANCIAL_INDUSTRY_PATTERN.test(industry || '')) return null;
+
+  const { totalAssets, totalLiabilities } = current;
+  const inputs = [
+    current.currentAssets,
+    current.currentLiabilities,
+    current.retainedEarnings,
+    current.operatingIncome,
+    current.revenue,
+    marketCap,
+  ];
+  if (!(totalAssets > 0) || !(totalLiabilities > 0) || inputs.some(input => input === null || input === undefined)) {
+    return null;
+  }
+
+  const value = 1.2 * (current.currentAssets - current.currentLiabilities) / totalAssets
+    + 1.4 * current.retainedEarnings / totalAssets
+    + 3.3 * current.operatingIncome / totalAssets
+    + 0.6 * marketCap / totalLiabilities
+    + 1.0 * current.revenue / totalAssets;
+
+  let zone = 'grey';
+  if (value > ALTMAN_SAFE) zone = 'safe';
+  else if (value < ALTMAN_DISTRESS) zone = 'distress';
+
+  return { value: round(value, 2), zone };
+}
+
+// Compound annual growth of a line item over up to MAX_CAGR_YEARS years
+function computeCagr(statements, field) {
+  const latest = statements[statements.length - 1];
+  const first = statements[Math.max(0, statements.length - 1 - MAX_CAGR_YEARS)];
+  const years = Number(latest.fiscalYear) - Number(first.fiscalYear);
+
+  if (!(years > 0) || !(first[field] > 0) || !(latest[field] > 0)) return null;
+
+  return {
+    percent: round((Math.pow(latest[field] / first[field], 1 / years) - 1) * 100),
+    years,
+  };
+}
+
+// Net margin per year and whether it is improving
+function computeMarginTrend(statements) {
+  const margins = statements
+    .slice(-(MAX_CAGR_YEARS + 1))
+    .map(statement => ({
+      year: statement.fiscalYear,
+      margin: percent(ratio(statement.netIncome, statement.revenue)),
+    }))
+    .filter(entry => entry.margin !== null);
+
+  if (margins.length < 2) return null;
+
+  const change = round(margins[margins.length - 1].margin - margins[0].margin);
+  let direction = 'stable';
+  if (change > MARGIN_TREND_THRESHOLD) direction = 'improving';
+  else if (change < -MARGIN_TREND_THRESHOLD) direction = 'declining';
+
+  return { margins, change, direction };
+}
+
+// Scorecard for a raw /stock API response. marketCap (₹ crore) defaults to
+// the current price times the latest share count.
+function computeScorecard(stockData, { marketCap, industry } = {}) {
+  const statements = getStatements(stockData, 'Annual');
+  if (statements.length === 0) return null;
+
+  const current = statements[statements.length - 1];
+  const previous = statements.length > 1 ? statements[statements.length - 2] : null;
+
+  if (marketCap === undefined || marketCap === null) {
+    const price = parseFloat(stockData.currentPrice?.NSE) || parseFloat(stockData.currentPrice?.BSE);
+    marketCap = price && current.sharesOutstanding ? price * current.sharesOutstanding : null;
+  }
+
+  return {
+    fiscalYear: current.fiscalYear,
+    years: statements.length,
+    piotroski: previous ? computePiotroski(current, previous) : null,
+    altmanZ: computeAltmanZ(current, marketCap, industry || stockData.industry),
+    interestCoverage: round(ratio(current.operatingIncome, current.interestExpense)),
+    cashConversion: current.netIncome > 0 ? percent(ratio(current.operatingCashFlow, current.netIncome)) : null,
+    freeCashFlow: current.freeCashFlow,
+    revenueCagr: computeCagr(statements, 'revenue'),
+    profitCagr: computeCagr(statements, 'netIncome'),
+    marginTrend: computeMarginTrend(statements),
+  };
+}
+
+// Table rows for the analysis prompt
+function formatScorecardForPrompt(scorecard) {
+  if (!scorecard) return 'Not available';
+
+  const rows = [
+    ['Piotroski F-Score', scorecard.piotroski
+      ? `${scorecard.piotroski.score}/9 (${scorecard.piotroski.available} of 9 checks had data)`
+      : 'N/A'],
+    ['Altman Z-Score', scorecard.altmanZ ? `${scorecard.altmanZ.value} (${scorecard.altmanZ.zone} zone)` : 'N/A'],
+    ['Interest Coverage', scorecard.interestCoverage !== null ? `${scorecard.interestCoverage}x` : 'N/A'],
+    ['Cash Conversion', scorecard.cashConversion !== null ? `${scorecard.cashConversion}% of net profit` : 'N/A'],
+    ['Free Cash Flow', scorecard.freeCashFlow !== null ? `₹${formatCrore(scorecard.freeCashFlow)} crores` : 'N/A'],
+    ['Revenue CAGR', scorecard.revenueCagr ? `${scorecard.revenueCagr.percent}% over ${scorecard.revenueCagr.years} years` : 'N/A'],
+    ['Profit CAGR', scorecard.profitCagr ? `${scorecard.profitCagr.percent}% over ${scorecard.profitCagr.years} years` : 'N/A'],
+    ['Net Margin Trend', scorecard.marginTrend
+      ? `${scorecard.marginTrend.margins.map(m => `FY${m.year} ${m.margin}%`).join(' → ')} (${scorecard.marginTrend.direction})`
+      : 'N/A'],
+  ];
+
+  return [
+    '| Score               | Value                                 |',
+    '|---------------------|---------------------------------------|',
+    ...rows.map(([name, value]) => `| ${name.padEnd(19)} | ${value} |`),
+  ].join('\n');
+}
+
+// Labels for the SCORE chat reply
+const MESSAGE_PHRASES = {
+  english: {
+    title: (company, year) => `📐 *${company} – Scorecard (FY${year})*`,
+    piotroski: 'Piotroski F-Score',
+    altman: 'Altman Z-Score',
+    zones: { safe: 'safe zone', grey: 'grey zone', distress: 'distress zone' },
+    coverage: 'Interest Coverage',
+    conversion: 'Cash Conversion (CFO/Profit)',
+    fcf: 'Free Cash Flow',
+    revenueCagr: years => `Revenue Growth (CAGR, ${years}y)`,
+    profitCagr: years => `Profit Growth (CAGR, ${years}y)`,
+    margin: 'Net Margin Trend',
+    directions: { improving: 'improving', stable: 'stable', declining: 'declining' },
+    crore: 'crore',
+    notAvailable: 'N/A',
+    footer: years => `Based on ${years} year(s) of annual results. Send the stock name for the full analysis.`,
+    noData: company => `❌ ${company}: Annual results are not available for a scorecard.`,
+  },
+  hindi: {
+    title: (company, year) => `📐 *${company} – स्कोरकार्ड (FY${year})*`,
+    piotroski: 'पियोत्रोस्की F-स्कोर',
+    altman: 'ऑल्टमैन Z-स्कोर',
+    zones: { safe: 'सुरक्षित ज़ोन', grey: 'ग्रे ज़ोन', distress: 'जोखिम ज़ोन' },
+    coverage: 'ब्याज कवरेज',
+    conversion: 'कैश कन्वर्ज़न (CFO/प्रोफिट)',
+    fcf: 'फ्री कैश फ्लो',
+    revenueCagr: years => `कारोबार बढ़त (CAGR, ${years} साल)`,
+    profitCagr: years => `प्रोफिट बढ़त (CAGR, ${years} साल)`,
+    margin: 'नेट मार्जिन ट्रेंड',
+    directions: { improving: 'सुधार', stable: 'स्थिर', declining: 'गिरावट' },
+    crore: 'करोड़',
+    notAvailable: 'उपलब्ध नहीं',
+    footer: years => `${years} साल के सालाना नतीजों पर आधारित। पूरे विश्लेषण के लिए स्टॉक का नाम भेजें।`,
+    noData: company => `❌ ${company}: स्कोरकार्ड के लिए सालाना नतीजे उपलब्ध नहीं हैं।`,
+  },
+  gujarati: {
+    title: (company, year) => `📐 *${company} – સ્કોરકાર્ડ (FY${year})*`,
+    piotroski: 'પિયોટ્રોસ્કી F-સ્કોર',
+    altman: 'ઓલ્ટમેન Z-સ્કોર',
+    zones: { safe: 'સુરક્ષિત ઝોન', grey: 'ગ્રે ઝોન', distress: 'જોખમ ઝોન' },
+    coverage: 'વ્યાજ કવરેજ',
+    conversion: 'કેશ કન્વર્ઝન (CFO/નફો)',
+    fcf: 'ફ્રી કેશ ફ્લો',
+    revenueCagr: years => `આવક વૃદ્ધિ (CAGR, ${years} વર્ષ)`,
+    profitCagr: years => `નફા વૃદ્ધિ (CAGR, ${years} વર્ષ)`,
+    margin: 'નેટ માર્જિન ટ્રેન્ડ',
+    directions: { improving: 'સુધારો', stable: 'સ્થિર', declining: 'ઘટાડો' },
+    crore: 'કરોડ',
+    notAvailable: 'ઉપલબ્ધ નથી',
+    footer: years => `${years} વર્ષના વાર્ષિક પરિણામો પર આધારિત. પૂરા વિશ્લેષણ માટે સ્ટોકનું નામ મોકલો.`,
+    noData: company => `❌ ${company}: સ્કોરકાર્ડ માટે વાર્ષિક પરિણામો ઉપલબ્ધ નથી.`,
+  },
+};
+
+function verdictIcon(value, goodAt, badBelow) {
+  if (value === null) return '⚠️';
+  if (value >= goodAt) return '✅';
+  return value < badBelow ? '❌' : '⚠️';
+}
+
+// WhatsApp reply for the SCORE command
+function formatScorecardMessage(companyName, scorecard, language = 'english') {
+  const t = MESSAGE_PHRASES[language] || MESSAGE_PHRASES.gujarati;
+  if (!scorecard) return t.noData(companyName);
+
+  const na = t.notAvailable;
+  const { piotroski, altmanZ, marginTrend } = scorecard;
+  const lines = [
+    `${piotroski ? verdictIcon(piotroski.score, 7, 4) : '⚠️'} *${t.piotroski}:* ${piotroski ? `${piotroski.score}/9` : na}`,
+    `${altmanZ ? { safe: '✅', grey: '⚠️', distress: '❌' }[altmanZ.zone] : '⚠️'} *${t.altman}:* ${altmanZ ? `${altmanZ.value} (${t.zones[altmanZ.zone]})` : na}`,
+    `${verdictIcon(scorecard.interestCoverage, 5, 1.5)} *${t.coverage}:* ${scorecard.interestCoverage !== null ? `${scorecard.interestCoverage}x` : na}`,
+    `${verdictIcon(scorecard.cashConversion, 90, 60)} *${t.conversion}:* ${scorecard.cashConversion !== null ? `${scorecard.cashConversion}%` : na}`,
+    `${verdictIcon(scorecard.freeCashFlow, 0.01, 0)} *${t.fcf}:* ${scorecard.freeCashFlow !== null ? `₹${formatCrore(scorecard.freeCashFlow)} ${t.crore}` : na}`,
+  ];
+
+  if (scorecard.revenueCagr) {
+    lines.push(`${verdictIcon(scorecard.revenueCagr.percent, 8, 0)} *${t.revenueCagr(scorecard.revenueCagr.years)}:* ${scorecard.revenueCagr.percent}%`);
+  }
+  if (scorecard.profitCagr) {
+    lines.push(`${verdictIcon(scorecard.profitCagr.percent, 8, 0)} *${t.profitCagr(scorecard.profitCagr.years)}:* ${scorecard.profitCagr.percent}%`);
+  }
+  if (marginTrend) {
+    const icon = { improving: '✅', stable: '⚠️', declining: '❌' }[marginTrend.direction];
+    const margins = marginTrend.margins.map(m => `${m.margin}%`).join(' → ');
+    lines.push(`${icon} *${t.margin}:* ${margins} (${t.directions[marginTrend.direction]})`);
+  }
+
+  return `${t.title(companyName, scorecard.fiscalYear)}\n\n${lines.join('\n')}\n\n${t.footer(scorecard.years)}`;
+}
+
+module.exports = { computeScorecard, formatScorecardForPrompt, formatScorecardMessage };
@@ -0,0 +1,277 @@
+const { getStatements, findFinancialItem, round } = require('./financials');
+
+// Sector benchmarks from the peer snapshots in the stock cache. Companies
+// are grouped by the API's `industry` field, and a stock is placed against
+// its peers' median P/E, ROE and margins with a percentile rank.
+// The peer set is whatever users looked up in the last week, so a
+// benchmark needs at least MIN_PEERS other companies in the same industry.
+
+const MIN_PEERS = 3;
+
+// Reading every snapshot is a full table scan, so peers are reloaded at most this often
+const PEER_REFRESH_MS = 5 * 60 * 1000;
+
+// Benchmarked metrics; positiveOnly leaves out loss-making companies (negative P/E)
+const BENCHMARK_METRICS = [
+  { key: 'peRatio', label: 'P/E', positiveOnly: true },
+  { key: 'roe', label: 'ROE', unit: '%' },
+  { key: 'netMargin', label: 'Net Margin', unit: '%' },
+  { key: 'operatingMargin', label: 'Operating Margin', unit: '%' },
+];
+
+// Sector names accepted by SECTOR, matched against the industry field.
+// Anything else is matched as part of the industry name.
+const SECTOR_PATTERNS = {
+  IT: /\bIT\b|software|computer|technology/i,
+  BANK: /bank/i,
+  FINANCE: /financ|insurance|invest/i,
+  PHARMA: /pharma|biotech|drug|healthcare/i,
+  AUTO: /auto|truck|vehicle|tire/i,
+  FMCG: /food|beverage|tobacco|personal|household/i,
+  OIL: /oil|gas|coal|refin/i,
+  METAL: /metal|steel|mining|alumin/i,
+  POWER: /electric|utilit|power/i,
+};
+
+function ratio(numerator, denominator) {
+  return numerator !== null && denominator ? round((numerator / denominator) * 100) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Share of values below `value` (ties count half), 0-100
+function percentileRank(value, values) {
+  if (value === null || values.length === 0) return null;
+  const below = values.filter(other => other < value).length;
+  const equal = values.filter(other => other === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+function normalizeIndustry(industry) {
+  return String(industry || '').trim().toLowerCase();
+}
+
+// The benchmarked metrics of one raw /stock API response
+function readPeerMetrics(stockData, symbol) {
+  const statements = getStatements(stockData, 'Annual');
+  const latest = statements.length > 0 ? statements[statements.length - 1] : null;
+  const peRatio = findFinancialItem(stockData.keyMetrics?.valuation, 'pPerEExcludingExtraordinaryItemsMostRecentFiscalYear');
+
+  return {
+    symbol: symbol || stockData.tickerId || stockData.companyName,
+    companyName: stockData.companyName || symbol,
+    industry: stockData.industry || null,
+    peRatio: round(peRatio),
+    roe: latest ? ratio(latest.netIncome, latest.totalEquity) : null,
+    netMargin: latest ? ratio(latest.netIncome, latest.revenue) : null,
+    operatingMargin: latest ? ratio(latest.operatingIncome, latest.revenue) : null,
+  };
+}
+
+function metricValues(peers, metric) {
+  return peers
+    .map(peer => peer[metric.key])
+    .filter(value => value !== null && (!metric.positiveOnly || value > 0));
+}
+
+// Medians and percentile ranks of `subject` against the other companies in
+// its industry, or null with fewer than MIN_PEERS of them
+function computeBenchmark(subject, peers) {
+  const industry = normalizeIndustry(subject.industry);
+  if (!industry) return null;
+
+  const sectorPeers = peers.filter(peer =>
+    normalizeIndustry(peer.industry) === industry && peer.symbol !== subject.symbol);
+  if (sectorPeers.length < MIN_PEERS) return null;
+
+  const metrics = {};
+  BENCHMARK_METRICS.forEach(metric => {
+    const values = metricValues(sectorPeers, metric);
+    if (values.length < MIN_PEERS) return;
+
+    const value = subject[metric.key];
+    const comparable = value !== null && (!metric.positiveOnly || value > 0);
+    metrics[metric.key] = {
+      value,
+      median: median(values),
+      percentile: comparable ? percentileRank(value, values) : null,
+    };
+  });
+
+  return {
+    industry: subject.industry,
+    peerCount: sectorPeers.length,
+    peers: sectorPeers.map(peer => peer.symbol),
+    metrics,
+  };
+}
+
+// Whether an industry belongs to the sector named in a SECTOR command
+function matchesSector(query, industry) {
+  const pattern = SECTOR_PATTERNS[query.trim().toUpperCase()];
+  return pattern ? pattern.test(industry || '') : normalizeIndustry(industry).includes(query.trim().toLowerCase());
+}
+
+// Sector overview for SECTOR <name>, or null when no cached company matches
+function summarizeSector(query, peers) {
+  const members = peers.filter(peer => peer.industry && matchesSector(query, peer.industry));
+  if (members.length === 0) return null;
+
+  const medians = {};
+  BENCHMARK_METRICS.forEach(metric => {
+    medians[metric.key] = median(metricValues(members, metric));
+  });
+
+  const ranked = (key, direction) => members
+    .filter(peer => peer[key] !== null && (key !== 'peRatio' || peer[key] > 0))
+    .sort((a, b) => direction * (a[key] - b[key]))
+    .slice(0, 3);
+
+  return {
+    name: query.trim().toUpperCase(),
+    industries: [...new Set(members.map(peer => peer.industry))],
+    companyCount: members.length,
+    medians,
+    highestRoe: ranked('roe', -1),
+    lowestPe: ranked('peRatio', 1),
+  };
+}
+
+function formatPercentile(percentile) {
+  return percentile === null ? 'no rank' : `percentile ${percentile}`;
+}
+
+// Table for the analysis prompt
+function formatBenchmarkForPrompt(benchmark) {
+  if (!benchmark) {
+    return `Not available (fewer than ${MIN_PEERS} peers in this industry have data). Do not quote industry averages.`;
+  }
+
+  const rows = [
+    ['Industry', `${benchmark.industry} (${benchmark.peerCount} peers: ${benchmark.peers.slice(0, 8).join(', ')})`],
+    ...BENCHMARK_METRICS
+      .filter(metric => benchmark.metrics[metric.key])
+      .map(metric => {
+        const { value, median: peerMedian, percentile } = benchmark.metrics[metric.key];
+        const unit = metric.unit || '';
+        return [metric.label, `${value ?? 'N/A'}${value !== null ? unit : ''} vs median ${peerMedian}${unit} (${formatPercentile(percentile)})`];
+      }),
+  ];
+
+  return [
+    '| Sector Benchmark    | Value (percentile: 0 = lowest in industry, 100 = highest) |',
+    '|---------------------|-----------------------------------------------------------|',
+    ...rows.map(([name, value]) => `| ${name.padEnd(19)} | ${value} |`),
+  ].join('\n');
+}
+
+// Labels for the SECTOR chat reply
+const MESSAGE_PHRASES = {
+  english: {
+    title: name => `🏭 *Sector: ${name}*`,
+    basedOn: (count, industries) => `Based on ${count} recently looked-up companies (${industries})`,
+    medians: '*Median values:*',
+    labels: { peRatio: 'P/E', roe: 'ROE', netMargin: 'Net Margin', operatingMargin: 'Operating Margin' },
+    highestRoe: '*Highest ROE:*',
+    lowestPe: '*Lowest P/E:*',
+    fewCompanies: '⚠️ Only a few companies in this sector have data, so these numbers are rough.',
+    noData: (name, sectors) => `❌ No data for sector "${name}" yet. Try: ${sectors}`,
+  },
+  hindi: {
+    title: name => `🏭 *सेक्टर: ${name}*`,
+    basedOn: (count, industries) => `हाल में देखी गई ${count} कंपनियों के आधार पर (${industries})`,
+    medians: '*औसत (मीडियन) आंकड़े:*',
+    labels: { peRatio: 'P/E', roe: 'ROE', netMargin: 'नेट मार्जिन', operatingMargin: 'ऑपरेटिंग मार्जिन' },
+    highestRoe: '*सबसे ज़्यादा ROE:*',
+    lowestPe: '*सबसे कम P/E:*',
+    fewCompanies: '⚠️ इस सेक्टर की कुछ ही कंपनियों का डेटा है, इसलिए ये आंकड़े अनुमानित हैं।',
+    noData: (name, sectors) => `❌ सेक्टर "${name}" का डेटा अभी नहीं है। ये आज़माएं: ${sectors}`,
+  },
+  gujarati: {
+    title: name => `🏭 *સેક્ટર: ${name}*`,
+    basedOn: (count, industries) => `તાજેતરમાં જોવાયેલી ${count} કંપનીઓના આધારે (${industries})`,
+    medians: '*સરેરાશ (મીડિયન) આંકડા:*',
+    labels: { peRatio: 'P/E', roe: 'ROE', netMargin: 'નેટ માર્જિન', operatingMargin: 'ઓપરેટિંગ માર્જિન' },
+    highestRoe: '*સૌથી વધુ ROE:*',
+    lowestPe: '*સૌથી ઓછો P/E:*',
+    fewCompanies: '⚠️ આ સેક્ટરની થોડી જ કંપનીઓનો ડેટા છે, એટલે આ આંકડા અંદાજિત છે.',
+    noData: (name, sectors) => `❌ સેક્ટર "${name}" નો ડેટા હજી નથી. આ અજમાવો: ${sectors}`,
+  },
+};
+
+// WhatsApp reply for the SECTOR command
+function formatSectorMessage(query, summary, language = 'english') {
+  const t = MESSAGE_PHRASES[language] || MESSAGE_PHRASES.gujarati;
+  if (!summary) return t.noData(query.trim().toUpperCase(), Object.keys(SECTOR_PATTERNS).join(', '));
+
+  const medianLines = BENCHMARK_METRICS
+    .filter(metric => summary.medians[metric.key] !== null)
+    .map(metric => `• ${t.labels[metric.key]}: ${summary.medians[metric.key]}${metric.unit || ''}`);
+  const rankedLine = (peers, key, unit) => peers.map(peer => `${peer.symbol} ${peer[key]}${unit}`).join(', ');
+
+  const sections = [
+    t.title(summary.name),
+    t.basedOn(summary.companyCount, summary.industries.join(', ')),
+  ];
+  if (medianLines.length > 0) sections.push(`${t.medians}\n${medianLines.join('\n')}`);
+  if (summary.highestRoe.length > 0) sections.push(`${t.highestRoe} ${rankedLine(summary.highestRoe, 'roe', '%')}`);
+  if (summary.lowestPe.length > 0) sections.push(`${t.lowestPe} ${rankedLine(summary.lowestPe, 'peRatio', '')}`);
+  if (summary.companyCount < MIN_PEERS) sections.push(t.fewCompanies);
+
+  return sections.join('\n\n');
+}
+
+// Loads peers from the stock cache and benchmarks stocks against them
+class SectorBenchmarks {
+  constructor(stockCache, { refreshMs = PEER_REFRESH_MS } = {}) {
+    this.stockCache = stockCache;
+    this.refreshMs = refreshMs;
+    this.peers = null;
+    this.loadedAt = 0;
+  }
+
+  // One entry per company; the same stock can be cached under several names
+  async getPeers() {
+    if (this.peers && Date.now() - this.loadedAt < this.refreshMs) return this.peers;
+
+    const snapshots = await this.stockCache.getAllSnapshots();
+    const latest = new Map();
+    snapshots.forEach(snapshot => {
+      const peer = readPeerMetrics(snapshot, snapshot.tickerId || snapshot.companyName || snapshot.cacheKey);
+      const existing = latest.get(peer.symbol);
+      if (!existing || existing.cachedAt < snapshot.cachedAt) {
+        latest.set(peer.symbol, { ...peer, cachedAt: snapshot.cachedAt });
+      }
+    });
+
+    this.peers = [...latest.values()];
+    this.loadedAt = Date.now();
+    return this.peers;
+  }
+
+  // Benchmark for a fetchStockData result, or null without enough peers
+  async benchmarkFor(stockData) {
+    const peers = await this.getPeers();
+    return computeBenchmark(readPeerMetrics(stockData.rawData || {}, stockData.symbol), peers);
+  }
+
+  async summarize(query) {
+    return summarizeSector(query, await this.getPeers());
+  }
+}
+
+module.exports = {
+  SectorBenchmarks,
+  computeBenchmark,
+  summarizeSector,
+  formatBenchmarkForPrompt,
+  formatSectorMessage,
+  readPeerMetrics,
+  median,
+  percentileRank,
+};
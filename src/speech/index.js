@@ -0,0 +1,173 @@
+const SarvamSpeechProvider = require('./sarvam-provider');
+const StubSpeechProvider = require('./stub-provider');
+
+// Speech-to-text for voice notes and text-to-speech for spoken replies.
+//
+// A provider has a `name` and
+//   transcribe({ audio, mimeType, languageCode, timeoutMs })
+//     -> { transcript, languageCode }
+//   synthesize({ text, languageCode, timeoutMs })
+//     -> { audio, mimeType }
+// where audio is a Buffer and languageCode is a BCP-47 code such as
+// "hi-IN", or "unknown" to let the provider detect the language.
+// Synthesized audio must be a format WhatsApp plays (MP3, AAC, Ogg/Opus).
+//
+// SPEECH_PROVIDER picks the provider for both (default "sarvam"; "stub" offline).
+
+const PROVIDER_CLASSES = {
+  sarvam: SarvamSpeechProvider,
+  stub: StubSpeechProvider,
+};
+
+// Language of a voice note or spoken reply, from the user's preference
+const LANGUAGE_CODES = {
+  english: 'en-IN',
+  hindi: 'hi-IN',
+  gujarati: 'gu-IN',
+};
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+function withTimeout(promise, timeoutMs, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${what} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// "TCS।" or "portfolio." -> "TCS", "portfolio", so commands still parse
+function cleanTranscript(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.,!?।]+$/u, '');
+}
+
+class SpeechToText {
+  constructor({
+    provider,
+    timeoutMs = parseInt(process.env.SPEECH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  }) {
+    this.provider = provider;
+    this.timeoutMs = timeoutMs;
+    this.counters = { transcriptions: 0, empty: 0, failures: 0, total_duration_ms: 0 };
+  }
+
+  // Transcribe a voice note; language is the user's preference, or null if unknown.
+  // Returns { transcript, languageCode }, with an empty transcript if nothing was heard.
+  async transcribe(audio, { mimeType, language } = {}) {
+    const startTime = Date.now();
+    try {
+      const result = await withTimeout(this.provider.transcribe({
+        audio,
+        mimeType,
+        languageCode: LANGUAGE_CODES[language] || 'unknown',
+        timeoutMs: this.timeoutMs,
+      }), this.timeoutMs, 'Speech-to-text');
+
+      const transcript = cleanTranscript(result.transcript);
+      const durationMs = Date.now() - startTime;
+      this.counters.transcriptions += 1;
+      this.counters.total_duration_ms += durationMs;
+      if (!transcript) {
+        this.counters.empty += 1;
+      }
+
+      console.log(`🎤 Transcribed ${audio.length} bytes (${this.provider.name}, ${result.languageCode || 'unknown'}) in ${durationMs}ms`);
+      return { transcript, languageCode: result.languageCode || null };
+    } catch (error) {
+      this.counters.failures += 1;
+      throw error;
+    }
+  }
+
+  getStats() {
+    const { transcriptions, empty, failures, total_duration_ms: totalDurationMs } = this.counters;
+    return {
+      provider: this.provider.name,
+      timeout_ms: this.timeoutMs,
+      transcriptions,
+      empty,
+      failures,
+      avg_duration_ms: transcriptions > 0 ? Math.round(totalDurationMs / transcriptions) : null,
+    };
+  }
+}
+
+class TextToSpeech {
+  constructor({
+    provider,
+    timeoutMs = parseInt(process.env.SPEECH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  }) {
+    this.provider = provider;
+    this.timeoutMs = timeoutMs;
+    this.counters = { syntheses: 0, failures: 0, characters: 0, total_duration_ms: 0 };
+  }
+
+  // Speak text in the user's language; returns { audio: Buffer, mimeType }
+  async synthesize(text, { language } = {}) {
+    const startTime = Date.now();
+    try {
+      const result = await withTimeout(this.provider.synthesize({
+        text,
+        languageCode: LANGUAGE_CODES[language] || LANGUAGE_CODES.hindi,
+        timeoutMs: this.timeoutMs,
+      }), this.timeoutMs, 'Text-to-speech');
+
+      const durationMs = Date.now() - startTime;
+      this.counters.syntheses += 1;
+      this.counters.characters += text.length;
+      this.counters.total_duration_ms += durationMs;
+
+      console.log(`🔊 Synthesized ${text.length} characters (${this.provider.name}) to ${result.audio.length} bytes in ${durationMs}ms`);
+      return result;
+    } catch (error) {
+      this.counters.failures += 1;
+      throw error;
+    }
+  }
+
+  getStats() {
+    const { syntheses, failures, characters, total_duration_ms: totalDurationMs } = this.counters;
+    return {
+      provider: this.provider.name,
+      syntheses,
+      failures,
+      characters,
+      avg_duration_ms: syntheses > 0 ? Math.round(totalDurationMs / syntheses) : null,
+    };
+  }
+}
+
+function createProvider(providerName) {
+  const ProviderClass = PROVIDER_CLASSES[providerName.trim().toLowerCase()];
+  if (!ProviderClass) {
+    throw new Error(`Unknown speech provider "${providerName}" (available: ${Object.keys(PROVIDER_CLASSES).join(', ')})`);
+  }
+  return new ProviderClass();
+}
+
+// Build the speech-to-text client for SPEECH_PROVIDER (default sarvam)
+function createSpeechToText(providerName = process.env.SPEECH_PROVIDER || 'sarvam') {
+  return new SpeechToText({ provider: createProvider(providerName) });
+}
+
+// Build the text-to-speech client for SPEECH_PROVIDER (default sarvam)
+function createTextToSpeech(providerName = process.env.SPEECH_PROVIDER || 'sarvam') {
+  return new TextToSpeech({ provider: createProvider(providerName) });
+}
+
+module.exports = {
+  createSpeechToText,
+  createTextToSpeech,
+  SpeechToText,
+  TextToSpeech,
+  SarvamSpeechProvider,
+  StubSpeechProvider,
+};
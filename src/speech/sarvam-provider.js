@@ -0,0 +1,82 @@
+const { File } = require('buffer');
+const { SarvamAIClient } = require('sarvamai');
+const { createLimiter } = require('../concurrency');
+
+// Sarvam AI speech-to-text (Saarika), which handles Indian-accented English,
+// Hindi and Gujarati, including Hinglish, and text-to-speech (Bulbul).
+// The synchronous speech-to-text API takes clips of up to 30 seconds,
+// which covers a spoken stock query.
+
+const DEFAULT_MODEL = 'saarika:v2.5';
+const DEFAULT_TTS_MODEL = 'bulbul:v2';
+const DEFAULT_SPEAKER = 'anushka';
+
+// File extension for the upload name; WhatsApp voice notes are Ogg/Opus
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+};
+
+class SarvamSpeechProvider {
+  constructor({
+    apiKey = process.env.SARVAM_API_KEY,
+    model = process.env.SPEECH_MODEL || DEFAULT_MODEL,
+    ttsModel = process.env.TTS_MODEL || DEFAULT_TTS_MODEL,
+    speaker = process.env.TTS_SPEAKER || DEFAULT_SPEAKER,
+    concurrency = process.env.SARVAM_CONCURRENCY || 2,
+  } = {}) {
+    this.name = 'sarvam';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.ttsModel = ttsModel;
+    this.speaker = speaker;
+    this.client = null;
+    this.limit = createLimiter(concurrency);
+  }
+
+  // The SDK client is created on first use, so the stub runs without a key
+  getClient() {
+    if (!this.client) {
+      this.client = new SarvamAIClient({ apiSubscriptionKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async transcribe({ audio, mimeType, languageCode, timeoutMs }) {
+    const baseType = String(mimeType || 'audio/ogg').split(';')[0].trim().toLowerCase();
+    const file = new File([audio], `voice-note.${EXTENSIONS[baseType] || 'ogg'}`, { type: baseType });
+
+    const response = await this.limit(() => this.getClient().speechToText.transcribe({
+      file,
+      model: this.model,
+      language_code: languageCode,
+    }, { timeoutInSeconds: Math.ceil(timeoutMs / 1000), maxRetries: 0 }));
+
+    return {
+      transcript: response.transcript || '',
+      languageCode: response.language_code || null,
+    };
+  }
+
+  // MP3 rather than the default WAV, which WhatsApp doesn't accept
+  async synthesize({ text, languageCode, timeoutMs }) {
+    const response = await this.limit(() => this.getClient().textToSpeech.convert({
+      text,
+      target_language_code: languageCode,
+      model: this.ttsModel,
+      speaker: this.speaker,
+      output_audio_codec: 'mp3',
+    }, { timeoutInSeconds: Math.ceil(timeoutMs / 1000), maxRetries: 0 }));
+
+    return {
+      audio: Buffer.concat((response.audios || []).map(chunk => Buffer.from(chunk, 'base64'))),
+      mimeType: 'audio/mpeg',
+    };
+  }
+}
+
+module.exports = SarvamSpeechProvider;
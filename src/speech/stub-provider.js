@@ -0,0 +1,47 @@
+// Offline speech provider for tests and local runs (SPEECH_PROVIDER=stub).
+// There is no real audio to decode, so the audio bytes are read as the
+// transcript when they are plain text (a test can "speak" by uploading a
+// small text file); anything else is heard as SPEECH_STUB_TRANSCRIPT
+// (default "TCS"). Synthesized speech is silence, one MP3 frame per
+// character of text.
+
+const DEFAULT_TRANSCRIPT = 'TCS';
+
+// MPEG-1 Layer III, 32 kbps, 32 kHz, mono: a 144-byte frame of 36 ms.
+// A frame with an all-zero body decodes as silence.
+const SILENT_MP3_FRAME = Buffer.concat([Buffer.from([0xFF, 0xFB, 0x18, 0xC4]), Buffer.alloc(140)]);
+const MAX_SILENT_FRAMES = 1500;
+
+// Printable UTF-8 without control characters, as a text file would be
+function readAsText(audio) {
+  if (audio.some(byte => byte < 9 || (byte > 13 && byte < 32))) {
+    return null;
+  }
+  const text = audio.toString('utf8');
+  return text.includes('\uFFFD') ? null : text;
+}
+
+class StubSpeechProvider {
+  constructor({ transcript = process.env.SPEECH_STUB_TRANSCRIPT || DEFAULT_TRANSCRIPT } = {}) {
+    this.name = 'stub';
+    this.transcript = transcript;
+  }
+
+  async transcribe({ audio, languageCode }) {
+    const text = readAsText(audio);
+    return {
+      transcript: text !== null ? text : this.transcript,
+      languageCode: languageCode === 'unknown' ? 'en-IN' : languageCode,
+    };
+  }
+
+  async synthesize({ text }) {
+    const frames = Math.max(1, Math.min(text.length, MAX_SILENT_FRAMES));
+    return {
+      audio: Buffer.concat(Array(frames).fill(SILENT_MP3_FRAME)),
+      mimeType: 'audio/mpeg',
+    };
+  }
+}
+
+module.exports = StubSpeechProvider;
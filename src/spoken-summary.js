@@ -0,0 +1,73 @@
+const { truncateText } = require('./analysis-schema');
+
+// Short text for the spoken reply to an analysis (VOICE ON): the company
+// name, summary and recommendation of each card, without the markdown and
+// emoji. Works on the final localized text, so it also covers translated
+// and rule-based cards: the recommendation is the paragraph with 👉 and the
+// summary is the paragraph just before it.
+
+const CARD_SEPARATOR = '\n\n---\n\n';
+
+// Sarvam TTS takes up to 1500 characters per request; a spoken reply
+// should stay well under a minute anyway
+const MAX_SPOKEN_LENGTH = 1000;
+const MAX_SUMMARY_LENGTH = 300;
+
+// "TATA CONSULTANCY SERVICES" -> "Tata Consultancy Services", so TTS
+// doesn't spell it out letter by letter
+function toTitleCase(name) {
+  return name.toLowerCase().replace(/(^|[\s&(-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// Drop WhatsApp formatting, emoji and the "*Label:*" prefix
+function toSpokenText(paragraph, { keepLabel = false } = {}) {
+  let text = paragraph.replace(/\n+/g, ' ');
+  if (!keepLabel) {
+    text = text.replace(/^\*[^*]+:\*\s*/, '');
+  }
+  return text
+    .replace(/[*_~]/g, '')
+    .replace(/👉|✅|⚠️|❌/g, '')
+    .replace(/\s+–\s+/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function ensureSentenceEnd(text) {
+  return /[.!?।…]$/.test(text) ? text : `${text}.`;
+}
+
+// Spoken lines for one analysis card, or null for other cards
+// (comparison, "not found", disclaimer)
+function summarizeCard(card) {
+  const paragraphs = card.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const header = paragraphs[0] && paragraphs[0].match(/^\*([^*\n]+):\*$/);
+  const recommendationIndex = paragraphs.findIndex(p => p.includes('👉'));
+  if (!header || recommendationIndex < 2) return null;
+
+  const summary = truncateText(toSpokenText(paragraphs[recommendationIndex - 1]), MAX_SUMMARY_LENGTH);
+  const recommendation = toSpokenText(paragraphs[recommendationIndex], { keepLabel: true });
+
+  return [toTitleCase(header[1].trim()), summary, recommendation]
+    .filter(Boolean)
+    .map(ensureSentenceEnd)
+    .join(' ');
+}
+
+// Text to speak for an analyzeStocks() result; '' when nothing fits a voice reply
+function buildSpokenSummary(analysisText, { maxLength = MAX_SPOKEN_LENGTH } = {}) {
+  const lines = [];
+  let length = 0;
+
+  for (const card of String(analysisText || '').split(CARD_SEPARATOR)) {
+    const spoken = summarizeCard(card);
+    if (!spoken) continue;
+    if (length + spoken.length > maxLength) break;
+    lines.push(spoken);
+    length += spoken.length + 1;
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { buildSpokenSummary };
@@ -1,32 +1,62 @@
-const axios = require('axios');
-const OpenAI = require('openai');
-const https = require('https');
 const { SarvamAIClient } = require('sarvamai');
+const StockCache = require('./stock-cache');
+const AnalysisCache = require('./analysis-cache');
+const { createLimiter, mapWithConcurrency } = require('./concurrency');
+const { symbolMaster } = require('./symbol-master');
+const { createMarketDataProvider } = require('./market-data');
+const { createLLMClient } = require('./llm');
+const { buildRuleBasedAnalysis, buildRuleBasedReport } = require('./rule-based-analysis');
+const { parseStructuredAnalysis } = require('./analysis-schema');
+const { formatAnalysisCard } = require('./analysis-formatter');
+const { findFinancialItem, computeFreeCashFlow } = require('./financials');
+const { computeScorecard, formatScorecardForPrompt } = require('./scorecard');
+const { computeQuarterlyResults, formatQuarterlyForPrompt } = require('./quarterly-results');
+const { formatComparison, MAX_STOCKS: MAX_COMPARE_STOCKS } = require('./stock-comparison');
+const { SectorBenchmarks, formatBenchmarkForPrompt } = require('./sector-benchmarks');
+const { renderPriceChart } = require('./price-chart');
+const { computeSnapshotHash } = AnalysisCache;
 require('dotenv').config();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// LLM used for analysis and translation fallbacks, chosen with LLM_PROVIDER
+const llm = createLLMClient();
 
 const sarvamClient = new SarvamAIClient({
   apiSubscriptionKey: process.env.SARVAM_API_KEY,
 });
 
-// IndianAPI.in configuration via RapidAPI
-const INDIAN_API_BASE_URL = 'https://indian-stock-exchange-api2.p.rapidapi.com';
-const INDIAN_API_HOST = 'indian-stock-exchange-api2.p.rapidapi.com';
-
-// Helper function to find financial statement item by key
-function findFinancialItem(financialArray, keyName) {
-  if (!Array.isArray(financialArray)) return null;
-  const item = financialArray.find(item => item.key === keyName);
-  if (item && item.value !== null && item.value !== undefined) {
-    const value = parseFloat(item.value);
-    return isNaN(value) ? null : value;
-  }
-  return null;
-}
+// Stock data source(s), chosen with MARKET_DATA_PROVIDERS
+const marketData = createMarketDataProvider();
+
+// Concurrency limit for Sarvam, shared by all requests in this process
+// (RapidAPI and OpenAI are limited inside their providers)
+const sarvamLimit = createLimiter(process.env.SARVAM_CONCURRENCY || 2);
+
+// Stocks from one message processed at the same time
+const STOCKS_PER_REQUEST_CONCURRENCY = parseInt(process.env.STOCKS_PER_REQUEST_CONCURRENCY) || 3;
+
+// Cache in front of the /stock endpoint (initialized by the server)
+const stockCache = new StockCache();
+
+// Cache of finished analyses per symbol, language and snapshot (initialized by the server)
+const analysisCache = new AnalysisCache();
+
+// Peer benchmarks per industry, built from the snapshots in the stock cache
+const sectorBenchmarks = new SectorBenchmarks(stockCache);
+
+// 'rules' skips the LLM and always uses the rule-based card (fast/offline mode)
+const ANALYSIS_MODE = process.env.ANALYSIS_MODE === 'rules' ? 'rules' : 'ai';
+
+// Times an invalid analysis JSON is sent back to the LLM with the errors
+const ANALYSIS_SCHEMA_RETRIES = process.env.ANALYSIS_SCHEMA_RETRIES !== undefined
+  ? parseInt(process.env.ANALYSIS_SCHEMA_RETRIES)
+  : 1;
+
+// Outcomes of structured analysis generation, for /admin/stats
+const structuredAnalysisStats = { valid: 0, repaired: 0, reasked: 0, failed: 0 };
+
+// Returned when translation fails; replaced by the rule-based card
+const HINDI_TRANSLATION_ERROR = 'विश्लेषण अनुवाद में त्रुटि हुई। कृपया बाद में कोशिश करें।\n\n⚠️ यह सिर्फ जानकारी है, निवेश सलाह नहीं है।';
+const GUJARATI_TRANSLATION_ERROR = 'જાણકારીના અનુવાદમાં ભૂલ થઈ છે. કૃપા કરીને પછી પ્રયાસ કરો.\n\n⚠️ આ માત્ર માહિતી છે, નિવેશ સલાહ નથી.';
 
 function extractAnalystData(stockData) {
   const analystData = {
@@ -265,6 +295,15 @@ function extractKeyMetricsWithHistory(stockData) {
   // Add context for AI prompt
   metrics.historicalContext = historicalData.contextSummary;
 
+  // Multi-year quality scores (Piotroski, Altman Z, coverage, CAGR...)
+  metrics.scorecard = computeScorecard(stockData, {
+    marketCap: metrics.marketCap,
+    industry: stockData.industry,
+  });
+
+  // Latest quarter vs the previous and year-ago quarters
+  metrics.quarterly = computeQuarterlyResults(stockData);
+
   return metrics;
 }
 
@@ -360,12 +399,10 @@ function extractKeyMetrics(stockData) {
     // CASH FLOW DATA (CAS) - Additional insights
     if (CAS) {
       metrics.operatingCashFlow = findFinancialItem(CAS, 'CashfromOperatingActivities');
-      metrics.freeCashFlow = findFinancialItem(CAS, 'CashfromOperatingActivities');
-
-      const capex = findFinancialItem(CAS, 'CapitalExpenditures');
-      if (metrics.operatingCashFlow && capex) {
-        metrics.freeCashFlow = metrics.operatingCashFlow + capex; // capex is negative
-      }
+      metrics.freeCashFlow = computeFreeCashFlow(
+        metrics.operatingCashFlow,
+        findFinancialItem(CAS, 'CapitalExpenditures')
+      );
     }
 
     // Use ONLY ratios and percentages from keyMetrics (not absolute values)
@@ -387,41 +424,49 @@ function extractKeyMetrics(stockData) {
   return metrics;
 }
 
-// Fetch stock data from API
-async function fetchStockData(stockName) {
+// Build the normalized stock result from a raw /stock API response
+function buildStockResult(stockData, stockName) {
+  return {
+    success: true,
+    symbol: stockData.tickerId || stockName.toUpperCase(),
+    companyName: stockData.companyName,
+    industry: stockData.industry,
+    currentPrice:
+        stockData.currentPrice?.NSE || stockData.currentPrice?.BSE,
+    percentChange: parseFloat(stockData.percentChange) || 0,
+    yearHigh: parseFloat(stockData.yearHigh) || null,
+    yearLow: parseFloat(stockData.yearLow) || null,
+    metrics: extractKeyMetricsWithHistory(stockData),
+    analystView: stockData.analystView,
+    priceStale: Boolean(stockData.priceStale),
+    rawData: stockData,
+  };
+}
+
+// Fetch stock data, from the cache when fresh, otherwise from the API.
+// Pass allowStalePrice when only fundamentals matter (no live price needed).
+async function fetchStockData(stockName, { allowStalePrice = false } = {}) {
   try {
-    console.log(`Searching for: ${stockName}`);
-
-    const response = await axios.get(`${INDIAN_API_BASE_URL}/stock`, {
-      params: { name: stockName },
-      headers: {
-        'x-rapidapi-host': INDIAN_API_HOST,
-        'x-rapidapi-key': process.env.RAPIDAPI_KEY,
-        Accept: 'application/json',
-      },
-      timeout: 10000,
-      httpsAgent: new https.Agent({
-        rejectUnauthorized: false,
-      }),
-    });
+    const cached = await stockCache.get(stockName, { allowStalePrice });
+    if (cached) {
+      console.log(`⚡ Cache hit for: ${stockName}`);
+      return buildStockResult(cached, stockName);
+    }
+  } catch (error) {
+    console.error(`Error reading cache for ${stockName}:`, error.message);
+  }
 
-    if (response.data && response.data.companyName) {
-      const stockData = response.data;
+  try {
+    console.log(`Searching for: ${stockName} (${marketData.name})`);
 
-      return {
-        success: true,
-        symbol: stockData.tickerId || stockName.toUpperCase(),
-        companyName: stockData.companyName,
-        industry: stockData.industry,
-        currentPrice:
-            stockData.currentPrice?.NSE || stockData.currentPrice?.BSE,
-        percentChange: parseFloat(stockData.percentChange) || 0,
-        yearHigh: parseFloat(stockData.yearHigh) || null,
-        yearLow: parseFloat(stockData.yearLow) || null,
-        metrics: extractKeyMetricsWithHistory(stockData), // <- Only this line changed
-        analystView: stockData.analystView,
-        rawData: stockData,
-      };
+    const stockData = await marketData.getStock(stockName);
+
+    if (stockData) {
+      await stockCache.set(stockName, stockData).catch(error => {
+        console.error(`Error caching ${stockName}:`, error.message);
+      });
+
+      return buildStockResult(stockData, stockName);
     } else {
       return {
         success: false,
@@ -431,6 +476,14 @@ async function fetchStockData(stockName) {
     }
   } catch (error) {
     console.error(`Error fetching ${stockName}:`, error.message);
+
+    // Serve the last snapshot (with a stale price) rather than failing outright
+    const fallback = await stockCache.get(stockName, { allowStalePrice: true }).catch(() => null);
+    if (fallback) {
+      console.log(`⚠️ Serving cached snapshot from ${fallback.cachedAt} for: ${stockName}`);
+      return buildStockResult(fallback, stockName);
+    }
+
     return {
       success: false,
       error: 'API error',
@@ -439,8 +492,10 @@ async function fetchStockData(stockName) {
   }
 }
 
-// Generate detailed analysis in English (SAME QUALITY AS HINDI)
-async function generateDetailedEnglishAnalysis(stockData) {
+// Generate the structured analysis in English (see analysis-schema.js).
+// Replies that can't be repaired are sent back with the validation errors;
+// returns null when the LLM fails or never produces a valid object.
+async function generateStructuredAnalysis(stockData) {
   try {
     const {
       companyName,
@@ -461,10 +516,15 @@ async function generateDetailedEnglishAnalysis(stockData) {
       priceFromHigh = dropPercent > 0 ? `${dropPercent}% below high` : 'near high';
     }
 
+    const benchmark = await sectorBenchmarks.benchmarkFor(stockData).catch(error => {
+      console.error(`Error building sector benchmark for ${companyName}:`, error.message);
+      return null;
+    });
+
     const prompt = `
 You are an expert Indian stock analyst providing detailed analysis in English for retail investors. 
 
-IMPORTANT: Keep total response under 1600 characters including all formatting.
+IMPORTANT: Keep every text short - at most 200 characters per section and 300 for the summary.
 
 — SYMBOL DEFINITIONS (use **only** these)** —  
 • ✅ if the metric is genuinely POSITIVE (e.g., profits ↑, margins healthy, low debt, valuation attractive)  
@@ -480,14 +540,13 @@ IMPORTANT: Keep total response under 1600 characters including all formatting.
 - Use simple English suitable for retail investors
 - Include actual financial numbers wherever possible
 - Be specific about percentages, amounts, and market cap in crores
-- Use SINGLE asterisks for bold formatting (*text*)
+- Write plain text only, without asterisks or other formatting
 - Provide practical investment advice with clear reasoning
-- Compare with industry averages when relevant
+- Compare with the sector benchmark below when it is available; never make up industry averages
 - Mention specific business risks and opportunities
 - Include exact current price and 52-week range analysis
 - Use "crores" for Indian market cap and revenue figures
 - Consider the ${metrics.riskLevel} risk level based on financial volatility in your recommendation
-- ⚠️ Ensure the entire response, including formatting and symbols, does not exceed 1,500 characters
 
 Company: ${companyName}
 Industry: ${industry}
@@ -513,6 +572,9 @@ Financial Metrics:
 | Revenue Growth      | ${metrics.revenueGrowth || 'N/A'}%    |
 | EPS Growth          | ${metrics.epsGrowth || 'N/A'}%        |
 
+Sector Benchmark (use for P/E Analysis and Company Size):
+${formatBenchmarkForPrompt(benchmark)}
+
 Analyst Data:
 | Analyst Info        | Value                                 |
 |---------------------|---------------------------------------|
@@ -521,6 +583,12 @@ Analyst Data:
 | Risk Level          | ${metrics.analystData?.riskLevel || 'Unknown'} |
 | Volatility          | ${metrics.analystData?.volatility || 'N/A'}% |
 
+Quality Scorecard (use for Year-on-Year Profits and Risks & Challenges):
+${formatScorecardForPrompt(metrics.scorecard)}
+
+Quarterly Results (mention the latest quarter in Year-on-Year Profits):
+${formatQuarterlyForPrompt(metrics.quarterly)}
+
 Recent News:
 | News Info           | Value                                 |
 |---------------------|---------------------------------------|
@@ -528,42 +596,58 @@ Recent News:
 
 — YOUR TASK — 
 
-Create analysis in this EXACT format:
-
-*${companyName.toUpperCase()}:*
-
-✅/⚠️/❌ *Company Size:* [Market cap info and size description with actual numbers]
-✅/⚠️/❌ *Current Price:* [Current price with 52-week high and 52-week low and price position]
-✅/⚠️/❌ *Year-on-Year Profits:* [${metrics.historicalContext || 'Profit trends with specific revenue and growth numbers'}]
-✅/⚠️/❌ *Price vs Earnings (P/E):* [P/E analysis with actual ratio and valuation assessment]
+Write the analysis for ${companyName}. Give every section a verdict (✅, ⚠️ or ❌ as defined above) and a short explanation with actual numbers.
 ${metrics.analystData?.hasAnalysts ?
-    `✅/⚠️/❌ *Expert Opinion:* ${metrics.analystData.totalAnalysts} analyst${metrics.analystData.totalAnalysts > 1 ? 's' : ''} - ${metrics.analystData.ratings?.map(r => `${r.count} ${r.rating}`).join(', ')}` :
-    '⚠️ *Expert Opinion:* No analyst coverage available'}
-✅/⚠️/❌ *Risks & Challenges:* [Specific business/market risks with debt levels and ${metrics.riskLevel} volatility risk]
-✅/⚠️/❌ *Recent News:* [Summarize recent news headlines and their impact on the stock]
-
-*Summary:* [2-3 line summary of overall investment situation]
-
-*Recommendation:* 👉 *BUY/HOLD/SELL* – [Brief reasoning for recommendation]
+    `For Expert Opinion use: ${metrics.analystData.totalAnalysts} analyst${metrics.analystData.totalAnalysts > 1 ? 's' : ''} - ${metrics.analystData.ratings?.map(r => `${r.count} ${r.rating}`).join(', ')}` :
+    'For Expert Opinion use the verdict ⚠️ and the text "No analyst coverage available".'}
+
+Reply with a JSON object in exactly this shape:
+{
+  "company": ${JSON.stringify(companyName)},
+  "sections": {
+    "size": { "verdict": "✅|⚠️|❌", "text": "<market cap info and size description with actual numbers>" },
+    "price": { "verdict": "✅|⚠️|❌", "text": "<current price with 52-week high and 52-week low and price position>" },
+    "profits": { "verdict": "✅|⚠️|❌", "text": "<${metrics.historicalContext || 'profit trends with specific revenue and growth numbers'}>" },
+    "pe": { "verdict": "✅|⚠️|❌", "text": "<P/E analysis with actual ratio and valuation assessment>" },
+    "experts": { "verdict": "✅|⚠️|❌", "text": "<analyst ratings>" },
+    "risks": { "verdict": "✅|⚠️|❌", "text": "<specific business/market risks with debt levels and ${metrics.riskLevel} volatility risk>" },
+    "news": { "verdict": "✅|⚠️|❌", "text": "<recent news headlines and their impact on the stock>" }
+  },
+  "summary": "<2-3 line summary of overall investment situation>",
+  "recommendation": { "action": "BUY|HOLD|SELL", "reason": "<brief reasoning for recommendation>" }
+}
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 800,
-      temperature: 0.3,
-    });
+    const messages = [{ role: 'user', content: prompt }];
+    for (let attempt = 0; attempt <= ANALYSIS_SCHEMA_RETRIES; attempt++) {
+      const reply = await llm.complete('analysis', {
+        messages,
+        maxTokens: 900,
+        temperature: 0.3,
+        responseFormat: 'json',
+      });
+
+      const { analysis, repaired, errors } = parseStructuredAnalysis(reply);
+      if (analysis) {
+        structuredAnalysisStats[repaired ? 'repaired' : 'valid'] += 1;
+        return { ...analysis, source: 'ai' };
+      }
 
-    return completion.choices[0].message.content.trim();
+      console.warn(`⚠️ Invalid analysis JSON for ${companyName}: ${errors.join('; ')}`);
+      if (attempt < ANALYSIS_SCHEMA_RETRIES) {
+        structuredAnalysisStats.reasked += 1;
+        messages.push(
+          { role: 'assistant', content: reply },
+          { role: 'user', content: `Your reply does not match the required JSON shape: ${errors.join('; ')}. Reply again with only the corrected JSON object.` }
+        );
+      }
+    }
+
+    structuredAnalysisStats.failed += 1;
+    return null;
   } catch (error) {
     console.error('Error generating English analysis:', error.message);
-    return `*${stockData.companyName.toUpperCase()}:*
-
-✅ *Status:* Analysis could not be completed.
-
-*Summary:* Detailed analysis for ${stockData.companyName} is unavailable due to technical issues.
-
-*Recommendation:* 👉 *WAIT* – Please try again later.`;
+    return null;
   }
 }
 
@@ -571,14 +655,14 @@ async function translateToHindi(englishAnalysis) {
   try {
     console.log('🔄 Translating to Hindi using Sarvam AI...');
 
-    const response = await sarvamClient.text.translate({
+    const response = await sarvamLimit(() => sarvamClient.text.translate({
       input: englishAnalysis,
       source_language_code: 'en-IN',
       target_language_code: 'hi-IN',
       speaker_gender: 'Male',
       model: 'sarvam-translate:v1',
       enable_preprocessing: true
-    });
+    }));
 
     console.log('✅ Sarvam AI Hindi translation successful');
     return response.translated_text;
@@ -625,18 +709,15 @@ English Analysis to Translate:
 ${englishAnalysis}
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    return await llm.complete('translation', {
       messages: [{ role: 'user', content: translationPrompt }],
-      max_tokens: 800,
+      maxTokens: 800,
       temperature: 0.2, // Lower temperature for more consistent translation
     });
-
-    return completion.choices[0].message.content.trim();
   } catch (error) {
     console.error('Error translating to Hindi:', error.message);
     // Fallback: Return a simple Hindi error message
-    return 'विश्लेषण अनुवाद में त्रुटि हुई। कृपया बाद में कोशिश करें।\n\n⚠️ यह सिर्फ जानकारी है, निवेश सलाह नहीं है।';
+    return HINDI_TRANSLATION_ERROR;
   }
 }
 
@@ -644,7 +725,7 @@ async function translateToGujarati(englishAnalysis) {
   try {
     console.log('🔄 Translating to Gujarati using Sarvam AI...');
 
-    const response = await sarvamClient.text.translate({
+    const response = await sarvamLimit(() => sarvamClient.text.translate({
       input: englishAnalysis,
       source_language_code: 'en-IN',
       target_language_code: 'gu-IN',
@@ -652,7 +733,7 @@ async function translateToGujarati(englishAnalysis) {
       model: 'sarvam-translate:v1',
       enable_preprocessing: false,  // Try turning this OFF
       output_script: null,          // Ensure no script conversion
-    });
+    }));
 
     console.log('✅ Sarvam AI Gujarati translation successful');
     return response.translated_text;
@@ -703,70 +784,291 @@ English Analysis to Translate:
 ${englishAnalysis}
 `;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    return await llm.complete('translation', {
       messages: [{ role: 'user', content: translationPrompt }],
-      max_tokens: 800,
+      maxTokens: 800,
       temperature: 0.2, // Lower temperature for more consistent translation
     });
-
-    return completion.choices[0].message.content.trim();
   } catch (error) {
     console.error('Error translating to Gujarati:', error.message);
-    // Fallback: Return a simple Hindi error message
-    return 'જાણકારીના અનુવાદમાં ભૂલ થઈ છે. કૃપા કરીને પછી પ્રયાસ કરો.\n\n⚠️ આ માત્ર માહિતી છે, નિવેશ સલાહ નથી.';
+    // Fallback: Return a simple Gujarati error message
+    return GUJARATI_TRANSLATION_ERROR;
   }
 }
 
-// Main analysis function with language support
-async function analyzeStocks(input, language = 'hindi') {
-  console.log('\n🚀 Starting Detailed Stock Analysis...');
-  console.log(`📝 Input: "${input}"`);
-  console.log(`🗣️ Language: ${language}`);
+// Read a cache entry, treating cache errors as a miss
+async function readCachedAnalysis(cacheKey) {
+  try {
+    return await analysisCache.get(cacheKey);
+  } catch (error) {
+    console.error('Error reading analysis cache:', error.message);
+    return null;
+  }
+}
 
-  const stockNames = input.split(',').map(s => s.trim()).filter(name => name.length > 0);
-  const results = [];
+// Store an analysis unless it is one of the error fallbacks
+async function writeCachedAnalysis(cacheKey, analysis) {
+  const isFallback = !analysis
+    || analysis === HINDI_TRANSLATION_ERROR
+    || analysis === GUJARATI_TRANSLATION_ERROR;
+  if (isFallback) return;
 
-  console.log(`\n🔍 Analyzing ${stockNames.length} stock(s)...`);
+  try {
+    await analysisCache.set(cacheKey, analysis);
+  } catch (error) {
+    console.error('Error writing analysis cache:', error.message);
+  }
+}
+
+// Analysis cache key for a stock snapshot (language is added by the caller)
+function getAnalysisCacheKey(stockData) {
+  return {
+    symbol: stockData.symbol,
+    snapshotHash: computeSnapshotHash(stockData.rawData),
+    price: parseFloat(stockData.currentPrice) || null,
+  };
+}
+
+// Structured English analysis for a stock, cached as JSON for the day.
+// Falls back to the rule-based report (source 'rules', never cached) when
+// the LLM is unavailable or chargeLLM refuses the call (spend ceiling).
+async function getStructuredAnalysis(stockData, { mode = ANALYSIS_MODE, chargeLLM = null } = {}) {
+  if (mode === 'rules') {
+    return buildRuleBasedReport(stockData, 'english');
+  }
+
+  const cacheKey = { ...getAnalysisCacheKey(stockData), language: 'structured' };
+  const cached = await readCachedAnalysis(cacheKey);
+  if (cached) {
+    try {
+      return JSON.parse(cached);
+    } catch (error) {
+      console.error('Error parsing cached structured analysis:', error.message);
+    }
+  }
+
+  if (chargeLLM && !(await chargeLLM())) {
+    console.log(`💸 Spend ceiling reached, using rule-based analysis for: ${stockData.companyName}`);
+    return buildRuleBasedReport(stockData, 'english');
+  }
+
+  console.log(`Generating structured analysis for: ${stockData.companyName}`);
+  const analysis = await generateStructuredAnalysis(stockData);
+  if (!analysis) {
+    console.log(`📏 No valid AI analysis, using rule-based analysis for: ${stockData.companyName}`);
+    return buildRuleBasedReport(stockData, 'english');
+  }
 
-  for (const stockName of stockNames) {
-    console.log(`\nFetching data for: ${stockName}`);
+  await writeCachedAnalysis(cacheKey, JSON.stringify(analysis));
+  return analysis;
+}
+
+// Get the analysis card in the user's language. English is rendered from
+// the (cached) structured analysis; translations are cached as text.
+// Falls back to the rule-based card, never cached, when the LLM or the
+// translation is unavailable.
+//
+// chargeLLM, if given, is called before the first LLM call for the stock
+// (never for cache hits) and returns false to skip the LLM; it must return
+// the same answer when called again for the same stock.
+async function getLocalizedAnalysis(stockData, language, { mode = ANALYSIS_MODE, chargeLLM = null } = {}) {
+  if (mode === 'rules') {
+    console.log(`📏 Building rule-based ${language} analysis for: ${stockData.companyName}`);
+    return buildRuleBasedAnalysis(stockData, language);
+  }
+
+  const baseKey = getAnalysisCacheKey(stockData);
+
+  if (language !== 'english') {
+    const cached = await readCachedAnalysis({ ...baseKey, language });
+    if (cached) {
+      console.log(`⚡ Using cached ${language} analysis for: ${stockData.companyName}`);
+      return cached;
+    }
+  }
+
+  const analysis = await getStructuredAnalysis(stockData, { chargeLLM });
+  if (analysis.source === 'rules') {
+    return buildRuleBasedAnalysis(stockData, language);
+  }
+
+  const englishAnalysis = formatAnalysisCard(analysis, 'english');
+
+  if (language === 'english') {
+    // Return English analysis as-is
+    return englishAnalysis;
+  }
 
-    const stockData = await fetchStockData(stockName);
+  if (chargeLLM && !(await chargeLLM())) {
+    console.log(`💸 Spend ceiling reached, using rule-based analysis for: ${stockData.companyName}`);
+    return buildRuleBasedAnalysis(stockData, language);
+  }
+
+  let finalAnalysis;
+  if (language === 'gujarati') {
+    finalAnalysis = await translateToGujarati(englishAnalysis);
+  } else {
+    console.log(`Translating to Hindi for: ${stockData.companyName}`);
+    finalAnalysis = await translateToHindi(englishAnalysis);
+  }
+
+  if (finalAnalysis === HINDI_TRANSLATION_ERROR || finalAnalysis === GUJARATI_TRANSLATION_ERROR) {
+    console.log(`📏 Translation unavailable, using rule-based analysis for: ${stockData.companyName}`);
+    return buildRuleBasedAnalysis(stockData, language);
+  }
+
+  // Hindi is the default for unknown languages, cache it under that key
+  const cacheLanguage = language === 'gujarati' ? 'gujarati' : 'hindi';
+  await writeCachedAnalysis({ ...baseKey, language: cacheLanguage }, finalAnalysis);
+
+  return finalAnalysis;
+}
+
+// Query the API with the canonical company name when the symbol master knows it
+function resolveQueryName(stockName) {
+  const resolution = symbolMaster.resolve(stockName);
+  return resolution.status === 'matched' ? resolution.match.name : stockName;
+}
+
+// Fetch, analyze and translate one stock. Errors are turned into a
+// per-stock message so one failing stock never breaks the others.
+async function analyzeSingleStock(stockName, language, options) {
+  try {
+    const queryName = resolveQueryName(stockName);
+
+    console.log(`\nFetching data for: ${queryName}`);
+
+    const stockData = await fetchStockData(queryName);
 
     if (!stockData.success) {
-      const errorMsg = language === 'english'
+      const suggestions = symbolMaster.search(stockName, 3)
+        .map(result => result.entry.name)
+        .filter(name => name !== queryName);
+      const suggestionText = suggestions.length === 0
+        ? ''
+        : language === 'english'
+          ? ` Did you mean: ${suggestions.join(', ')}?`
+          : language === 'hindi'
+            ? ` क्या आपका मतलब: ${suggestions.join(', ')}?`
+            : ` શું તમારો મતલબ: ${suggestions.join(', ')}?`;
+
+      return (language === 'english'
         ? `❌ ${stockName}: Stock not found. Please check the name.`
         : language === 'hindi'
           ? `❌ ${stockName}: स्टॉक नहीं मिला। सही नाम लिखें।`
-          : `❌ ${stockName}: સ્ટોક મળ્યો નથી. સાચું નામ લખો.`;
-      results.push(errorMsg);
-      continue;
+          : `❌ ${stockName}: સ્ટોક મળ્યો નથી. સાચું નામ લખો.`) + suggestionText;
     }
 
-    console.log(`Generating English analysis for: ${stockData.companyName}`);
-    const englishAnalysis = await generateDetailedEnglishAnalysis(stockData);
+    // Charge the stock's LLM use once, however many LLM calls it takes
+    let charge = null;
+    const chargeLLM = options.chargeLLM ? () => charge || (charge = options.chargeLLM()) : null;
 
-    let finalAnalysis;
+    return await getLocalizedAnalysis(stockData, language, { mode: options.mode, chargeLLM });
+  } catch (error) {
+    console.error(`Error analyzing ${stockName}:`, error.message);
+    return language === 'english'
+      ? `❌ ${stockName}: Analysis failed. Please try again later.`
+      : language === 'hindi'
+        ? `❌ ${stockName}: विश्लेषण में समस्या हुई। कृपया बाद में कोशिश करें।`
+        : `❌ ${stockName}: વિશ્લેષણમાં સમસ્યા થઈ. કૃપા કરીને પછીથી પ્રયાસ કરો.`;
+  }
+}
 
-    if (language === 'english') {
-      // Return English analysis as-is
-      finalAnalysis = englishAnalysis;
-    } else if (language === 'hindi') {
-      finalAnalysis = await translateToHindi(englishAnalysis);
-    } else if (language === 'gujarati') {
-      finalAnalysis = await translateToGujarati(englishAnalysis);
-    } else {
-      console.log(`Translating to Hindi for: ${stockData.companyName}`);
-      finalAnalysis = await translateToHindi(englishAnalysis);
-    }
+// One comparison card for 2-3 stocks (see stock-comparison.js)
+async function compareStocks(stockNames, language) {
+  const fetched = await mapWithConcurrency(
+    stockNames.slice(0, MAX_COMPARE_STOCKS),
+    STOCKS_PER_REQUEST_CONCURRENCY,
+    stockName => fetchStockData(resolveQueryName(stockName)).catch(error => {
+      console.error(`Error fetching ${stockName}:`, error.message);
+      return { success: false };
+    })
+  );
+
+  // The same stock named twice ("TCS vs Tata Consultancy") is compared once
+  const stocks = fetched.filter((stockData, index) => stockData.success &&
+    fetched.findIndex(other => other.success && other.symbol === stockData.symbol) === index);
+  const notFound = stockNames.filter((stockName, index) => index < fetched.length && !fetched[index].success);
+  return formatComparison(stocks, language, { notFound });
+}
 
-    results.push(finalAnalysis);
+// Daily closes change once a day; keep them for a few hours per symbol
+// so repeat analyses don't spend a /historical_data call each
+const PRICE_HISTORY_TTL_MS = 6 * 60 * 60 * 1000;
+const priceHistoryCache = new Map();
 
-    // Rate limiting between stocks
-    await new Promise(resolve => setTimeout(resolve, 1000));
+async function getPriceHistory(symbol) {
+  const cached = priceHistoryCache.get(symbol);
+  if (cached && Date.now() - cached.fetchedAt < PRICE_HISTORY_TTL_MS) {
+    return cached.points;
   }
 
+  const points = await marketData.getPriceHistory(symbol, { period: '1yr' });
+  if (points) {
+    priceHistoryCache.set(symbol, { points, fetchedAt: Date.now() });
+  }
+  return points;
+}
+
+// PNG price chart for one stock: { symbol, image } or null when the stock
+// or its price history can't be found
+async function buildPriceChart(stockName) {
+  const stockData = await fetchStockData(resolveQueryName(stockName));
+  if (!stockData.success) return null;
+
+  const points = await getPriceHistory(stockData.symbol);
+  if (!points) return null;
+
+  const image = renderPriceChart({
+    symbol: stockData.symbol,
+    points,
+    currentPrice: stockData.currentPrice,
+    yearHigh: stockData.yearHigh,
+    yearLow: stockData.yearLow,
+  });
+  return image ? { symbol: stockData.symbol, image } : null;
+}
+
+// Charts for the stocks in a query, in query order; failures are logged
+// and left out, since the text analysis doesn't depend on them
+async function buildPriceCharts(input) {
+  const charts = await mapWithConcurrency(
+    symbolMaster.splitQuery(input),
+    STOCKS_PER_REQUEST_CONCURRENCY,
+    stockName => buildPriceChart(stockName).catch(error => {
+      console.error(`Error building price chart for ${stockName}:`, error.message);
+      return null;
+    })
+  );
+
+  // The same stock named twice gets one chart
+  return charts.filter((chart, index) => chart &&
+    charts.findIndex(other => other && other.symbol === chart.symbol) === index);
+}
+
+// Main analysis function with language support.
+// options.mode = 'rules' builds rule-based cards without calling the LLM;
+// options.mode = 'compare' puts the stocks side by side in one card;
+// options.chargeLLM is called once per stock that needs the LLM and
+// returns false to fall back to the rule-based card (spend ceiling).
+async function analyzeStocks(input, language = 'hindi', options = {}) {
+  console.log('\n🚀 Starting Detailed Stock Analysis...');
+  console.log(`📝 Input: "${input}"`);
+  console.log(`🗣️ Language: ${language}`);
+
+  const stockNames = symbolMaster.splitQuery(input);
+
+  console.log(`\n🔍 Analyzing ${stockNames.length} stock(s)...`);
+
+  // Stocks run concurrently; upstream limits are enforced by the shared limiters
+  const results = options.mode === 'compare'
+    ? [await compareStocks(stockNames, language)]
+    : await mapWithConcurrency(
+      stockNames,
+      STOCKS_PER_REQUEST_CONCURRENCY,
+      stockName => analyzeSingleStock(stockName, language, options)
+    );
+
   // Add disclaimer in appropriate language
   const disclaimer = language === 'english'
     ? '\n⚠️ This is information only, not investment advice.'
@@ -792,7 +1094,8 @@ async function main() {
     return;
   }
 
-  if (!process.env.OPENAI_API_KEY || !process.env.RAPIDAPI_KEY) {
+  const needsOpenAIKey = llm.provider.name === 'openai' && ANALYSIS_MODE !== 'rules';
+  if ((needsOpenAIKey && !process.env.OPENAI_API_KEY) || (marketData.name.includes('rapidapi') && !process.env.RAPIDAPI_KEY)) {
     console.log('❌ Missing API Keys!');
     console.log('Please set both keys in .env file:');
     console.log('OPENAI_API_KEY=your_openai_key_here');
@@ -822,4 +1125,15 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { analyzeStocks, fetchStockData };
\ No newline at end of file
+module.exports = {
+  analyzeStocks,
+  buildPriceCharts,
+  fetchStockData,
+  getStructuredAnalysis,
+  stockCache,
+  analysisCache,
+  sectorBenchmarks,
+  marketData,
+  llm,
+  structuredAnalysisStats,
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite-backed cache for raw /stock API responses.
+//
+// Each response is split into price fields (short TTL) and everything else
+// - financials, analystView, keyMetrics, news (long TTL). A normal lookup
+// needs both parts fresh; callers that don't need a live price can accept a
+// stale price, and fetchStockData uses that to serve the last snapshot when
+// the API is down. The cache is a no-op until initialize() has been called.
+
+const PRICE_FIELDS = ['currentPrice', 'percentChange', 'yearHigh', 'yearLow'];
+
+const DEFAULT_PRICE_TTL_SECONDS = 60;
+const DEFAULT_FUNDAMENTALS_TTL_HOURS = 12;
+
+// Rows older than this are deleted on startup
+const MAX_ENTRY_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+class StockCache {
+  constructor(dbPath = process.env.CACHE_DB_PATH || '/data/cache.db', {
+    priceTtlMs = (parseInt(process.env.STOCK_PRICE_TTL_SECONDS) || DEFAULT_PRICE_TTL_SECONDS) * 1000,
+    fundamentalsTtlMs = (parseInt(process.env.STOCK_FUNDAMENTALS_TTL_HOURS) || DEFAULT_FUNDAMENTALS_TTL_HOURS) * 60 * 60 * 1000,
+  } = {}) {
+    this.dbPath = dbPath;
+    this.priceTtlMs = priceTtlMs;
+    this.fundamentalsTtlMs = fundamentalsTtlMs;
+    this.db = null;
+    this.counters = { hits: 0, misses: 0, stale_hits: 0, writes: 0 };
+  }
+
+  // Open the database and create the cache table
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          console.error('❌ Error opening cache database:', err.message);
+          reject(err);
+          return;
+        }
+
+        const createStockCacheTable = `
+          CREATE TABLE IF NOT EXISTS stock_cache (
+            cache_key TEXT PRIMARY KEY,
+            price_data TEXT NOT NULL,
+            fundamentals_data TEXT NOT NULL,
+            price_fetched_at INTEGER NOT NULL,
+            fundamentals_fetched_at INTEGER NOT NULL
+          )
+        `;
+
+        db.run(createStockCacheTable, (err) => {
+          if (err) {
+            console.error('❌ Error creating stock cache table:', err.message);
+            reject(err);
+            return;
+          }
+          this.db = db;
+          console.log('✅ Stock cache ready:', this.dbPath);
+          this.purgeExpired().then(() => resolve(), reject);
+        });
+      });
+    });
+  }
+
+  // Cache key for a user-supplied stock name ("tata  motors" -> "TATA MOTORS")
+  normalizeKey(stockName) {
+    return String(stockName || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  // Get a cached raw API response, or null on a miss.
+  // With allowStalePrice, only the fundamentals part has to be fresh.
+  async get(stockName, { allowStalePrice = false } = {}) {
+    if (!this.db) return null;
+
+    const row = await new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM stock_cache WHERE cache_key = ?';
+
+      this.db.get(query, [this.normalizeKey(stockName)], (err, row) => {
+        if (err) {
+          console.error('❌ Error reading stock cache:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      });
+    });
+
+    const now = Date.now();
+    const fundamentalsFresh = row && now - row.fundamentals_fetched_at < this.fundamentalsTtlMs;
+    const priceFresh = row && now - row.price_fetched_at < this.priceTtlMs;
+
+    if (!fundamentalsFresh || (!priceFresh && !allowStalePrice)) {
+      this.counters.misses += 1;
+      return null;
+    }
+
+    if (priceFresh) {
+      this.counters.hits += 1;
+    } else {
+      this.counters.stale_hits += 1;
+    }
+
+    return {
+      ...JSON.parse(row.fundamentals_data),
+      ...JSON.parse(row.price_data),
+      cachedAt: new Date(row.price_fetched_at).toISOString(),
+      priceStale: !priceFresh,
+    };
+  }
+
+  // Store a raw API response
+  async set(stockName, rawData) {
+    if (!this.db) return;
+
+    const priceData = {};
+    const fundamentalsData = { ...rawData };
+    PRICE_FIELDS.forEach(field => {
+      priceData[field] = rawData[field];
+      delete fundamentalsData[field];
+    });
+
+    const now = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR REPLACE INTO stock_cache
+          (cache_key, price_data, fundamentals_data, price_fetched_at, fundamentals_fetched_at)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+      const params = [
+        this.normalizeKey(stockName),
+        JSON.stringify(priceData),
+        JSON.stringify(fundamentalsData),
+        now,
+        now,
+      ];
+
+      this.db.run(query, params, (err) => {
+        if (err) {
+          console.error('❌ Error writing stock cache:', err.message);
+          reject(err);
+          return;
+        }
+        this.counters.writes += 1;
+        resolve();
+      });
+    });
+  }
+
+  // Every cached response with its cache key, for peer comparisons. Prices
+  // may be stale; entries older than maxAgeMs are left out.
+  async getAllSnapshots({ maxAgeMs = MAX_ENTRY_AGE_MS } = {}) {
+    if (!this.db) return [];
+
+    const rows = await new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM stock_cache WHERE fundamentals_fetched_at >= ?';
+
+      this.db.all(query, [Date.now() - maxAgeMs], (err, rows) => {
+        if (err) {
+          console.error('❌ Error reading stock cache:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      });
+    });
+
+    return rows.map(row => ({
+      cacheKey: row.cache_key,
+      ...JSON.parse(row.fundamentals_data),
+      ...JSON.parse(row.price_data),
+      cachedAt: new Date(row.price_fetched_at).toISOString(),
+    }));
+  }
+
+  // Delete entries too old to be useful even as a fallback
+  async purgeExpired(maxAgeMs = MAX_ENTRY_AGE_MS) {
+    if (!this.db) return;
+
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM stock_cache WHERE fundamentals_fetched_at < ?';
+
+      this.db.run(query, [Date.now() - maxAgeMs], function(err) {
+        if (err) {
+          console.error('❌ Error purging stock cache:', err.message);
+          reject(err);
+          return;
+        }
+        if (this.changes > 0) {
+          console.log(`🧹 Purged ${this.changes} old stock cache entries`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Hit/miss counters since startup plus the current entry count
+  async getStats() {
+    const lookups = this.counters.hits + this.counters.stale_hits + this.counters.misses;
+    const stats = {
+      enabled: Boolean(this.db),
+      ...this.counters,
+      hit_rate: lookups > 0 ? Number(((this.counters.hits + this.counters.stale_hits) / lookups).toFixed(3)) : null,
+      entries: 0,
+      price_ttl_seconds: Math.round(this.priceTtlMs / 1000),
+      fundamentals_ttl_hours: Number((this.fundamentalsTtlMs / 3600000).toFixed(2)),
+    };
+
+    if (!this.db) return stats;
+
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) as entries FROM stock_cache', [], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        stats.entries = row.entries;
+        resolve(stats);
+      });
+    });
+  }
+
+  // Close database connection
+  async close() {
+    return new Promise((resolve) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+      this.db.close((err) => {
+        if (err) {
+          console.error('❌ Error closing cache database:', err.message);
+        }
+        this.db = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = StockCache;
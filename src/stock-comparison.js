@@ -0,0 +1,185 @@
+const { truncateText } = require('./analysis-schema');
+
+// Side-by-side comparison of 2-3 stocks (COMPARE TCS INFY, "TCS vs INFY").
+// One line per metric with the best value marked, then a single verdict:
+// the stock that wins the most metrics. Built from the computed metrics
+// only, so it needs no LLM call and works in every language.
+
+const DEFAULT_MAX_LENGTH = parseInt(process.env.ANALYSIS_CARD_MAX_LENGTH) || 1400;
+
+const MIN_STOCKS = 2;
+const MAX_STOCKS = 3;
+
+// Longest stock label in the table lines
+const MAX_LABEL_LENGTH = 12;
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Share of analysts rating the stock Buy or Strong Buy, in %
+function buyShare(analystData) {
+  if (!analystData || !analystData.hasAnalysts || !analystData.totalAnalysts) return null;
+  const buys = analystData.ratings
+    .filter(rating => rating.rating === 'Strong Buy' || rating.rating === 'Buy')
+    .reduce((sum, rating) => sum + rating.count, 0);
+  return (buys / analystData.totalAnalysts) * 100;
+}
+
+// % below the 52-week high
+function belowYearHigh(stockData) {
+  const price = toNumber(stockData.currentPrice);
+  const high = toNumber(stockData.yearHigh);
+  return price && high ? ((high - price) / high) * 100 : null;
+}
+
+// Compared metrics. better: which value wins ('low' ignores values <= 0,
+// e.g. a negative P/E from losses); null means shown but not scored.
+const METRICS = [
+  { key: 'pe', value: stock => toNumber(stock.metrics.peRatio), better: 'low', decimals: 1 },
+  { key: 'pb', value: stock => toNumber(stock.metrics.pbRatio), better: 'low', decimals: 1 },
+  { key: 'roe', value: stock => toNumber(stock.metrics.roe), better: 'high', decimals: 1, unit: '%' },
+  { key: 'debtToEquity', value: stock => toNumber(stock.metrics.debtToEquity), better: 'low', decimals: 2, allowZero: true },
+  { key: 'netMargin', value: stock => toNumber(stock.metrics.netProfitMargin), better: 'high', decimals: 1, unit: '%' },
+  { key: 'operatingMargin', value: stock => toNumber(stock.metrics.operatingMargin), better: 'high', decimals: 1, unit: '%' },
+  { key: 'revenueGrowth', value: stock => toNumber(stock.metrics.revenueGrowth), better: 'high', decimals: 1, unit: '%' },
+  { key: 'epsGrowth', value: stock => toNumber(stock.metrics.epsGrowth), better: 'high', decimals: 1, unit: '%' },
+  { key: 'yearHigh', value: belowYearHigh, better: null, decimals: 0, unit: '%', prefix: '-' },
+  { key: 'analysts', value: stock => buyShare(stock.metrics.analystData), better: 'high', decimals: 0, unit: '%' },
+];
+
+const PHRASES = {
+  english: {
+    title: names => `⚖️ *${names.join(' vs ')}*`,
+    labels: {
+      pe: 'P/E',
+      pb: 'P/B',
+      roe: 'ROE',
+      debtToEquity: 'Debt/Equity',
+      netMargin: 'Net Margin',
+      operatingMargin: 'Operating Margin',
+      revenueGrowth: 'Revenue Growth',
+      epsGrowth: 'EPS Growth',
+      yearHigh: 'From 52-Week High',
+      analysts: 'Analysts Buy',
+    },
+    legend: '✅ = better of the group',
+    verdictLabel: 'Verdict',
+    leads: (name, wins, total) => `${name} comes out ahead on ${wins} of ${total} measures.`,
+    tie: names => `${names.join(' and ')} are evenly matched.`,
+    missing: names => `⚠️ Not found: ${names.join(', ')}`,
+    notEnough: '❌ Need at least 2 stocks that were found to compare. Example: COMPARE TCS INFY',
+  },
+  hindi: {
+    title: names => `⚖️ *${names.join(' बनाम ')}*`,
+    labels: {
+      pe: 'P/E',
+      pb: 'P/B',
+      roe: 'ROE',
+      debtToEquity: 'डेट/इक्विटी',
+      netMargin: 'नेट मार्जिन',
+      operatingMargin: 'ऑपरेटिंग मार्जिन',
+      revenueGrowth: 'कारोबार बढ़त',
+      epsGrowth: 'EPS बढ़त',
+      yearHigh: '52 हफ्ते के ऊँचे स्तर से',
+      analysts: 'एनालिस्ट खरीदें',
+    },
+    legend: '✅ = इनमें बेहतर',
+    verdictLabel: 'नतीजा',
+    leads: (name, wins, total) => `${name} ${total} में से ${wins} पैमानों पर आगे है।`,
+    tie: names => `${names.join(' और ')} बराबरी पर हैं।`,
+    missing: names => `⚠️ नहीं मिले: ${names.join(', ')}`,
+    notEnough: '❌ तुलना के लिए कम से कम 2 स्टॉक चाहिए। जैसे: COMPARE TCS INFY',
+  },
+  gujarati: {
+    title: names => `⚖️ *${names.join(' સામે ')}*`,
+    labels: {
+      pe: 'P/E',
+      pb: 'P/B',
+      roe: 'ROE',
+      debtToEquity: 'ડેટ/ઇક્વિટી',
+      netMargin: 'નેટ માર્જિન',
+      operatingMargin: 'ઓપરેટિંગ માર્જિન',
+      revenueGrowth: 'આવક વૃદ્ધિ',
+      epsGrowth: 'EPS વૃદ્ધિ',
+      yearHigh: '52 અઠવાડિયાના ઊંચા સ્તરથી',
+      analysts: 'એનાલિસ્ટ ખરીદો',
+    },
+    legend: '✅ = આમાં વધુ સારું',
+    verdictLabel: 'નિષ્કર્ષ',
+    leads: (name, wins, total) => `${name} ${total} માંથી ${wins} માપદંડો પર આગળ છે.`,
+    tie: names => `${names.join(' અને ')} સરખા છે.`,
+    missing: names => `⚠️ મળ્યા નથી: ${names.join(', ')}`,
+    notEnough: '❌ સરખામણી માટે ઓછામાં ઓછા 2 સ્ટોક જોઈએ. જેમ કે: COMPARE TCS INFY',
+  },
+};
+
+// Index of the winning stock for a metric, or null when it can't be scored
+function findWinner(metric, values) {
+  if (!metric.better) return null;
+
+  const candidates = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null && (metric.better === 'high' || value > 0 || (metric.allowZero && value === 0)));
+  if (candidates.length < 2) return null;
+
+  candidates.sort((a, b) => (metric.better === 'low' ? a.value - b.value : b.value - a.value));
+  return candidates[0].value === candidates[1].value ? null : candidates[0].index;
+}
+
+function formatValue(metric, value) {
+  if (value === null) return 'N/A';
+  return `${metric.prefix && value > 0 ? metric.prefix : ''}${value.toFixed(metric.decimals)}${metric.unit || ''}`;
+}
+
+// Comparison card for successfully fetched stocks (fetchStockData results).
+// notFound lists names that could not be fetched.
+function formatComparison(stocks, language = 'english', { notFound = [], maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  const t = PHRASES[language] || PHRASES.gujarati;
+  if (stocks.length < MIN_STOCKS) {
+    return notFound.length > 0 ? `${t.missing(notFound)}\n\n${t.notEnough}` : t.notEnough;
+  }
+
+  const names = stocks.map(stock => truncateText(stock.symbol || stock.companyName, MAX_LABEL_LENGTH));
+  const wins = stocks.map(() => 0);
+  let scoredMetrics = 0;
+
+  const lines = METRICS.map(metric => {
+    const values = stocks.map(stock => metric.value(stock));
+    if (values.every(value => value === null)) return null;
+
+    const winner = findWinner(metric, values);
+    if (winner !== null) {
+      wins[winner] += 1;
+      scoredMetrics += 1;
+    }
+
+    const cells = values.map((value, index) => `${names[index]} ${formatValue(metric, value)}${index === winner ? ' ✅' : ''}`);
+    return `*${t.labels[metric.key]}:* ${cells.join(' | ')}`;
+  }).filter(Boolean);
+
+  const topWins = Math.max(...wins);
+  const leaders = names.filter((name, index) => wins[index] === topWins);
+  const verdict = leaders.length === 1 && topWins > 0
+    ? t.leads(stocks[wins.indexOf(topWins)].companyName, topWins, scoredMetrics)
+    : t.tie(leaders.length > 1 ? leaders : names);
+
+  const render = (metricLines, withLegend) => [
+    t.title(names),
+    metricLines.join('\n'),
+    `👉 *${t.verdictLabel}:* ${verdict}`,
+    withLegend ? `_${t.legend}_` : null,
+    notFound.length > 0 ? t.missing(notFound) : null,
+  ].filter(Boolean).join('\n\n');
+
+  // Drop the legend first, then metric lines from the end, to fit the budget
+  let card = render(lines, true);
+  while (card.length > maxLength && lines.length > 1) {
+    card = render(lines, false);
+    if (card.length > maxLength) lines.pop();
+  }
+  return card.length > maxLength ? truncateText(card, maxLength) : card;
+}
+
+module.exports = { formatComparison, MIN_STOCKS, MAX_STOCKS };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvWithHeader } = require('./csv');
+
+// Local NSE/BSE symbol master used to resolve what users type ("RIL",
+// "tata motor", "रिलायंस") to a known company before calling the API.
+//
+// The CSV (symbol,name,exchange,aliases) is loaded lazily on first use;
+// aliases are separated by "|". Stocks missing from the file are still
+// passed to the API unchanged, so the master only needs the names users
+// commonly get wrong.
+
+const DEFAULT_SYMBOL_MASTER_PATH = path.join(__dirname, '..', 'data', 'symbol-master.csv');
+
+// Scores: exact key match, word/prefix match, and the minimum fuzzy score
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.8;
+const MATCH_THRESHOLD = 0.85;
+const CANDIDATE_THRESHOLD = 0.65;
+const MAX_CANDIDATES = 5;
+
+// Longest company name (in words) tried when splitting "Tata Motors TCS"
+const MAX_NAME_WORDS = 4;
+
+// Lowercase, drop punctuation and corporate suffixes; keeps Devanagari/Gujarati
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}&\s]/gu, ' ')
+    .replace(/\b(ltd|limited|inc|corp|co)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class SymbolMaster {
+  constructor(csvPath = process.env.SYMBOL_MASTER_PATH || DEFAULT_SYMBOL_MASTER_PATH) {
+    this.csvPath = csvPath;
+    this.entries = null;
+  }
+
+  // Load and index the CSV (called automatically on first lookup)
+  load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const records = parseCsvWithHeader(fs.readFileSync(this.csvPath, 'utf8'));
+      this.entries = records
+        .filter(record => record.symbol && record.name)
+        .map(record => {
+          const aliases = (record.aliases || '').split('|').map(a => a.trim()).filter(Boolean);
+          const keys = [record.symbol, record.name, ...aliases].map(normalizeName).filter(Boolean);
+          return {
+            symbol: record.symbol.toUpperCase(),
+            name: record.name,
+            exchange: record.exchange || 'NSE',
+            aliases,
+            keys: [...new Set(keys)],
+          };
+        });
+      console.log(`✅ Symbol master loaded: ${this.entries.length} stocks`);
+    } catch (error) {
+      console.error('❌ Error loading symbol master:', error.message);
+      this.entries = [];
+    }
+
+    return this.entries;
+  }
+
+  // Score every stock against the query, best first
+  search(query, limit = MAX_CANDIDATES) {
+    const normalized = normalizeName(query);
+    if (!normalized) return [];
+
+    return this.load()
+      .map(entry => ({ entry, score: scoreEntry(normalized, entry) }))
+      .filter(result => result.score >= CANDIDATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Resolve one stock name:
+  //   matched   - a single confident match (result.match)
+  //   ambiguous - plausible options for a "did you mean" (result.candidates)
+  //   unknown   - nothing close; pass the name through to the API as typed
+  resolve(query) {
+    const results = this.search(query);
+    const [best, second] = results;
+
+    const isConfident = best && best.score >= MATCH_THRESHOLD
+      && (!second || best.score - second.score >= 0.05);
+
+    if (isConfident) {
+      return { status: 'matched', query, match: best.entry, candidates: [] };
+    }
+
+    if (best) {
+      return { status: 'ambiguous', query, match: null, candidates: results.map(r => r.entry) };
+    }
+
+    return { status: 'unknown', query, match: null, candidates: [] };
+  }
+
+  // Split free text into stock names. Commas always separate names;
+  // otherwise the longest known company names are taken from the words
+  // ("Tata Motors TCS" -> ["Tata Motors", "TCS"]). Text made only of
+  // unknown words is kept whole, since it is probably one company name.
+  splitQuery(input) {
+    const text = String(input || '').trim();
+    if (!text) return [];
+
+    if (text.includes(',')) {
+      return text.split(',').map(s => s.trim().replace(/\s+/g, ' ')).filter(name => name.length > 0);
+    }
+
+    if (this.resolve(text).status === 'matched') {
+      return [text.replace(/\s+/g, ' ')];
+    }
+
+    const words = text.split(/\s+/);
+    const names = [];
+    let resolvedAny = false;
+
+    for (let i = 0; i < words.length;) {
+      let taken = 1;
+      for (let size = Math.min(MAX_NAME_WORDS, words.length - i); size >= 1; size--) {
+        if (this.resolve(words.slice(i, i + size).join(' ')).status === 'matched') {
+          taken = size;
+          resolvedAny = true;
+          break;
+        }
+      }
+      names.push(words.slice(i, i + taken).join(' '));
+      i += taken;
+    }
+
+    return resolvedAny ? names : [words.join(' ')];
+  }
+
+  // Split and resolve a whole message. Matched names are replaced by the
+  // company name, unknown ones are kept as typed, and the first ambiguous
+  // name is returned separately so the caller can ask "did you mean".
+  resolveQuery(input) {
+    const names = [];
+    let ambiguous = null;
+
+    for (const name of this.splitQuery(input)) {
+      const result = this.resolve(name);
+      if (result.status === 'matched') {
+        names.push(result.match.name);
+      } else if (result.status === 'ambiguous' && !ambiguous) {
+        ambiguous = result;
+      } else {
+        names.push(name);
+      }
+    }
+
+    return { names, ambiguous };
+  }
+}
+
+function scoreEntry(query, entry) {
+  let best = 0;
+
+  for (const key of entry.keys) {
+    if (key === query) return EXACT_SCORE;
+
+    // Short queries ("hi", "ok") only ever match exactly
+    if (query.length < 3) continue;
+
+    if (key.startsWith(query)) {
+      best = Math.max(best, PREFIX_SCORE);
+    }
+
+    const similarity = 1 - levenshtein(query, key) / Math.max(query.length, key.length);
+    best = Math.max(best, similarity);
+  }
+
+  return best;
+}
+
+// Shared instance used by the server and analysis engine
+const symbolMaster = new SymbolMaster();
+
+module.exports = { SymbolMaster, symbolMaster, normalizeName };
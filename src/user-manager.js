@@ -1,4 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
+const { buildFifoLedger } = require('./portfolio');
+
+// How long a write waits for another connection's lock (a portfolio import)
+// before failing with SQLITE_BUSY; node-sqlite3's default is 1s
+const BUSY_TIMEOUT_MS = 10000;
 
 class UserManager {
   constructor(dbPath = '/data/users.db') {
@@ -16,6 +21,7 @@ class UserManager {
           return;
         }
         console.log('✅ Connected to SQLite database:', this.dbPath);
+        this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
         this.createTables()
           .then(() => resolve())
           .catch(reject);
@@ -23,26 +29,142 @@ class UserManager {
     });
   }
 
-  // Create users table if not exists
+  // Create tables if not exists
   async createTables() {
+    const createUsersTable = `
+      CREATE TABLE IF NOT EXISTS users (
+        phone_number TEXT PRIMARY KEY,
+        language_preference TEXT NOT NULL DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
+        message_count INTEGER DEFAULT 0
+      )
+    `;
+
+    const createWatchlistsTable = `
+      CREATE TABLE IF NOT EXISTS watchlists (
+        phone_number TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (phone_number, symbol)
+      )
+    `;
+
+    const createDigestDeliveriesTable = `
+      CREATE TABLE IF NOT EXISTS digest_deliveries (
+        phone_number TEXT NOT NULL,
+        digest_date TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (phone_number, digest_date)
+      )
+    `;
+
+    const createAlertsTable = `
+      CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone_number TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        condition TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        rearm INTEGER DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        trigger_count INTEGER DEFAULT 0,
+        last_triggered_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Virtual portfolio ledger; holdings and P&L are derived from it with FIFO lots
+    const createPortfolioTransactionsTable = `
+      CREATE TABLE IF NOT EXISTS portfolio_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone_number TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        company_name TEXT,
+        side TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        price REAL NOT NULL,
+        source TEXT NOT NULL DEFAULT 'chat',
+        traded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // WhatsApp message IDs already handled, so webhook retries are ignored
+    const createProcessedMessagesTable = `
+      CREATE TABLE IF NOT EXISTS processed_messages (
+        message_id TEXT PRIMARY KEY,
+        phone_number TEXT NOT NULL,
+        message_timestamp INTEGER,
+        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Analyses and estimated AI/API spend across all users per IST day
+    const createDailyUsageTable = `
+      CREATE TABLE IF NOT EXISTS daily_usage (
+        usage_date TEXT PRIMARY KEY,
+        analyses INTEGER DEFAULT 0,
+        estimated_cost_usd REAL DEFAULT 0
+      )
+    `;
+
+    await this.createTable('Users', createUsersTable);
+    await this.createTable('Watchlists', createWatchlistsTable);
+    await this.createTable('Digest deliveries', createDigestDeliveriesTable);
+    await this.createTable('Alerts', createAlertsTable);
+    await this.createTable('Portfolio transactions', createPortfolioTransactionsTable);
+    await this.createTable('Processed messages', createProcessedMessagesTable);
+    await this.createTable('Daily usage', createDailyUsageTable);
+
+    // Columns added after the users table first shipped
+    await this.ensureColumn('users', 'digest_enabled', 'INTEGER DEFAULT 0');
+    await this.ensureColumn('users', 'daily_analysis_count', 'INTEGER DEFAULT 0');
+    await this.ensureColumn('users', 'daily_analysis_date', 'TEXT');
+    await this.ensureColumn('users', 'daily_quota_override', 'INTEGER');
+    await this.ensureColumn('users', 'rate_limit_exempt', 'INTEGER DEFAULT 0');
+    await this.ensureColumn('users', 'voice_replies', 'INTEGER DEFAULT 0');
+  }
+
+  // Run a single CREATE TABLE statement
+  async createTable(label, query) {
     return new Promise((resolve, reject) => {
-      const createUsersTable = `
-        CREATE TABLE IF NOT EXISTS users (
-          phone_number TEXT PRIMARY KEY,
-          language_preference TEXT NOT NULL DEFAULT 'pending',
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
-          message_count INTEGER DEFAULT 0
-        )
-      `;
+      this.db.run(query, (err) => {
+        if (err) {
+          console.error(`❌ Error creating ${label.toLowerCase()} table:`, err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ ${label} table ready`);
+        resolve();
+      });
+    });
+  }
 
-      this.db.run(createUsersTable, (err) => {
+  // Add a column to an existing table if it is missing (lightweight migration)
+  async ensureColumn(table, column, definition) {
+    const columns = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
         if (err) {
-          console.error('❌ Error creating users table:', err.message);
           reject(err);
           return;
         }
-        console.log('✅ Users table ready');
+        resolve(rows.map(row => row.name));
+      });
+    });
+
+    if (columns.includes(column)) return;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err) {
+          console.error(`❌ Error adding ${table}.${column} column:`, err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Added ${table}.${column} column`);
         resolve();
       });
     });
@@ -196,7 +318,7 @@ class UserManager {
         return {
           isLanguageCommand: false,
           needsLanguagePreference: true,
-          message: 'Welcome! Please choose your language:\n\nSend "English" for English\nSend "Hindi" for हिंदी\n\n"English" भेजें अंग्रेजी के लिए\n"Hindi" भेजें हिंदी के लिए'
+          message: 'Welcome! Please choose your language:\n\nSend "English" for English\nSend "Hindi" for हिंदी\nSend "Gujarati" for ગુજરાતી\n\n"English" भेजें अंग्रेजी के लिए\n"Hindi" भेजें हिंदी के लिए\n"Gujarati" ગુજરાતી માટે મોકલો'
         };
       }
 
@@ -217,6 +339,590 @@ class UserManager {
     }
   }
 
+  // Add a stock to the user's watchlist (returns false if already present)
+  async addToWatchlist(phoneNumber, symbol) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO watchlists (phone_number, symbol)
+        VALUES (?, ?)
+      `;
+
+      this.db.run(query, [phoneNumber, symbol], function(err) {
+        if (err) {
+          console.error('❌ Error adding to watchlist:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Remove a stock from the user's watchlist (returns false if not present)
+  async removeFromWatchlist(phoneNumber, symbol) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM watchlists WHERE phone_number = ? AND symbol = ?';
+
+      this.db.run(query, [phoneNumber, symbol], function(err) {
+        if (err) {
+          console.error('❌ Error removing from watchlist:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Get the user's watchlist symbols in the order they were added
+  async getWatchlist(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT symbol FROM watchlists
+        WHERE phone_number = ?
+        ORDER BY added_at ASC, rowid ASC
+      `;
+
+      this.db.all(query, [phoneNumber], (err, rows) => {
+        if (err) {
+          console.error('❌ Error getting watchlist:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows.map(row => row.symbol));
+      });
+    });
+  }
+
+  // Opt a user in or out of the daily digest
+  async setDigestPreference(phoneNumber, enabled) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET digest_enabled = ?, last_used = CURRENT_TIMESTAMP
+        WHERE phone_number = ?
+      `;
+
+      this.db.run(query, [enabled ? 1 : 0, phoneNumber], function(err) {
+        if (err) {
+          console.error('❌ Error updating digest preference:', err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Digest ${enabled ? 'enabled' : 'disabled'} for ${phoneNumber}`);
+        resolve();
+      });
+    });
+  }
+
+  // Turn spoken summaries of analyses on or off for a user
+  async setVoicePreference(phoneNumber, enabled) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET voice_replies = ?, last_used = CURRENT_TIMESTAMP
+        WHERE phone_number = ?
+      `;
+
+      this.db.run(query, [enabled ? 1 : 0, phoneNumber], function(err) {
+        if (err) {
+          console.error('❌ Error updating voice preference:', err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Voice replies ${enabled ? 'enabled' : 'disabled'} for ${phoneNumber}`);
+        resolve();
+      });
+    });
+  }
+
+  // Get users opted in to the daily digest who have picked a language
+  async getDigestSubscribers() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT phone_number, language_preference FROM users
+        WHERE digest_enabled = 1 AND language_preference != 'pending'
+      `;
+
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Error getting digest subscribers:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Get the digest delivery record for a user and IST date (YYYY-MM-DD)
+  async getDigestDelivery(phoneNumber, digestDate) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM digest_deliveries WHERE phone_number = ? AND digest_date = ?';
+
+      this.db.get(query, [phoneNumber, digestDate], (err, row) => {
+        if (err) {
+          console.error('❌ Error getting digest delivery:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      });
+    });
+  }
+
+  // Record a digest delivery attempt (status: sending, sent, failed)
+  async recordDigestDelivery(phoneNumber, digestDate, status, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO digest_deliveries (phone_number, digest_date, status, attempts, last_error)
+        VALUES (?, ?, ?, CASE WHEN ? = 'sending' THEN 1 ELSE 0 END, ?)
+        ON CONFLICT(phone_number, digest_date) DO UPDATE SET
+          status = excluded.status,
+          attempts = attempts + CASE WHEN excluded.status = 'sending' THEN 1 ELSE 0 END,
+          last_error = excluded.last_error,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      this.db.run(query, [phoneNumber, digestDate, status, status, errorMessage], function(err) {
+        if (err) {
+          console.error('❌ Error recording digest delivery:', err.message);
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Create a price alert (condition: above, below or move) and return its id
+  async createAlert(phoneNumber, { symbol, condition, threshold, rearm }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO alerts (phone_number, symbol, condition, threshold, rearm)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(query, [phoneNumber, symbol, condition, threshold, rearm ? 1 : 0], function(err) {
+        if (err) {
+          console.error('❌ Error creating alert:', err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Alert #${this.lastID} created for ${phoneNumber}: ${symbol} ${condition} ${threshold}`);
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  // Get a user's active alerts
+  async getUserAlerts(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM alerts
+        WHERE phone_number = ? AND status = 'active'
+        ORDER BY id ASC
+      `;
+
+      this.db.all(query, [phoneNumber], (err, rows) => {
+        if (err) {
+          console.error('❌ Error getting user alerts:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Get every active alert with its owner's language (for the polling engine)
+  async getActiveAlerts() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT alerts.*, users.language_preference FROM alerts
+        JOIN users ON users.phone_number = alerts.phone_number
+        WHERE alerts.status = 'active'
+        ORDER BY alerts.symbol ASC, alerts.id ASC
+      `;
+
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Error getting active alerts:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Cancel one of the user's alerts (returns false if not found)
+  async cancelAlert(phoneNumber, alertId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE alerts SET status = 'cancelled'
+        WHERE id = ? AND phone_number = ? AND status = 'active'
+      `;
+
+      this.db.run(query, [alertId, phoneNumber], function(err) {
+        if (err) {
+          console.error('❌ Error cancelling alert:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Record that an alert fired; one-shot alerts are closed, re-arming ones stay active
+  async markAlertTriggered(alertId, keepActive) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE alerts
+        SET status = ?, trigger_count = trigger_count + 1, last_triggered_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [keepActive ? 'active' : 'triggered', alertId], function(err) {
+        if (err) {
+          console.error('❌ Error marking alert triggered:', err.message);
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Undo markAlertTriggered when the notification could not be delivered
+  async restoreAlert(alertId, lastTriggeredAt) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE alerts
+        SET status = 'active', trigger_count = trigger_count - 1, last_triggered_at = ?
+        WHERE id = ?
+      `;
+
+      this.db.run(query, [lastTriggeredAt, alertId], function(err) {
+        if (err) {
+          console.error('❌ Error restoring alert:', err.message);
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Record a portfolio trade (side: buy or sell) and return its id
+  async addPortfolioTransaction(phoneNumber, { symbol, companyName, side, quantity, price, source = 'chat' }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO portfolio_transactions (phone_number, symbol, company_name, side, quantity, price, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(query, [phoneNumber, symbol, companyName || null, side, quantity, price, source], function(err) {
+        if (err) {
+          console.error('❌ Error recording portfolio transaction:', err.message);
+          reject(err);
+          return;
+        }
+        console.log(`✅ Portfolio ${side} #${this.lastID} for ${phoneNumber}: ${quantity} ${symbol} @ ${price}`);
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  // Add imported transactions in one database transaction. With
+  // replaceSource, earlier transactions from that source are deleted first
+  // (re-importing a holdings file replaces it). Returns { inserted, replaced }.
+  // The transaction runs on its own connection: on the shared one, statements
+  // from other requests would land inside it and share its COMMIT or ROLLBACK.
+  // That needs a database file, since a second connection to ':memory:'
+  // opens a new, empty database.
+  async importPortfolioTransactions(phoneNumber, entries, { source, replaceSource = false }) {
+    if (this.dbPath === ':memory:') {
+      throw new Error('Portfolio imports need a database file, not an in-memory database');
+    }
+
+    const db = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        resolve(connection);
+      });
+    });
+
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      });
+    });
+
+    const insertQuery = `
+      INSERT INTO portfolio_transactions (phone_number, symbol, company_name, side, quantity, price, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      // IMMEDIATE takes the write lock up front so the import can't hit
+      // SQLITE_BUSY halfway. Writes on the shared connection wait for the
+      // lock for up to BUSY_TIMEOUT_MS, then fail with SQLITE_BUSY.
+      await run('BEGIN IMMEDIATE TRANSACTION');
+      const replaced = replaceSource
+        ? await run('DELETE FROM portfolio_transactions WHERE phone_number = ? AND source = ?', [phoneNumber, source])
+        : 0;
+      for (const entry of entries) {
+        await run(insertQuery, [phoneNumber, entry.symbol, entry.companyName || null, entry.side, entry.quantity, entry.price, source]);
+      }
+      await run('COMMIT');
+
+      console.log(`✅ Imported ${entries.length} portfolio transactions for ${phoneNumber} (${source})`);
+      return { inserted: entries.length, replaced };
+    } catch (error) {
+      console.error('❌ Error importing portfolio transactions:', error.message);
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      db.close();
+    }
+  }
+
+  // A user's portfolio transactions, oldest first
+  async getPortfolioTransactions(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM portfolio_transactions
+        WHERE phone_number = ?
+        ORDER BY traded_at ASC, id ASC
+      `;
+
+      this.db.all(query, [phoneNumber], (err, rows) => {
+        if (err) {
+          console.error('❌ Error getting portfolio transactions:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(rows);
+      });
+    });
+  }
+
+  // Holdings (open FIFO lots) and realized P&L per symbol, see portfolio.js
+  async getPortfolioLedger(phoneNumber) {
+    return buildFifoLedger(await this.getPortfolioTransactions(phoneNumber));
+  }
+
+  // Claim a WhatsApp message ID. Returns false if it was already processed.
+  async markMessageProcessed(messageId, phoneNumber, messageTimestamp = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO processed_messages (message_id, phone_number, message_timestamp)
+        VALUES (?, ?, ?)
+      `;
+
+      this.db.run(query, [messageId, phoneNumber, messageTimestamp], function(err) {
+        if (err) {
+          console.error('❌ Error recording processed message:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Release a claimed message ID (when it could not be queued after all)
+  async unmarkMessageProcessed(messageId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM processed_messages WHERE message_id = ?', [messageId], (err) => {
+        if (err) {
+          console.error('❌ Error releasing processed message:', err.message);
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Forget processed message IDs older than the retention window
+  async purgeProcessedMessages(retentionHours) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        DELETE FROM processed_messages
+        WHERE processed_at < datetime('now', ?)
+      `;
+
+      this.db.run(query, [`-${retentionHours} hours`], function(err) {
+        if (err) {
+          console.error('❌ Error purging processed messages:', err.message);
+          reject(err);
+          return;
+        }
+        if (this.changes > 0) {
+          console.log(`🧹 Purged ${this.changes} processed message IDs`);
+        }
+        resolve(this.changes);
+      });
+    });
+  }
+
+  // Usage counters and admin overrides for one user (null if unknown)
+  async getUsageLimits(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT daily_analysis_count, daily_analysis_date, daily_quota_override, rate_limit_exempt
+        FROM users WHERE phone_number = ?
+      `;
+
+      this.db.get(query, [phoneNumber], (err, row) => {
+        if (err) {
+          console.error('❌ Error getting usage limits:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      });
+    });
+  }
+
+  // Count `count` analyses against the user's daily quota if they fit.
+  // The quota is the admin override if set, otherwise `defaultQuota`;
+  // exempt users always fit. Returns false when the quota would be exceeded.
+  async reserveDailyAnalyses(phoneNumber, dateKey, count, defaultQuota) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET
+          daily_analysis_count = CASE WHEN daily_analysis_date = ? THEN daily_analysis_count + ? ELSE ? END,
+          daily_analysis_date = ?
+        WHERE phone_number = ?
+          AND (
+            rate_limit_exempt = 1
+            OR (CASE WHEN daily_analysis_date = ? THEN daily_analysis_count ELSE 0 END) + ?
+              <= COALESCE(daily_quota_override, ?)
+          )
+      `;
+      const params = [dateKey, count, count, dateKey, phoneNumber, dateKey, count, defaultQuota];
+
+      this.db.run(query, params, function(err) {
+        if (err) {
+          console.error('❌ Error reserving daily analyses:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Give back analyses reserved for a request that was not run
+  async releaseDailyAnalyses(phoneNumber, dateKey, count) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET daily_analysis_count = MAX(0, daily_analysis_count - ?)
+        WHERE phone_number = ? AND daily_analysis_date = ?
+      `;
+
+      this.db.run(query, [count, phoneNumber, dateKey], (err) => {
+        if (err) {
+          console.error('❌ Error releasing daily analyses:', err.message);
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Admin overrides: a custom daily quota (null = default), exemption from
+  // all per-user limits, and/or clearing today's usage
+  async setUsageOverride(phoneNumber, { dailyQuota, exempt, resetUsage = false }) {
+    const assignments = [];
+    const params = [];
+
+    if (dailyQuota !== undefined) {
+      assignments.push('daily_quota_override = ?');
+      params.push(dailyQuota);
+    }
+    if (exempt !== undefined) {
+      assignments.push('rate_limit_exempt = ?');
+      params.push(exempt ? 1 : 0);
+    }
+    if (resetUsage) {
+      assignments.push('daily_analysis_count = 0');
+    }
+
+    if (assignments.length === 0) return false;
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE users SET ${assignments.join(', ')} WHERE phone_number = ?`;
+
+      this.db.run(query, [...params, phoneNumber], function(err) {
+        if (err) {
+          console.error('❌ Error setting usage override:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Add to the global spend for a day if it stays within the ceiling.
+  // Returns false when the ceiling would be exceeded.
+  async reserveDailySpend(dateKey, analyses, costUsd, ceilingUsd) {
+    await new Promise((resolve, reject) => {
+      this.db.run('INSERT OR IGNORE INTO daily_usage (usage_date) VALUES (?)', [dateKey], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE daily_usage SET
+          analyses = analyses + ?,
+          estimated_cost_usd = estimated_cost_usd + ?
+        WHERE usage_date = ? AND estimated_cost_usd + ? <= ?
+      `;
+
+      this.db.run(query, [analyses, costUsd, dateKey, costUsd, ceilingUsd], function(err) {
+        if (err) {
+          console.error('❌ Error reserving daily spend:', err.message);
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Global usage for one IST day
+  async getDailyUsage(dateKey) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM daily_usage WHERE usage_date = ?', [dateKey], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || { usage_date: dateKey, analyses: 0, estimated_cost_usd: 0 });
+      });
+    });
+  }
+
   // Get user statistics (for monitoring/debugging)
   async getUserStats() {
     return new Promise((resolve, reject) => {
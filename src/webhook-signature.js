@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Meta signs every webhook POST with the app secret:
+//   X-Hub-Signature-256: sha256=<hex HMAC-SHA256 of the raw request body>
+// The HMAC must be computed over the exact bytes Meta sent, so the server
+// keeps the raw body from body-parser instead of re-serializing req.body.
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Signature header value for a raw body
+function computeSignature(rawBody, appSecret) {
+  const hmac = crypto.createHmac('sha256', appSecret).update(rawBody || '').digest('hex');
+  return `${SIGNATURE_PREFIX}${hmac}`;
+}
+
+// Check an X-Hub-Signature-256 header against the raw body.
+// Returns { valid, reason } where reason is 'missing', 'malformed' or 'mismatch'.
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!signatureHeader) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const header = String(signatureHeader).trim();
+  if (!header.startsWith(SIGNATURE_PREFIX) || !/^[0-9a-f]{64}$/i.test(header.slice(SIGNATURE_PREFIX.length))) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, appSecret));
+  const received = Buffer.from(`${SIGNATURE_PREFIX}${header.slice(SIGNATURE_PREFIX.length).toLowerCase()}`);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+module.exports = { computeSignature, verifySignature };
@@ -1,8 +1,51 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const axios = require('axios');
-const { analyzeStocks } = require('./stock-analysis');
+const {
+  analyzeStocks,
+  buildPriceCharts,
+  fetchStockData,
+  stockCache,
+  analysisCache,
+  sectorBenchmarks,
+  marketData,
+  llm,
+  structuredAnalysisStats,
+} = require('./stock-analysis');
 const UserManager = require('./user-manager');
+const JobQueue = require('./job-queue');
+const RateLimiter = require('./rate-limiter');
+const { formatLimitMessage } = RateLimiter;
+const DigestScheduler = require('./digest-scheduler');
+const AlertEngine = require('./alert-engine');
+const { describeAlertCondition } = AlertEngine;
+const { parseChatCommand } = require('./chat-commands');
+const { symbolMaster } = require('./symbol-master');
+const { formatScorecardMessage } = require('./scorecard');
+const { formatResultsMessage } = require('./quarterly-results');
+const { formatSectorMessage } = require('./sector-benchmarks');
+const {
+  valuePortfolio,
+  formatPortfolioMessage,
+  formatTradeMessage,
+  formatSellRejectedMessage,
+  formatPortfolioUsage,
+} = require('./portfolio');
+const { mapWithConcurrency } = require('./concurrency');
+const MetaMediaClient = require('./meta-media');
+const { createSpeechToText, createTextToSpeech } = require('./speech');
+const { buildSpokenSummary } = require('./spoken-summary');
+const {
+  toPlainText,
+  buildLanguagePicker,
+  buildMainMenu,
+  buildAnalysisFollowUps,
+  getInteractiveReplyCommand,
+  formatHelpMessage,
+} = require('./message-builder');
+const { parsePortfolioCsv, formatImportMessage, formatImportProblem } = require('./portfolio-import');
+const { MIN_STOCKS: MIN_COMPARE_STOCKS, MAX_STOCKS: MAX_COMPARE_STOCKS } = require('./stock-comparison');
+const { verifySignature } = require('./webhook-signature');
 const { PostHog } = require('posthog-node');
 require('dotenv').config();
 
@@ -14,15 +57,111 @@ const posthog = new PostHog(process.env.POSTHOG_API_KEY);
 // Initialize User Manager
 const userManager = new UserManager();
 
+// Per-user burst limits, daily quotas and the global spend ceiling
+const rateLimiter = new RateLimiter({ userManager });
+
+// Durable queue between the webhook and message processing (started once the database is ready)
+const jobQueue = new JobQueue();
+jobQueue.registerHandler('meta_message', ({ message, value }, job) => processMetaMessage(message, value, job));
+
+// Daily watchlist digest (started once the database is ready)
+const digestScheduler = new DigestScheduler({
+  userManager,
+  fetchStockData,
+  sendMessage: (text, toNumber) => sendMetaWhatsAppMessage(text, toNumber),
+});
+
+// Background price alert polling (started once the database is ready)
+const alertEngine = new AlertEngine({
+  userManager,
+  fetchStockData,
+  sendMessage: (text, toNumber) => sendMetaWhatsAppMessage(text, toNumber),
+});
+
 // Meta WhatsApp Business API Configuration
 const META_GRAPH_API_URL = 'https://graph.facebook.com/v22.0';
 const PHONE_NUMBER_ID = process.env.META_PHONE_NUMBER_ID;
 const ACCESS_TOKEN = process.env.META_ACCESS_TOKEN;
+const APP_SECRET = process.env.META_APP_SECRET;
+// Local testing only: accept unsigned webhook POSTs when no app secret is set
+const SKIP_WEBHOOK_SIGNATURE = !APP_SECRET && process.env.WEBHOOK_SIGNATURE_CHECK === 'off';
 const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN;
 
+// Downloads documents and voice notes users send
+const mediaClient = new MetaMediaClient({ graphApiUrl: META_GRAPH_API_URL, accessToken: ACCESS_TOKEN });
+
+// Largest CSV accepted for a portfolio import
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+
+// Voice notes are transcribed with SPEECH_PROVIDER. Speech-to-text takes
+// clips of up to ~30 seconds; this byte limit is well above that for Opus.
+const speechToText = createSpeechToText();
+const MAX_VOICE_NOTE_BYTES = 512 * 1024;
+
+// Spoken summaries of analyses for users with VOICE ON
+const textToSpeech = createTextToSpeech();
+
+// Price chart images sent ahead of each analysis (PRICE_CHARTS=off disables)
+const PRICE_CHARTS_ENABLED = process.env.PRICE_CHARTS !== 'off';
+
+// Token required by admin endpoints that change state (sent as X-Admin-Token)
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Each WATCHLIST request analyzes every saved stock, so keep the list short
+const MAX_WATCHLIST_SIZE = 10;
+
+// Every active alert is polled, so cap how many one user can create
+const MAX_ALERTS_PER_USER = 10;
+
+// Holdings priced at the same time for PORTFOLIO
+const PORTFOLIO_QUOTE_CONCURRENCY = 3;
+
+// Commands that run the normal analysis flow in another analyzeStocks mode
+const COMMAND_ANALYSIS_MODES = {
+  fast_analysis: 'rules',
+  compare: 'compare',
+};
+
+// Open "did you mean" questions, answered by replying with a number
+const PENDING_CHOICE_TTL_MS = 10 * 60 * 1000;
+const pendingStockChoices = new Map(); // phone number -> { candidates, otherNames, expiresAt }
+
+// "COMPARE TCS" with one stock waits for the stock to compare it with
+const pendingCompareStocks = new Map(); // phone number -> { name, expiresAt }
+
+// Meta retries webhooks for up to 7 days, so remember message IDs that long
+const MESSAGE_DEDUP_RETENTION_HOURS = parseInt(process.env.MESSAGE_DEDUP_RETENTION_HOURS) || 7 * 24;
+const MESSAGE_DEDUP_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Messages older than this (e.g. delivered late after downtime) are not answered
+const MAX_MESSAGE_AGE_MINUTES = parseInt(process.env.MAX_MESSAGE_AGE_MINUTES) || 60;
+
+// Queued and skipped duplicate/stale messages since startup (reported in /admin/stats)
+const messageDedupStats = {
+  queued: 0,
+  duplicates_skipped: 0,
+  stale_skipped: 0,
+};
+let messageDedupPurgeTimer = null;
+
+// Webhook signature check results since startup (reported in /admin/stats)
+const webhookSignatureStats = {
+  verified: 0,
+  rejected_missing: 0,
+  rejected_malformed: 0,
+  rejected_mismatch: 0,
+  rejected_no_secret: 0,
+  unverified: 0,
+};
+
 // Middleware
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
+// Keep the raw bytes: the webhook signature is computed over them
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -53,6 +192,24 @@ app.get('/health', (req, res) => {
 app.get('/admin/stats', async (req, res) => {
   try {
     const stats = await userManager.getUserStats();
+    stats.market_data = marketData.getStats();
+    stats.llm = llm.getUsageStats();
+    stats.speech = speechToText.getStats();
+    stats.text_to_speech = textToSpeech.getStats();
+    stats.structured_analysis = { ...structuredAnalysisStats };
+    stats.stock_cache = await stockCache.getStats();
+    stats.analysis_cache = await analysisCache.getStats();
+    stats.job_queue = await jobQueue.getStats();
+    stats.rate_limits = await rateLimiter.getStats();
+    stats.message_dedup = {
+      retention_hours: MESSAGE_DEDUP_RETENTION_HOURS,
+      max_message_age_minutes: MAX_MESSAGE_AGE_MINUTES,
+      ...messageDedupStats,
+    };
+    stats.webhook_signatures = {
+      enforced: !SKIP_WEBHOOK_SIGNATURE,
+      ...webhookSignatureStats,
+    };
     res.status(200).json({
       status: 'success',
       data: stats,
@@ -67,8 +224,191 @@ app.get('/admin/stats', async (req, res) => {
   }
 });
 
+// Guard for admin endpoints that change state
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    res.status(503).json({
+      status: 'error',
+      message: 'ADMIN_API_TOKEN is not configured',
+    });
+    return;
+  }
+
+  if (req.get('X-Admin-Token') !== ADMIN_API_TOKEN) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Invalid admin token',
+    });
+    return;
+  }
+
+  next();
+}
+
+// Admin endpoint to purge cached analyses (optionally ?symbol=TCS&language=hindi)
+app.delete('/admin/analysis-cache', requireAdminToken, async (req, res) => {
+  try {
+    const deleted = await analysisCache.purge({
+      symbol: req.query.symbol || null,
+      language: req.query.language || null,
+    });
+    res.status(200).json({
+      status: 'success',
+      data: { deleted },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error purging analysis cache:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to purge analysis cache',
+    });
+  }
+});
+
+// Reject webhook POSTs whose X-Hub-Signature-256 doesn't match META_APP_SECRET.
+// Without a secret nothing can be verified, so everything is rejected
+// unless WEBHOOK_SIGNATURE_CHECK=off.
+function verifyWebhookSignature(req, res, next) {
+  if (SKIP_WEBHOOK_SIGNATURE) {
+    webhookSignatureStats.unverified += 1;
+    next();
+    return;
+  }
+
+  if (!APP_SECRET) {
+    webhookSignatureStats.rejected_no_secret += 1;
+    console.warn('🚫 Webhook rejected: META_APP_SECRET is not set');
+    res.status(401).send('Invalid signature');
+    return;
+  }
+
+  const result = verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), APP_SECRET);
+  if (!result.valid) {
+    webhookSignatureStats[`rejected_${result.reason}`] += 1;
+    console.warn(`🚫 Webhook rejected: ${result.reason} signature`);
+    res.status(401).send('Invalid signature');
+    return;
+  }
+
+  webhookSignatureStats.verified += 1;
+  next();
+}
+
+// Admin endpoint showing one user's limits and usage today
+app.get('/admin/users/:phoneNumber/limits', requireAdminToken, async (req, res) => {
+  try {
+    const limits = await rateLimiter.getUserLimits(req.params.phoneNumber);
+    if (!limits) {
+      res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+      return;
+    }
+    res.status(200).json({
+      status: 'success',
+      data: limits,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error getting user limits:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get user limits',
+    });
+  }
+});
+
+// Admin endpoint to override one user's limits.
+// Body: { "daily_quota": 50 | null, "exempt": true | false, "reset_usage": true }
+app.put('/admin/users/:phoneNumber/limits', requireAdminToken, async (req, res) => {
+  const body = req.body || {};
+  const dailyQuota = body.daily_quota;
+
+  if (dailyQuota !== undefined && dailyQuota !== null && !(Number.isInteger(dailyQuota) && dailyQuota >= 0)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'daily_quota must be a non-negative integer or null',
+    });
+    return;
+  }
+
+  try {
+    const updated = await userManager.setUsageOverride(req.params.phoneNumber, {
+      dailyQuota,
+      exempt: body.exempt === undefined ? undefined : Boolean(body.exempt),
+      resetUsage: Boolean(body.reset_usage),
+    });
+    if (!updated) {
+      res.status(404).json({
+        status: 'error',
+        message: 'User not found or nothing to change',
+      });
+      return;
+    }
+    if (body.reset_usage) {
+      rateLimiter.resetBurst(req.params.phoneNumber);
+    }
+    res.status(200).json({
+      status: 'success',
+      data: await rateLimiter.getUserLimits(req.params.phoneNumber),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error setting user limits:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set user limits',
+    });
+  }
+});
+
+// Admin endpoint listing dead-lettered jobs (messages that failed every attempt)
+app.get('/admin/queue/dead', requireAdminToken, async (req, res) => {
+  try {
+    const jobs = await jobQueue.getDeadJobs(parseInt(req.query.limit) || 20);
+    res.status(200).json({
+      status: 'success',
+      data: { jobs },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error listing dead jobs:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list dead jobs',
+    });
+  }
+});
+
+// Admin endpoint to requeue a dead-lettered job
+app.post('/admin/queue/:id/retry', requireAdminToken, async (req, res) => {
+  try {
+    const requeued = await jobQueue.retryDeadJob(parseInt(req.params.id));
+    if (!requeued) {
+      res.status(404).json({
+        status: 'error',
+        message: 'No dead job with that id',
+      });
+      return;
+    }
+    res.status(200).json({
+      status: 'success',
+      data: { id: parseInt(req.params.id), requeued },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to retry job',
+    });
+  }
+});
+
 // Webhook endpoint for WhatsApp messages (Meta format)
-app.post('/webhook', (req, res) => {
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
   console.log('📱 Meta webhook received at:', new Date().toISOString());
   console.log('📨 Webhook body:', JSON.stringify(req.body, null, 2));
 
@@ -78,26 +418,23 @@ app.post('/webhook', (req, res) => {
 
     // Check if it's a WhatsApp message
     if (body.object === 'whatsapp_business_account') {
-      // Acknowledge receipt immediately (async pattern)
-      res.status(200).send('OK');
-
-      // Process each entry
-      body.entry.forEach(entry => {
-        const changes = entry.changes || [];
-
-        changes.forEach(change => {
-          if (change.field === 'messages') {
-            const value = change.value;
-
-            // Process incoming messages
-            if (value.messages && value.messages.length > 0) {
-              value.messages.forEach(message => {
-                processMetaMessage(message, value);
-              });
-            }
+      // Queue every message, oldest first, before acknowledging. If queuing
+      // fails Meta gets an error and retries the delivery later.
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          if (change.field !== 'messages') continue;
+
+          const value = change.value;
+          const messages = [...(value.messages || [])]
+            .sort((a, b) => (parseInt(a.timestamp) || 0) - (parseInt(b.timestamp) || 0));
+
+          for (const message of messages) {
+            await enqueueMetaMessage(message, value);
           }
-        });
-      });
+        }
+      }
+
+      res.status(200).send('OK');
     } else {
       console.log('⚠️ Non-WhatsApp webhook received, ignoring');
       res.status(200).send('OK');
@@ -129,8 +466,53 @@ app.get('/webhook', (req, res) => {
   }
 });
 
-// Process Meta WhatsApp message
-async function processMetaMessage(message, value) {
+// Check a webhook message for staleness and duplicates, then queue it
+async function enqueueMetaMessage(message, value) {
+  const messageId = message.id;
+  const fromNumber = message.from;
+  const timestamp = message.timestamp;
+
+  // Skip messages delivered long after they were sent (e.g. after downtime)
+  const sentAtMs = parseInt(timestamp) * 1000;
+  if (sentAtMs && Date.now() - sentAtMs > MAX_MESSAGE_AGE_MINUTES * 60 * 1000) {
+    messageDedupStats.stale_skipped += 1;
+    console.log(`⏭️ Message ${messageId} is older than ${MAX_MESSAGE_AGE_MINUTES} minutes, ignoring`);
+    return;
+  }
+
+  // Skip webhook retries of a message we already queued
+  if (messageId) {
+    let isNewMessage = true;
+    try {
+      isNewMessage = await userManager.markMessageProcessed(messageId, fromNumber, parseInt(timestamp) || null);
+    } catch (error) {
+      // Better to risk a duplicate reply than to drop the message
+      console.error('⚠️ Message dedup check failed, queuing anyway:', error.message);
+    }
+
+    if (!isNewMessage) {
+      messageDedupStats.duplicates_skipped += 1;
+      console.log(`⏭️ Message ${messageId} was already processed, ignoring`);
+      return;
+    }
+  }
+
+  try {
+    const jobId = await jobQueue.enqueue('meta_message', { message, value }, { dedupKey: messageId || null });
+    messageDedupStats.queued += 1;
+    console.log(`📥 Queued message ${messageId} as job #${jobId}`);
+  } catch (error) {
+    // Let Meta's retry through the dedup check again
+    if (messageId) {
+      await userManager.unmarkMessageProcessed(messageId).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+// Job handler for a queued webhook message. Errors are rethrown so the
+// queue can retry; the user only gets an error reply on the final attempt.
+async function processMetaMessage(message, value, job = { attempts: 1, isFinalAttempt: true }) {
   try {
     // Extract message details
     const messageType = message.type;
@@ -143,6 +525,30 @@ async function processMetaMessage(message, value) {
     console.log(`• Type: ${messageType}`);
     console.log(`• ID: ${messageId}`);
     console.log(`• Timestamp: ${timestamp}`);
+    console.log(`• Attempt: ${job.attempts}`);
+
+    // Broker CSV exports sent as documents are imported into the portfolio
+    if (messageType === 'document') {
+      await processDocumentMessage(message.document, fromNumber, { isFinalAttempt: job.isFinalAttempt });
+      return;
+    }
+
+    // Voice notes are transcribed and then handled like a typed message
+    if (messageType === 'audio') {
+      await processVoiceMessage(message.audio, fromNumber, { isFinalAttempt: job.isFinalAttempt, isRetry: job.attempts > 1 });
+      return;
+    }
+
+    // A tapped button or list row carries its command as the id
+    const interactiveCommand = messageType === 'interactive' ? getInteractiveReplyCommand(message.interactive) : null;
+    if (interactiveCommand) {
+      console.log(`• Interactive reply: "${interactiveCommand}"`);
+      await processMessageWithLanguageSupport(interactiveCommand, fromNumber, {
+        isFinalAttempt: job.isFinalAttempt,
+        isRetry: job.attempts > 1,
+      });
+      return;
+    }
 
     // Only process text messages
     if (messageType !== 'text') {
@@ -160,18 +566,197 @@ async function processMetaMessage(message, value) {
     console.log(`📊 User Activity: ${profileName} (${fromNumber}) - "${messageBody}"`);
 
     // Process the message with language preference handling
-    await processMessageWithLanguageSupport(messageBody, fromNumber);
+    await processMessageWithLanguageSupport(messageBody, fromNumber, {
+      isFinalAttempt: job.isFinalAttempt,
+      isRetry: job.attempts > 1,
+    });
 
   } catch (error) {
     console.error('❌ Error processing Meta message:', error);
+    throw error;
+  }
+}
+
+// Burst limit check; replies (once per window) and returns false when over it
+async function checkMessageBurst(fromNumber) {
+  const messageLimit = await rateLimiter.checkMessage(fromNumber);
+  if (messageLimit.allowed) return true;
+
+  console.log(`🚦 Burst limit reached for ${fromNumber}`);
+  if (messageLimit.notify) {
+    const user = await userManager.getUser(fromNumber);
+    const language = user && user.language_preference !== 'pending' ? user.language_preference : 'english';
+    await sendMetaWhatsAppMessage(formatLimitMessage(messageLimit, language), fromNumber);
+  }
+  return false;
+}
+
+// CSV by file name or MIME type; WhatsApp often labels .csv files as Excel
+function isCsvDocument(document) {
+  const filename = (document.filename || '').toLowerCase();
+  const mimeType = (document.mime_type || '').toLowerCase();
+  return filename.endsWith('.csv') || ['text/csv', 'text/comma-separated-values', 'application/csv'].includes(mimeType);
+}
+
+// Import a broker holdings export or tradebook sent as a document
+async function processDocumentMessage(document, fromNumber, { isFinalAttempt = true } = {}) {
+  console.log(`📄 Document from ${fromNumber}: ${document.filename || document.id} (${document.mime_type})`);
+
+  if (!(await checkMessageBurst(fromNumber))) {
+    return;
+  }
+
+  const user = await userManager.getUser(fromNumber);
+  const userLanguage = user && user.language_preference !== 'pending' ? user.language_preference : 'english';
+
+  if (!isCsvDocument(document)) {
+    await sendMetaWhatsAppMessage(formatImportProblem('notCsv', userLanguage), fromNumber);
+    return;
+  }
+
+  let file;
+  try {
+    file = await mediaClient.download(document.id, { maxBytes: MAX_IMPORT_FILE_BYTES });
+  } catch (error) {
+    if (error.tooLarge) {
+      await sendMetaWhatsAppMessage(formatImportProblem('tooLarge', userLanguage), fromNumber);
+      return;
+    }
+
+    console.error(`❌ Error downloading document ${document.id}:`, error.message);
+    // Leave the reply to the job queue's retry unless this was the last attempt
+    if (!isFinalAttempt) {
+      throw error;
+    }
+    await sendMetaWhatsAppMessage(formatImportProblem('failed', userLanguage), fromNumber);
+    return;
+  }
+
+  const result = parsePortfolioCsv(file.data.toString('utf8'));
+
+  // A holdings export is a full snapshot, so it replaces the previous one
+  let replacedCount = 0;
+  if (result.entries.length > 0) {
+    try {
+      const imported = await userManager.importPortfolioTransactions(fromNumber, result.entries, {
+        source: result.kind === 'trades' ? 'import_trades' : 'import_holdings',
+        replaceSource: result.kind === 'holdings',
+      });
+      replacedCount = imported.replaced;
+    } catch (error) {
+      // The import was rolled back, so a retry starts from a clean state
+      if (!isFinalAttempt) {
+        throw error;
+      }
+      await sendMetaWhatsAppMessage(formatImportProblem('failed', userLanguage), fromNumber);
+      return;
+    }
+  }
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'portfolio_imported',
+    properties: {
+      broker: result.broker || 'unrecognized',
+      kind: result.kind,
+      imported: result.entries.length,
+      failed: result.failures.length,
+      language: userLanguage,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(formatImportMessage(result, { replacedCount }, userLanguage), fromNumber);
+}
+
+// Transcribe a voice note, echo what was understood and process it as text
+async function processVoiceMessage(audio, fromNumber, { isFinalAttempt = true, isRetry = false } = {}) {
+  console.log(`🎤 Voice note from ${fromNumber}: ${audio.id} (${audio.mime_type})`);
+
+  // Checked once here, before the download and transcription
+  if (!(await checkMessageBurst(fromNumber))) {
+    return;
   }
+
+  const user = await userManager.getUser(fromNumber);
+  const language = user && user.language_preference !== 'pending' ? user.language_preference : null;
+  const replyLanguage = language || 'english';
+
+  let transcript;
+  try {
+    const file = await mediaClient.download(audio.id, { maxBytes: MAX_VOICE_NOTE_BYTES });
+    const result = await speechToText.transcribe(file.data, { mimeType: file.mimeType || audio.mime_type, language });
+    transcript = result.transcript;
+  } catch (error) {
+    if (error.tooLarge) {
+      const tooLongMessage =
+          replyLanguage === 'english'
+            ? '🎤 That voice note is too long. Please keep it under 30 seconds, e.g. just say the stock name.'
+            : replyLanguage === 'hindi'
+              ? '🎤 यह वॉइस नोट बहुत लंबा है। कृपया 30 सेकंड से छोटा रखें, जैसे सिर्फ स्टॉक का नाम बोलें।'
+              : '🎤 આ વોઇસ નોટ ખૂબ લાંબી છે. કૃપા કરીને 30 સેકંડથી ટૂંકી રાખો, જેમ કે ફક્ત સ્ટોકનું નામ બોલો.';
+      await sendMetaWhatsAppMessage(tooLongMessage, fromNumber);
+      return;
+    }
+
+    console.error(`❌ Error transcribing voice note ${audio.id}:`, error.message);
+    // Leave the reply to the job queue's retry unless this was the last attempt
+    if (!isFinalAttempt) {
+      throw error;
+    }
+    transcript = '';
+  }
+
+  if (!transcript) {
+    const notUnderstoodMessage =
+        replyLanguage === 'english'
+          ? '🎤 Sorry, I could not understand the voice note. Please try again or type the stock name.'
+          : replyLanguage === 'hindi'
+            ? '🎤 माफ़ करें, वॉइस नोट समझ नहीं आया। कृपया फिर से बोलें या स्टॉक का नाम लिखकर भेजें।'
+            : '🎤 માફ કરશો, વોઇસ નોટ સમજાઈ નહીં. કૃપા કરીને ફરી બોલો અથવા સ્ટોકનું નામ લખીને મોકલો.';
+    await sendMetaWhatsAppMessage(notUnderstoodMessage, fromNumber);
+    return;
+  }
+
+  console.log(`• Transcript: "${transcript}"`);
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'voice_note_transcribed',
+    properties: {
+      provider: speechToText.provider.name,
+      characters: transcript.length,
+      language: replyLanguage,
+    }
+  });
+
+  // Echo the transcript so a misheard name is obvious before the analysis
+  // (once, not on retries)
+  const heardMessage =
+      replyLanguage === 'english'
+        ? `🎤 You said: "${transcript}"`
+        : replyLanguage === 'hindi'
+          ? `🎤 आपने कहा: "${transcript}"`
+          : `🎤 તમે કહ્યું: "${transcript}"`;
+  if (!isRetry) {
+    await sendMetaWhatsAppMessage(heardMessage, fromNumber);
+  }
+
+  await processMessageWithLanguageSupport(transcript, fromNumber, { isFinalAttempt, isRetry, burstChecked: true });
 }
 
-// Process message with language preference management (unchanged logic)
-async function processMessageWithLanguageSupport(messageBody, fromNumber) {
+// Process message with language preference management (unchanged logic).
+// isRetry is set when the job queue runs the message again after a failure.
+async function processMessageWithLanguageSupport(messageBody, fromNumber, { isFinalAttempt = true, isRetry = false, burstChecked = false } = {}) {
+  // Analyses reserved by this attempt, given back if it fails and is retried
+  const attempt = { isRetry, reserved: null };
+
   try {
     console.log(`🔍 Processing message from ${fromNumber}:`, messageBody);
 
+    // Burst limit on every message, before any work is done for it
+    if (!burstChecked && !(await checkMessageBurst(fromNumber))) {
+      return;
+    }
+
     // Handle language preference flow
     const languageResult = await userManager.handleLanguagePreference(
       fromNumber,
@@ -190,7 +775,7 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
           language: languageResult.language,
         }
       });
-      await sendMetaWhatsAppMessage(languageResult.message, fromNumber);
+      await sendMetaWhatsAppInteractive(buildMainMenu(languageResult.language, { body: languageResult.message }), fromNumber, languageResult.language);
       return;
     }
 
@@ -204,7 +789,7 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
           language_status: 'pending'
         }
       });
-      await sendMetaWhatsAppMessage(languageResult.message, fromNumber);
+      await sendMetaWhatsAppInteractive(buildLanguagePicker(), fromNumber, 'english', languageResult.message);
       return;
     }
 
@@ -212,8 +797,22 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
     const userLanguage = languageResult.language;
     console.log(`📈 Proceeding with stock analysis in: ${userLanguage}`);
 
+    // Handle chat commands (watchlist etc.) before treating the message as stock names.
+    // FAST <stocks> and COMPARE <stocks> run the normal flow in their own mode.
+    const command = parseChatCommand(messageBody);
+
+    // Any reply ends a wait for the second stock of a comparison
+    const pendingCompare = pendingCompareStocks.get(fromNumber);
+    pendingCompareStocks.delete(fromNumber);
+
+    if (command && !COMMAND_ANALYSIS_MODES[command.type]) {
+      await handleChatCommand(command, fromNumber, userLanguage, attempt);
+      return;
+    }
+
     // Clean up the message
-    const stockNames = messageBody.trim();
+    let stockNames = command ? command.query : messageBody.trim();
+    let analysisMode = command ? COMMAND_ANALYSIS_MODES[command.type] : undefined;
 
     if (!stockNames) {
       console.log('❌ Empty message received');
@@ -227,7 +826,83 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
       return;
     }
 
-    // Send acknowledgment message in user's preferred language
+    // A bare number answers an earlier "did you mean" question
+    const pendingChoice = pendingStockChoices.get(fromNumber);
+    if (pendingChoice && pendingChoice.expiresAt < Date.now()) {
+      pendingStockChoices.delete(fromNumber);
+    }
+
+    if (pendingChoice && pendingChoice.expiresAt >= Date.now() && /^\d+$/.test(stockNames)) {
+      const chosen = pendingChoice.candidates[parseInt(stockNames) - 1];
+      if (!chosen) {
+        const invalidMessage =
+            userLanguage === 'english'
+              ? `Please reply with a number from 1 to ${pendingChoice.candidates.length}, or send the stock name again.`
+              : userLanguage === 'hindi'
+                ? `कृपया 1 से ${pendingChoice.candidates.length} के बीच कोई नंबर भेजें, या स्टॉक का नाम फिर से भेजें।`
+                : `કૃપા કરીને 1 થી ${pendingChoice.candidates.length} વચ્ચેનો નંબર મોકલો, અથવા સ્ટોકનું નામ ફરીથી મોકલો.`;
+        await sendMetaWhatsAppMessage(invalidMessage, fromNumber);
+        return;
+      }
+
+      pendingStockChoices.delete(fromNumber);
+      stockNames = [chosen.name, ...pendingChoice.otherNames].join(', ');
+      analysisMode = pendingChoice.analysisMode;
+    } else {
+      // Stock names sent after a single-stock COMPARE are compared with it
+      if (!command && pendingCompare && pendingCompare.expiresAt >= Date.now()) {
+        stockNames = `${pendingCompare.name}, ${stockNames}`;
+        analysisMode = 'compare';
+      }
+
+      // Resolve names against the symbol master, asking when a name is ambiguous
+      const resolution = symbolMaster.resolveQuery(stockNames);
+
+      if (resolution.ambiguous) {
+        pendingStockChoices.set(fromNumber, {
+          candidates: resolution.ambiguous.candidates,
+          otherNames: resolution.names,
+          analysisMode,
+          expiresAt: Date.now() + PENDING_CHOICE_TTL_MS,
+        });
+
+        posthog.capture({
+          distinctId: fromNumber,
+          event: 'stock_name_ambiguous',
+          properties: {
+            query: resolution.ambiguous.query,
+            candidates: resolution.ambiguous.candidates.map(c => c.symbol).join(', '),
+            language: userLanguage,
+          }
+        });
+
+        await sendMetaWhatsAppMessage(formatDidYouMean(resolution.ambiguous, userLanguage), fromNumber);
+        return;
+      }
+
+      stockNames = resolution.names.join(', ');
+    }
+
+    const stockList = stockNames.split(',').map(name => name.trim()).filter(name => name.length > 0);
+
+    if (analysisMode === 'compare' && stockList.length === 1) {
+      await askCompareStock(stockList[0], fromNumber, userLanguage);
+      return;
+    }
+
+    if (analysisMode === 'compare' && (stockList.length < MIN_COMPARE_STOCKS || stockList.length > MAX_COMPARE_STOCKS)) {
+      await sendCompareUsage(fromNumber, userLanguage);
+      return;
+    }
+
+    // Daily quota per stock; FAST and COMPARE don't call the LLM, so the
+    // spend ceiling doesn't apply to them
+    const usesLLM = analysisMode !== 'rules' && analysisMode !== 'compare';
+    if (!(await checkAnalysisQuota(fromNumber, stockList.length, userLanguage, attempt, { usesLLM }))) {
+      return;
+    }
+
+    // Send acknowledgment message in user's preferred language (once, not on retries)
     const acknowledgmentMessage =
         userLanguage === 'english'
           ? '📊 Analyzing stocks... Please wait 30 seconds'
@@ -235,9 +910,10 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
             ? '📊 विश्लेषण कर रहे हैं... कृपया 30 सेकंड रुकें'
             : '📊 અમે ચેક કરી રહ્યા છીએ... કૃપા કરીને થોડી વાર રાહ જુઓ';
 
-    await sendMetaWhatsAppMessage(acknowledgmentMessage, fromNumber);
+    if (!attempt.isRetry) {
+      await sendMetaWhatsAppMessage(acknowledgmentMessage, fromNumber);
+    }
 
-    const stockList = stockNames.split(/[,\s]+/).filter(name => name.length > 0);
     posthog.capture({
       distinctId: fromNumber,
       event: 'stock_analysis_requested',
@@ -245,14 +921,17 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
         stocks: stockNames,
         stock_count: stockList.length,
         language: userLanguage,
-        is_multi_stock: stockList.length > 1
+        is_multi_stock: stockList.length > 1,
+        mode: analysisMode || 'default'
       }
     });
 
-    // Run stock analysis with language preference
+    // Run stock analysis with language preference; the charts are drawn
+    // meanwhile from the same (cached) stock data
     console.log('📈 Starting stock analysis for:', stockNames);
     const startTime = Date.now();
-    const analysisResult = await analyzeStocks(stockNames, userLanguage);
+    const chartsPromise = analysisMode !== 'compare' ? startPriceCharts(stockNames) : Promise.resolve([]);
+    const analysisResult = await analyzeStocks(stockNames, userLanguage, { mode: analysisMode, chargeLLM });
     const responseTime = Math.round((Date.now() - startTime) / 1000); // in seconds
 
     console.log('✅ Stock analysis completed');
@@ -268,11 +947,23 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
       }
     });
 
-    // Send the analysis result
+    // Send the charts, then the analysis result
+    await sendPriceCharts(await chartsPromise, fromNumber, userLanguage);
     await sendMetaWhatsAppMessage(analysisResult, fromNumber);
+    await sendSpokenSummary(analysisResult, fromNumber, userLanguage);
+    if (analysisMode !== 'compare') {
+      await sendAnalysisFollowUps(stockList, fromNumber, userLanguage);
+    }
   } catch (error) {
     console.error('❌ Error processing message:', error);
 
+    // Leave the reply to the job queue's retry unless this was the last attempt.
+    // The retry reserves its analyses again, so give these back first.
+    if (!isFinalAttempt) {
+      await releaseReservedAnalyses(fromNumber, attempt);
+      throw error;
+    }
+
     // Send user-friendly error message based on error type and language
     let errorMessage = 'विश्लेषण में समस्या हुई। कृपया बाद में कोशिश करें।';
     let userLanguage = 'hindi'; // Default to hindi
@@ -323,12 +1014,670 @@ async function processMessageWithLanguageSupport(messageBody, fromNumber) {
   }
 }
 
-// Send WhatsApp message via Meta Business Cloud API with fallback splitting
-async function sendMetaWhatsAppMessage(messageText, toNumber) {
-  try {
-    console.log(
-      `📤 Sending Meta message to ${toNumber}:`,
-      messageText.substring(0, 50) + '...'
+// Reserve analyses for a request; replies and returns false if over a limit.
+// The reservation is recorded on the attempt so a failed attempt can release it.
+async function checkAnalysisQuota(fromNumber, stockCount, userLanguage, attempt, { usesLLM = true } = {}) {
+  const quota = await rateLimiter.reserveAnalyses(fromNumber, stockCount, { usesLLM });
+  if (quota.allowed) {
+    attempt.reserved = { count: stockCount, dateKey: quota.dateKey };
+    return true;
+  }
+
+  console.log(`🚦 ${quota.reason === 'spend' ? 'Spend ceiling' : 'Daily quota'} reached for ${fromNumber}`);
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'usage_limit_reached',
+    properties: {
+      reason: quota.reason,
+      stock_count: stockCount,
+      language: userLanguage,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(formatLimitMessage(quota, userLanguage), fromNumber);
+  return false;
+}
+
+// Charge one stock's LLM analysis to the global spend; false (ceiling
+// reached) makes analyzeStocks use the rule-based card for it. A database
+// error lets the analysis through rather than failing it.
+function chargeLLM() {
+  return rateLimiter.chargeAnalysis().catch(error => {
+    console.error('❌ Error charging analysis spend:', error.message);
+    return true;
+  });
+}
+
+// Give back the analyses an attempt reserved; failures are only logged
+async function releaseReservedAnalyses(fromNumber, attempt) {
+  if (!attempt.reserved) return;
+
+  const { count, dateKey } = attempt.reserved;
+  attempt.reserved = null;
+  try {
+    await rateLimiter.releaseAnalyses(fromNumber, count, dateKey);
+    console.log(`↩️ Released ${count} reserved analyses for ${fromNumber}`);
+  } catch (error) {
+    console.error(`❌ Error releasing reserved analyses for ${fromNumber}:`, error.message);
+  }
+}
+
+// Numbered "did you mean" question for an ambiguous stock name
+function formatDidYouMean(resolution, userLanguage) {
+  const header = userLanguage === 'english'
+    ? `🤔 *Which stock did you mean by "${resolution.query}"?*`
+    : userLanguage === 'hindi'
+      ? `🤔 *"${resolution.query}" से आपका मतलब कौन सा स्टॉक है?*`
+      : `🤔 *"${resolution.query}" થી તમારો મતલબ કયો સ્ટોક છે?*`;
+  const options = resolution.candidates
+    .map((candidate, i) => `${i + 1}. ${candidate.name} (${candidate.symbol})`)
+    .join('\n');
+  const footer = userLanguage === 'english'
+    ? 'Reply with the number, e.g. 1'
+    : userLanguage === 'hindi'
+      ? 'नंबर भेजकर जवाब दें, जैसे 1'
+      : 'નંબર મોકલીને જવાબ આપો, જેમ કે 1';
+
+  return `${header}\n\n${options}\n\n${footer}`;
+}
+
+// Dispatch a parsed chat command to its handler
+async function handleChatCommand(command, fromNumber, userLanguage, attempt) {
+  console.log(`⌨️ Chat command from ${fromNumber}: ${command.type}`);
+
+  if (command.type.startsWith('watchlist_')) {
+    await handleWatchlistCommand(command, fromNumber, userLanguage, attempt);
+  } else if (command.type === 'digest_on' || command.type === 'digest_off') {
+    await handleDigestCommand(command, fromNumber, userLanguage);
+  } else if (command.type === 'voice_on' || command.type === 'voice_off') {
+    await handleVoiceCommand(command, fromNumber, userLanguage);
+  } else if (command.type.startsWith('alert_')) {
+    await handleAlertCommand(command, fromNumber, userLanguage);
+  } else if (command.type === 'score' || command.type === 'score_usage') {
+    await handleScoreCommand(command, fromNumber, userLanguage);
+  } else if (command.type === 'results' || command.type === 'results_usage') {
+    await handleResultsCommand(command, fromNumber, userLanguage);
+  } else if (command.type.startsWith('portfolio_')) {
+    await handlePortfolioCommand(command, fromNumber, userLanguage);
+  } else if (command.type === 'sector' || command.type === 'sector_usage') {
+    await handleSectorCommand(command, fromNumber, userLanguage);
+  } else if (command.type === 'compare_usage') {
+    await sendCompareUsage(fromNumber, userLanguage);
+  } else if (command.type === 'menu') {
+    await sendMetaWhatsAppInteractive(buildMainMenu(userLanguage), fromNumber, userLanguage);
+  } else if (command.type === 'help') {
+    await sendMetaWhatsAppMessage(formatHelpMessage(userLanguage), fromNumber);
+  } else if (command.type === 'analyze_prompt') {
+    const promptMessage =
+        userLanguage === 'english'
+          ? '📈 Send the stock name, e.g. TCS or Reliance. Several names separated by commas work too.'
+          : userLanguage === 'hindi'
+            ? '📈 स्टॉक का नाम भेजें, जैसे TCS या Reliance। कॉमा लगाकर कई नाम भी भेज सकते हैं।'
+            : '📈 સ્ટોકનું નામ મોકલો, જેમ કે TCS અથવા Reliance. અલ્પવિરામથી અલગ કરીને ઘણા નામ પણ મોકલી શકો છો.';
+    await sendMetaWhatsAppMessage(promptMessage, fromNumber);
+  }
+}
+
+// Handle BUY / SELL / PORTFOLIO for the virtual portfolio
+async function handlePortfolioCommand(command, fromNumber, userLanguage) {
+  if (command.type === 'portfolio_usage') {
+    await sendMetaWhatsAppMessage(formatPortfolioUsage(userLanguage), fromNumber);
+    return;
+  }
+
+  if (command.type === 'portfolio_view') {
+    const ledger = await userManager.getPortfolioLedger(fromNumber);
+
+    // Live prices; fetchStockData falls back to the last snapshot when the API is down
+    const quotes = {};
+    await mapWithConcurrency(ledger.openPositions, PORTFOLIO_QUOTE_CONCURRENCY, async position => {
+      quotes[position.symbol] = await fetchStockData(position.companyName || position.symbol)
+        .catch(() => ({ success: false }));
+    });
+    const valuation = valuePortfolio(ledger, quotes);
+
+    posthog.capture({
+      distinctId: fromNumber,
+      event: 'portfolio_viewed',
+      properties: {
+        holdings: valuation.holdings.length,
+        unpriced: valuation.unpriced.length,
+        language: userLanguage,
+      }
+    });
+
+    await sendMetaWhatsAppMessage(formatPortfolioMessage(valuation, userLanguage), fromNumber);
+    return;
+  }
+
+  // portfolio_buy / portfolio_sell: a sell can name a stock already held
+  // by its symbol; anything else is looked up like SCORE does
+  let ledger = await userManager.getPortfolioLedger(fromNumber);
+  const side = command.type === 'portfolio_buy' ? 'buy' : 'sell';
+  const heldPosition = ledger.openPositions.find(position => position.symbol === command.symbol);
+
+  let symbol = heldPosition ? heldPosition.symbol : null;
+  let companyName = heldPosition ? heldPosition.companyName : null;
+  if (!symbol) {
+    const stockData = await fetchCommandStock(command.symbol, fromNumber, userLanguage);
+    if (!stockData) return;
+    symbol = stockData.symbol;
+    companyName = stockData.companyName;
+  }
+
+  if (side === 'sell') {
+    const position = ledger.openPositions.find(p => p.symbol === symbol);
+    const held = position ? position.quantity : 0;
+    if (command.quantity > held) {
+      await sendMetaWhatsAppMessage(formatSellRejectedMessage(symbol, held, command.quantity, userLanguage), fromNumber);
+      return;
+    }
+  }
+
+  const transactionId = await userManager.addPortfolioTransaction(fromNumber, {
+    symbol,
+    companyName,
+    side,
+    quantity: command.quantity,
+    price: command.price,
+  });
+  ledger = await userManager.getPortfolioLedger(fromNumber);
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'portfolio_trade_recorded',
+    properties: {
+      side,
+      stock: symbol,
+      quantity: command.quantity,
+      language: userLanguage,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(formatTradeMessage({
+    side,
+    symbol,
+    quantity: command.quantity,
+    price: command.price,
+    position: ledger.positions.find(p => p.symbol === symbol),
+    sale: ledger.sales.find(sale => sale.transactionId === transactionId),
+  }, userLanguage), fromNumber);
+}
+
+// Handle SECTOR <name>: medians and leaders among recently looked-up peers
+async function handleSectorCommand(command, fromNumber, userLanguage) {
+  if (command.type === 'sector_usage') {
+    const usageMessage =
+        userLanguage === 'english'
+          ? '🏭 Send "SECTOR" with a sector name, e.g. SECTOR IT or SECTOR BANK'
+          : userLanguage === 'hindi'
+            ? '🏭 सेक्टर के नाम के साथ "SECTOR" भेजें, जैसे SECTOR IT या SECTOR BANK'
+            : '🏭 સેક્ટરના નામ સાથે "SECTOR" મોકલો, જેમ કે SECTOR IT અથવા SECTOR BANK';
+    await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+    return;
+  }
+
+  const summary = await sectorBenchmarks.summarize(command.query);
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'sector_requested',
+    properties: {
+      sector: command.query.toUpperCase(),
+      language: userLanguage,
+      company_count: summary ? summary.companyCount : 0,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(formatSectorMessage(command.query, summary, userLanguage), fromNumber);
+}
+
+// Ask which stock to compare a single stock with; the next message answers
+async function askCompareStock(stockName, fromNumber, userLanguage) {
+  pendingCompareStocks.set(fromNumber, {
+    name: stockName,
+    expiresAt: Date.now() + PENDING_CHOICE_TTL_MS,
+  });
+
+  const askMessage =
+      userLanguage === 'english'
+        ? `⚖️ Which stock should ${stockName} be compared with? Send its name (or two names).`
+        : userLanguage === 'hindi'
+          ? `⚖️ ${stockName} की तुलना किस स्टॉक से करें? उसका नाम भेजें (या दो नाम)।`
+          : `⚖️ ${stockName} ની સરખામણી કયા સ્ટોક સાથે કરવી છે? તેનું નામ મોકલો (અથવા બે નામ).`;
+  await sendMetaWhatsAppMessage(askMessage, fromNumber);
+}
+
+async function sendCompareUsage(fromNumber, userLanguage) {
+  const usageMessage =
+      userLanguage === 'english'
+        ? `⚖️ Send "COMPARE" with ${MIN_COMPARE_STOCKS} to ${MAX_COMPARE_STOCKS} stocks, e.g. COMPARE TCS INFY or TCS vs INFY`
+        : userLanguage === 'hindi'
+          ? `⚖️ ${MIN_COMPARE_STOCKS} से ${MAX_COMPARE_STOCKS} स्टॉक के साथ "COMPARE" भेजें, जैसे COMPARE TCS INFY या TCS vs INFY`
+          : `⚖️ ${MIN_COMPARE_STOCKS} થી ${MAX_COMPARE_STOCKS} સ્ટોક સાથે "COMPARE" મોકલો, જેમ કે COMPARE TCS INFY અથવા TCS vs INFY`;
+  await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+}
+
+// Look up the stock named in a SCORE/RESULTS command; replies and returns
+// null when it can't be found
+async function fetchCommandStock(query, fromNumber, userLanguage) {
+  const resolution = symbolMaster.resolve(query);
+  const stockName = resolution.status === 'matched' ? resolution.match.name : query;
+
+  // Statements only change with new results, so a stale price is fine here
+  const stockData = await fetchStockData(stockName, { allowStalePrice: true });
+  if (stockData.success) return stockData;
+
+  const notFoundMessage =
+      userLanguage === 'english'
+        ? `❌ ${query}: Stock not found. Please check the name.`
+        : userLanguage === 'hindi'
+          ? `❌ ${query}: स्टॉक नहीं मिला। सही नाम लिखें।`
+          : `❌ ${query}: સ્ટોક મળ્યો નથી. સાચું નામ લખો.`;
+  await sendMetaWhatsAppMessage(notFoundMessage, fromNumber);
+  return null;
+}
+
+// Handle SCORE <stock>: the financial scorecard, without an AI analysis
+async function handleScoreCommand(command, fromNumber, userLanguage) {
+  if (command.type === 'score_usage') {
+    const usageMessage =
+        userLanguage === 'english'
+          ? '📐 Send "SCORE" with a stock name, e.g. SCORE TCS'
+          : userLanguage === 'hindi'
+            ? '📐 स्टॉक के नाम के साथ "SCORE" भेजें, जैसे SCORE TCS'
+            : '📐 સ્ટોકના નામ સાથે "SCORE" મોકલો, જેમ કે SCORE TCS';
+    await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+    return;
+  }
+
+  const stockData = await fetchCommandStock(command.query, fromNumber, userLanguage);
+  if (!stockData) return;
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'scorecard_requested',
+    properties: {
+      stock: stockData.symbol,
+      language: userLanguage,
+      piotroski_score: stockData.metrics.scorecard?.piotroski?.score ?? null,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(
+    formatScorecardMessage(stockData.companyName, stockData.metrics.scorecard, userLanguage),
+    fromNumber
+  );
+}
+
+// Handle RESULTS <stock>: the latest quarterly results card
+async function handleResultsCommand(command, fromNumber, userLanguage) {
+  if (command.type === 'results_usage') {
+    const usageMessage =
+        userLanguage === 'english'
+          ? '📑 Send "RESULTS" with a stock name, e.g. RESULTS INFY'
+          : userLanguage === 'hindi'
+            ? '📑 स्टॉक के नाम के साथ "RESULTS" भेजें, जैसे RESULTS INFY'
+            : '📑 સ્ટોકના નામ સાથે "RESULTS" મોકલો, જેમ કે RESULTS INFY';
+    await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+    return;
+  }
+
+  const stockData = await fetchCommandStock(command.query, fromNumber, userLanguage);
+  if (!stockData) return;
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'results_requested',
+    properties: {
+      stock: stockData.symbol,
+      language: userLanguage,
+      quarter: stockData.metrics.quarterly?.latest.label ?? null,
+    }
+  });
+
+  await sendMetaWhatsAppMessage(
+    formatResultsMessage(stockData.companyName, stockData.metrics.quarterly, userLanguage),
+    fromNumber
+  );
+}
+
+// Handle ALERT / ALERTS / CANCEL
+async function handleAlertCommand(command, fromNumber, userLanguage) {
+  if (command.type === 'alert_usage'
+      || (command.type === 'alert_create' && command.condition === 'move' && command.threshold >= 100)) {
+    const usageMessage =
+        userLanguage === 'english'
+          ? '🔔 *Price alerts*\n\nALERT TCS ABOVE 4200\nALERT INFY BELOW 1400\nALERT RELIANCE MOVE 5%\n\nAdd REPEAT at the end to keep the alert active after it fires.\nSend "ALERTS" to see your alerts and "CANCEL 12" to remove one.'
+          : userLanguage === 'hindi'
+            ? '🔔 *प्राइस अलर्ट*\n\nALERT TCS ABOVE 4200\nALERT INFY BELOW 1400\nALERT RELIANCE MOVE 5%\n\nअलर्ट के बाद भी चालू रखने के लिए आखिर में REPEAT लिखें।\nअपने अलर्ट देखने के लिए "ALERTS" और हटाने के लिए "CANCEL 12" भेजें।'
+            : '🔔 *પ્રાઇસ એલર્ટ*\n\nALERT TCS ABOVE 4200\nALERT INFY BELOW 1400\nALERT RELIANCE MOVE 5%\n\nએલર્ટ પછી પણ ચાલુ રાખવા માટે છેલ્લે REPEAT લખો.\nતમારા એલર્ટ જોવા માટે "ALERTS" અને દૂર કરવા માટે "CANCEL 12" મોકલો.';
+    await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+    return;
+  }
+
+  if (command.type === 'alert_cancel') {
+    const cancelled = await userManager.cancelAlert(fromNumber, command.alertId);
+    const cancelMessage = cancelled
+      ? userLanguage === 'english'
+        ? `✅ Alert #${command.alertId} cancelled.`
+        : userLanguage === 'hindi'
+          ? `✅ अलर्ट #${command.alertId} हटा दिया गया।`
+          : `✅ એલર્ટ #${command.alertId} દૂર કરવામાં આવ્યું.`
+      : userLanguage === 'english'
+        ? `⚠️ No active alert #${command.alertId} found. Send "ALERTS" to see your alerts.`
+        : userLanguage === 'hindi'
+          ? `⚠️ अलर्ट #${command.alertId} नहीं मिला। अपने अलर्ट देखने के लिए "ALERTS" भेजें।`
+          : `⚠️ એલર્ટ #${command.alertId} મળ્યું નથી. તમારા એલર્ટ જોવા માટે "ALERTS" મોકલો.`;
+    await sendMetaWhatsAppMessage(cancelMessage, fromNumber);
+    return;
+  }
+
+  const alerts = await userManager.getUserAlerts(fromNumber);
+
+  if (command.type === 'alert_list') {
+    if (alerts.length === 0) {
+      const emptyMessage =
+          userLanguage === 'english'
+            ? '🔔 You have no active alerts.\n\nExample: ALERT TCS ABOVE 4200'
+            : userLanguage === 'hindi'
+              ? '🔔 आपका कोई अलर्ट चालू नहीं है।\n\nउदाहरण: ALERT TCS ABOVE 4200'
+              : '🔔 તમારું કોઈ એલર્ટ ચાલુ નથી.\n\nઉદાહરણ: ALERT TCS ABOVE 4200';
+      await sendMetaWhatsAppMessage(emptyMessage, fromNumber);
+      return;
+    }
+
+    const header = userLanguage === 'english'
+      ? '🔔 *Your alerts:*'
+      : userLanguage === 'hindi'
+        ? '🔔 *आपके अलर्ट:*'
+        : '🔔 *તમારા એલર્ટ:*';
+    const repeatLabel = userLanguage === 'english' ? 'repeat' : userLanguage === 'hindi' ? 'रिपीट' : 'રિપીટ';
+    const lines = alerts.map(alert =>
+      `#${alert.id} ${alert.symbol} ${describeAlertCondition(alert, userLanguage)}${alert.rearm ? ` (${repeatLabel})` : ''}`
+    );
+    const footer = userLanguage === 'english'
+      ? 'Send "CANCEL <number>" to remove an alert.'
+      : userLanguage === 'hindi'
+        ? 'अलर्ट हटाने के लिए "CANCEL <नंबर>" भेजें।'
+        : 'એલર્ટ દૂર કરવા માટે "CANCEL <નંબર>" મોકલો.';
+
+    await sendMetaWhatsAppMessage(`${header}\n${lines.join('\n')}\n\n${footer}`, fromNumber);
+    return;
+  }
+
+  // alert_create
+  if (alerts.length >= MAX_ALERTS_PER_USER) {
+    const limitMessage =
+        userLanguage === 'english'
+          ? `⚠️ You can have at most ${MAX_ALERTS_PER_USER} active alerts. Send "ALERTS" and cancel one first.`
+          : userLanguage === 'hindi'
+            ? `⚠️ आप ज़्यादा से ज़्यादा ${MAX_ALERTS_PER_USER} अलर्ट रख सकते हैं। पहले "ALERTS" भेजकर कोई एक हटाएं।`
+            : `⚠️ તમે વધુમાં વધુ ${MAX_ALERTS_PER_USER} એલર્ટ રાખી શકો છો. પહેલા "ALERTS" મોકલીને કોઈ એક દૂર કરો.`;
+    await sendMetaWhatsAppMessage(limitMessage, fromNumber);
+    return;
+  }
+
+  // Make sure the stock exists before saving the alert
+  const stockData = await fetchStockData(command.symbol);
+  if (!stockData.success) {
+    const notFoundMessage =
+        userLanguage === 'english'
+          ? `❌ ${command.symbol}: Stock not found. Please check the name.`
+          : userLanguage === 'hindi'
+            ? `❌ ${command.symbol}: स्टॉक नहीं मिला। सही नाम लिखें।`
+            : `❌ ${command.symbol}: સ્ટોક મળ્યો નથી. સાચું નામ લખો.`;
+    await sendMetaWhatsAppMessage(notFoundMessage, fromNumber);
+    return;
+  }
+
+  const alertId = await userManager.createAlert(fromNumber, command);
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'price_alert_created',
+    properties: {
+      stock: command.symbol,
+      condition: command.condition,
+      threshold: command.threshold,
+      rearm: command.rearm,
+      language: userLanguage,
+    }
+  });
+
+  const condition = describeAlertCondition(command, userLanguage);
+  const createdMessage =
+      userLanguage === 'english'
+        ? `✅ Alert #${alertId} set: ${stockData.companyName} ${condition}.\nCurrent price: ₹${stockData.currentPrice}\n\nWe check prices every few minutes during market hours.`
+        : userLanguage === 'hindi'
+          ? `✅ अलर्ट #${alertId} सेट: ${stockData.companyName} ${condition}।\nअभी का भाव: ₹${stockData.currentPrice}\n\nबाज़ार के समय हर कुछ मिनट में भाव चेक किया जाता है।`
+          : `✅ એલર્ટ #${alertId} સેટ: ${stockData.companyName} ${condition}.\nહાલનો ભાવ: ₹${stockData.currentPrice}\n\nબજારના સમય દરમિયાન દર થોડી મિનિટે ભાવ ચેક કરવામાં આવે છે.`;
+  await sendMetaWhatsAppMessage(createdMessage, fromNumber);
+}
+
+// Handle VOICE ON / VOICE OFF
+async function handleVoiceCommand(command, fromNumber, userLanguage) {
+  const enabled = command.type === 'voice_on';
+  await userManager.setVoicePreference(fromNumber, enabled);
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: enabled ? 'voice_replies_enabled' : 'voice_replies_disabled',
+    properties: {
+      language: userLanguage,
+    }
+  });
+
+  const message = enabled
+    ? userLanguage === 'english'
+      ? '🔊 Voice replies turned on! After each analysis you will also get a short audio summary. Send "VOICE OFF" to stop.'
+      : userLanguage === 'hindi'
+        ? '🔊 आवाज़ में जवाब चालू हो गया! हर विश्लेषण के बाद आपको एक छोटा ऑडियो सारांश भी मिलेगा। बंद करने के लिए "VOICE OFF" भेजें।'
+        : '🔊 અવાજમાં જવાબ ચાલુ થયો! દરેક વિશ્લેષણ પછી તમને એક નાનો ઓડિયો સારાંશ પણ મળશે. બંધ કરવા માટે "VOICE OFF" મોકલો.'
+    : userLanguage === 'english'
+      ? '🔇 Voice replies turned off. Send "VOICE ON" to start again.'
+      : userLanguage === 'hindi'
+        ? '🔇 आवाज़ में जवाब बंद कर दिया गया। फिर से शुरू करने के लिए "VOICE ON" भेजें।'
+        : '🔇 અવાજમાં જવાબ બંધ કરવામાં આવ્યો. ફરી શરૂ કરવા માટે "VOICE ON" મોકલો.';
+  await sendMetaWhatsAppMessage(message, fromNumber);
+}
+
+// Handle DIGEST ON / DIGEST OFF
+async function handleDigestCommand(command, fromNumber, userLanguage) {
+  const enabled = command.type === 'digest_on';
+  await userManager.setDigestPreference(fromNumber, enabled);
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: enabled ? 'digest_enabled' : 'digest_disabled',
+    properties: {
+      language: userLanguage,
+    }
+  });
+
+  if (!enabled) {
+    const offMessage =
+        userLanguage === 'english'
+          ? '🔕 Daily digest turned off. Send "DIGEST ON" to start again.'
+          : userLanguage === 'hindi'
+            ? '🔕 डेली डाइजेस्ट बंद कर दिया गया। फिर से शुरू करने के लिए "DIGEST ON" भेजें।'
+            : '🔕 દૈનિક ડાયજેસ્ટ બંધ કરવામાં આવ્યું. ફરી શરૂ કરવા માટે "DIGEST ON" મોકલો.';
+    await sendMetaWhatsAppMessage(offMessage, fromNumber);
+    return;
+  }
+
+  const digestTime = digestScheduler.getDigestTime();
+  const watchlist = await userManager.getWatchlist(fromNumber);
+  let onMessage =
+      userLanguage === 'english'
+        ? `🔔 Daily digest turned on! You will get a summary of your watchlist at ${digestTime} IST on trading days.`
+        : userLanguage === 'hindi'
+          ? `🔔 डेली डाइजेस्ट चालू हो गया! हर ट्रेडिंग दिन ${digestTime} बजे (IST) आपको अपनी वॉचलिस्ट का सारांश मिलेगा।`
+          : `🔔 દૈનિક ડાયજેસ્ટ ચાલુ થયું! દરેક ટ્રેડિંગ દિવસે ${digestTime} વાગ્યે (IST) તમને તમારી વૉચલિસ્ટનો સારાંશ મળશે.`;
+
+  if (watchlist.length === 0) {
+    onMessage += userLanguage === 'english'
+      ? '\n\nYour watchlist is empty. Send "ADD TCS" to save a stock.'
+      : userLanguage === 'hindi'
+        ? '\n\nआपकी वॉचलिस्ट खाली है। स्टॉक जोड़ने के लिए "ADD TCS" भेजें।'
+        : '\n\nતમારી વૉચલિસ્ટ ખાલી છે. સ્ટોક ઉમેરવા માટે "ADD TCS" મોકલો.';
+  }
+
+  await sendMetaWhatsAppMessage(onMessage, fromNumber);
+}
+
+// Handle ADD / REMOVE / LIST / WATCHLIST commands
+async function handleWatchlistCommand(command, fromNumber, userLanguage, attempt) {
+  if (command.type === 'watchlist_add' || command.type === 'watchlist_remove') {
+    const isAdd = command.type === 'watchlist_add';
+
+    if (command.symbols.length === 0) {
+      const usageMessage =
+          userLanguage === 'english'
+            ? `Please send a stock name. Example: ${isAdd ? 'ADD' : 'REMOVE'} TCS`
+            : userLanguage === 'hindi'
+              ? `कृपया स्टॉक का नाम भेजें। जैसे: ${isAdd ? 'ADD' : 'REMOVE'} TCS`
+              : `કૃપા કરીને સ્ટોકનું નામ મોકલો. ઉદાહરણ: ${isAdd ? 'ADD' : 'REMOVE'} TCS`;
+      await sendMetaWhatsAppMessage(usageMessage, fromNumber);
+      return;
+    }
+
+    const changed = [];
+    const unchanged = [];
+    let watchlist = await userManager.getWatchlist(fromNumber);
+
+    for (const symbol of command.symbols) {
+      if (isAdd && !watchlist.includes(symbol) && watchlist.length >= MAX_WATCHLIST_SIZE) {
+        unchanged.push(symbol);
+        continue;
+      }
+
+      const updated = isAdd
+        ? await userManager.addToWatchlist(fromNumber, symbol)
+        : await userManager.removeFromWatchlist(fromNumber, symbol);
+
+      if (updated) {
+        changed.push(symbol);
+        watchlist = isAdd ? [...watchlist, symbol] : watchlist.filter(s => s !== symbol);
+      } else {
+        unchanged.push(symbol);
+      }
+    }
+
+    posthog.capture({
+      distinctId: fromNumber,
+      event: isAdd ? 'watchlist_stock_added' : 'watchlist_stock_removed',
+      properties: {
+        stocks: changed.join(', '),
+        watchlist_size: watchlist.length,
+        language: userLanguage,
+      }
+    });
+
+    const lines = [];
+    if (changed.length > 0) {
+      const names = changed.join(', ');
+      lines.push(isAdd
+        ? userLanguage === 'english'
+          ? `✅ Added to watchlist: ${names}`
+          : userLanguage === 'hindi'
+            ? `✅ वॉचलिस्ट में जोड़ा गया: ${names}`
+            : `✅ વૉચલિસ્ટમાં ઉમેરાયું: ${names}`
+        : userLanguage === 'english'
+          ? `✅ Removed from watchlist: ${names}`
+          : userLanguage === 'hindi'
+            ? `✅ वॉचलिस्ट से हटाया गया: ${names}`
+            : `✅ વૉચલિસ્ટમાંથી દૂર કર્યું: ${names}`);
+    }
+    if (unchanged.length > 0) {
+      const names = unchanged.join(', ');
+      lines.push(isAdd
+        ? userLanguage === 'english'
+          ? `⚠️ Not added (already saved or list full, max ${MAX_WATCHLIST_SIZE}): ${names}`
+          : userLanguage === 'hindi'
+            ? `⚠️ नहीं जोड़ा गया (पहले से है या लिस्ट भरी है, अधिकतम ${MAX_WATCHLIST_SIZE}): ${names}`
+            : `⚠️ ઉમેરાયું નથી (પહેલેથી છે અથવા લિસ્ટ ભરેલું છે, મહત્તમ ${MAX_WATCHLIST_SIZE}): ${names}`
+        : userLanguage === 'english'
+          ? `⚠️ Not in your watchlist: ${names}`
+          : userLanguage === 'hindi'
+            ? `⚠️ आपकी वॉचलिस्ट में नहीं है: ${names}`
+            : `⚠️ તમારી વૉચલિસ્ટમાં નથી: ${names}`);
+    }
+    lines.push(formatWatchlist(watchlist, userLanguage));
+
+    await sendMetaWhatsAppMessage(lines.join('\n\n'), fromNumber);
+    return;
+  }
+
+  const watchlist = await userManager.getWatchlist(fromNumber);
+
+  if (command.type === 'watchlist_list' || watchlist.length === 0) {
+    await sendMetaWhatsAppMessage(formatWatchlist(watchlist, userLanguage), fromNumber);
+    return;
+  }
+
+  // WATCHLIST - analyze every saved stock
+  if (!(await checkAnalysisQuota(fromNumber, watchlist.length, userLanguage, attempt))) {
+    return;
+  }
+
+  const acknowledgmentMessage =
+      userLanguage === 'english'
+        ? `📊 Analyzing your watchlist (${watchlist.length} stocks)... Please wait`
+        : userLanguage === 'hindi'
+          ? `📊 आपकी वॉचलिस्ट (${watchlist.length} स्टॉक) का विश्लेषण कर रहे हैं... कृपया रुकें`
+          : `📊 તમારી વૉચલિસ્ટ (${watchlist.length} સ્ટોક) ચેક કરી રહ્યા છીએ... કૃપા કરીને રાહ જુઓ`;
+  if (!attempt.isRetry) {
+    await sendMetaWhatsAppMessage(acknowledgmentMessage, fromNumber);
+  }
+
+  posthog.capture({
+    distinctId: fromNumber,
+    event: 'watchlist_analysis_requested',
+    properties: {
+      stocks: watchlist.join(', '),
+      stock_count: watchlist.length,
+      language: userLanguage,
+    }
+  });
+
+  const chartsPromise = startPriceCharts(watchlist.join(', '));
+  const analysisResult = await analyzeStocks(watchlist.join(', '), userLanguage, { chargeLLM });
+  await sendPriceCharts(await chartsPromise, fromNumber, userLanguage);
+  await sendMetaWhatsAppMessage(analysisResult, fromNumber);
+  await sendSpokenSummary(analysisResult, fromNumber, userLanguage);
+}
+
+// Format the user's watchlist (or how to start one) in their language
+function formatWatchlist(watchlist, userLanguage) {
+  if (watchlist.length === 0) {
+    return userLanguage === 'english'
+      ? '📋 Your watchlist is empty.\n\nSend "ADD TCS" to save a stock.'
+      : userLanguage === 'hindi'
+        ? '📋 आपकी वॉचलिस्ट खाली है।\n\nस्टॉक जोड़ने के लिए "ADD TCS" भेजें।'
+        : '📋 તમારી વૉચલિસ્ટ ખાલી છે.\n\nસ્ટોક ઉમેરવા માટે "ADD TCS" મોકલો.';
+  }
+
+  const header = userLanguage === 'english'
+    ? `📋 *Your watchlist (${watchlist.length}/${MAX_WATCHLIST_SIZE}):*`
+    : userLanguage === 'hindi'
+      ? `📋 *आपकी वॉचलिस्ट (${watchlist.length}/${MAX_WATCHLIST_SIZE}):*`
+      : `📋 *તમારી વૉચલિસ્ટ (${watchlist.length}/${MAX_WATCHLIST_SIZE}):*`;
+  const footer = userLanguage === 'english'
+    ? 'Send "WATCHLIST" to analyze all of them.'
+    : userLanguage === 'hindi'
+      ? 'सभी का विश्लेषण करने के लिए "WATCHLIST" भेजें।'
+      : 'બધાનું વિશ્લેષણ કરવા માટે "WATCHLIST" મોકલો.';
+
+  return `${header}\n${watchlist.map((symbol, i) => `${i + 1}. ${symbol}`).join('\n')}\n\n${footer}`;
+}
+
+// Send WhatsApp message via Meta Business Cloud API with fallback splitting
+async function sendMetaWhatsAppMessage(messageText, toNumber) {
+  try {
+    console.log(
+      `📤 Sending Meta message to ${toNumber}:`,
+      messageText.substring(0, 50) + '...'
     );
     console.log(`📏 Message length: ${messageText.length} characters`);
 
@@ -411,6 +1760,174 @@ async function sendMetaWhatsAppMessage(messageText, toNumber) {
   }
 }
 
+// Upload a file and send it as a media message of this type
+// ('audio' or 'image'); a caption is shown under images
+async function sendMetaWhatsAppMedia(type, data, mimeType, toNumber, { filename, caption } = {}) {
+  try {
+    console.log(`📤 Sending Meta ${type} to ${toNumber}: ${data.length} bytes (${mimeType})`);
+
+    const mediaId = await mediaClient.upload(PHONE_NUMBER_ID, data, { mimeType, filename });
+
+    const response = await axios.post(
+      `${META_GRAPH_API_URL}/${PHONE_NUMBER_ID}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        to: toNumber,
+        [type]: caption ? { id: mediaId, caption } : { id: mediaId },
+        type
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${ACCESS_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    console.log(`✅ Meta ${type} sent successfully:`, response.data.messages[0].id);
+    return response.data;
+  } catch (error) {
+    console.error(`❌ Error sending Meta WhatsApp ${type}:`, error.message);
+
+    if (error.response) {
+      console.error('API Error Details:');
+      console.error('Status:', error.response.status);
+      console.error('Data:', error.response.data);
+    }
+
+    return null;
+  }
+}
+
+// Send a button or list message; falls back to the same choices as text
+// when the API rejects it
+async function sendMetaWhatsAppInteractive(interactive, toNumber, language = 'english', fallbackText = null) {
+  try {
+    console.log(`📤 Sending Meta ${interactive.type} message to ${toNumber}:`, interactive.body.text.substring(0, 50) + '...');
+
+    const response = await axios.post(
+      `${META_GRAPH_API_URL}/${PHONE_NUMBER_ID}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        to: toNumber,
+        type: 'interactive',
+        interactive
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${ACCESS_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    console.log('✅ Meta interactive message sent successfully:', response.data.messages[0].id);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Error sending Meta interactive message:', error.message);
+
+    if (error.response) {
+      console.error('API Error Details:');
+      console.error('Status:', error.response.status);
+      console.error('Data:', error.response.data);
+    }
+
+    return sendMetaWhatsAppMessage(fallbackText || toPlainText(interactive, language), toNumber);
+  }
+}
+
+// "Add to watchlist" / "Compare" / "Menu" buttons after an analysis.
+// Best effort like the spoken summary: a failure here must not make the job
+// queue retry, and so resend and recharge, an analysis that was delivered.
+async function sendAnalysisFollowUps(stockList, fromNumber, userLanguage) {
+  try {
+    const symbols = [];
+    stockList.forEach(stockName => {
+      const resolution = symbolMaster.resolve(stockName);
+      if (resolution.status === 'matched' && !symbols.includes(resolution.match.symbol)) {
+        symbols.push(resolution.match.symbol);
+      }
+    });
+    if (symbols.length === 0) return;
+
+    const watchlist = await userManager.getWatchlist(fromNumber);
+    const followUps = buildAnalysisFollowUps(symbols, userLanguage, { watchlist });
+    if (followUps) {
+      await sendMetaWhatsAppInteractive(followUps, fromNumber, userLanguage);
+    }
+  } catch (error) {
+    console.error(`❌ Error sending analysis follow-ups to ${fromNumber}:`, error.message);
+  }
+}
+
+// Start drawing the price charts for an analysis; resolves to [] when
+// charts are off or fail, so the analysis never waits on an error
+function startPriceCharts(stockNames) {
+  if (!PRICE_CHARTS_ENABLED) return Promise.resolve([]);
+  return buildPriceCharts(stockNames).catch(error => {
+    console.error('❌ Error building price charts:', error.message);
+    return [];
+  });
+}
+
+// Send each chart as an image ahead of the text analysis. Best effort:
+// a failed upload is logged and the analysis still goes out.
+async function sendPriceCharts(charts, fromNumber, userLanguage) {
+  for (const { symbol, image } of charts) {
+    const caption = userLanguage === 'english'
+      ? `📈 ${symbol}: 1-year price with 52-week high/low`
+      : userLanguage === 'hindi'
+        ? `📈 ${symbol}: 1 साल का भाव, 52 हफ़्ते के हाई/लो के साथ`
+        : `📈 ${symbol}: 1 વર્ષનો ભાવ, 52 અઠવાડિયાના હાઈ/લો સાથે`;
+
+    const sent = await sendMetaWhatsAppMedia('image', image, 'image/png', fromNumber, {
+      filename: `${symbol}-chart.png`,
+      caption,
+    });
+
+    posthog.capture({
+      distinctId: fromNumber,
+      event: 'price_chart_sent',
+      properties: {
+        stock: symbol,
+        bytes: image.length,
+        language: userLanguage,
+        success: Boolean(sent),
+      }
+    });
+  }
+}
+
+// Follow an analysis with its spoken summary when the user has VOICE ON.
+// Best effort: the text reply has already been sent, so failures are only logged.
+async function sendSpokenSummary(analysisResult, fromNumber, userLanguage) {
+  try {
+    const user = await userManager.getUser(fromNumber);
+    if (!user || !user.voice_replies) return;
+
+    const spokenText = buildSpokenSummary(analysisResult);
+    if (!spokenText) return;
+
+    const { audio, mimeType } = await textToSpeech.synthesize(spokenText, { language: userLanguage });
+    const sent = await sendMetaWhatsAppMedia('audio', audio, mimeType, fromNumber, {
+      filename: mimeType === 'audio/mpeg' ? 'summary.mp3' : 'summary.ogg',
+    });
+
+    posthog.capture({
+      distinctId: fromNumber,
+      event: 'voice_reply_sent',
+      properties: {
+        provider: textToSpeech.provider.name,
+        characters: spokenText.length,
+        language: userLanguage,
+        success: Boolean(sent),
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error sending spoken summary to ${fromNumber}:`, error.message);
+  }
+}
+
 // Intelligently split message at natural break points (unchanged from Twilio version)
 function splitMessageIntelligently(text, maxLength) {
   const parts = [];
@@ -479,6 +1996,32 @@ async function startServer() {
     console.log('🔄 Initializing user management system...');
     await userManager.initialize();
 
+    // The caches are an optimization, so run without them if they fail
+    try {
+      await stockCache.initialize();
+    } catch (error) {
+      console.error('⚠️ Stock cache unavailable, continuing without it:', error.message);
+    }
+    try {
+      await analysisCache.initialize();
+    } catch (error) {
+      console.error('⚠️ Analysis cache unavailable, continuing without it:', error.message);
+    }
+
+    // Open the job queue; jobs interrupted by a restart are resumed
+    await jobQueue.initialize();
+
+    // Forget old message IDs now and every hour
+    await userManager.purgeProcessedMessages(MESSAGE_DEDUP_RETENTION_HOURS);
+    messageDedupPurgeTimer = setInterval(() => {
+      userManager.purgeProcessedMessages(MESSAGE_DEDUP_RETENTION_HOURS).catch(() => {});
+    }, MESSAGE_DEDUP_PURGE_INTERVAL_MS);
+
+    // Start queue workers, the daily digest scheduler and price alert polling
+    jobQueue.start();
+    digestScheduler.start();
+    alertEngine.start();
+
     // Start server
     app.listen(port, () => {
       console.log('🚀 WhatsApp Stock Bot Server Started (Meta API)');
@@ -488,6 +2031,8 @@ async function startServer() {
       console.log(`🔗 Admin stats: http://localhost:${port}/admin/stats`);
       console.log('📊 Stock analysis engine imported successfully');
       console.log('🗄️ SQLite user management ready');
+      console.log(`⚡ Stock data cache ${stockCache.db ? 'ready' : 'disabled'}`);
+      console.log(`⚡ Analysis cache ${analysisCache.db ? 'ready' : 'disabled'}`);
       console.log('---');
       console.log('Environment variables loaded:');
       console.log(`• PORT: ${port}`);
@@ -526,6 +2071,23 @@ async function startServer() {
           process.env.SARVAM_API_KEY ? '✅ Set' : '❌ Missing'
         }`
       );
+      console.log(
+        `• ADMIN_API_TOKEN: ${
+          process.env.ADMIN_API_TOKEN ? '✅ Set' : '⚠️ Missing (admin actions disabled)'
+        }`
+      );
+      console.log(`• Market data providers: ${marketData.name}`);
+      console.log(`• LLM provider: ${llm.provider.name} (analysis: ${llm.getModel('analysis')}, translation: ${llm.getModel('translation')})`);
+      console.log(`• Speech provider: ${speechToText.provider.name}`);
+      console.log(
+        `• META_APP_SECRET: ${
+          APP_SECRET
+            ? '✅ Set'
+            : SKIP_WEBHOOK_SIGNATURE
+              ? '⚠️ Missing (WEBHOOK_SIGNATURE_CHECK=off, webhook signatures NOT verified)'
+              : '❌ Missing (all webhook POSTs will be rejected)'
+        }`
+      );
       console.log('---');
       console.log('⏳ Ready for multi-language stock analysis via Meta WhatsApp API...');
     });
@@ -538,13 +2100,25 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
+  digestScheduler.stop();
+  alertEngine.stop();
+  clearInterval(messageDedupPurgeTimer);
+  await jobQueue.close();
   await userManager.close();
+  await stockCache.close();
+  await analysisCache.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  digestScheduler.stop();
+  alertEngine.stop();
+  clearInterval(messageDedupPurgeTimer);
+  await jobQueue.close();
   await userManager.close();
+  await stockCache.close();
+  await analysisCache.close();
   process.exit(0);
 });
 
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalysisCache = require('../src/analysis-cache');
+
+const key = (snapshotHash) => ({ symbol: 'TCS', language: 'english', snapshotHash, price: 3500 });
+
+test('analysis cache writes', async (t) => {
+  // Keep the cache logs (and the expected write error) out of the test report
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const cache = new AnalysisCache(':memory:');
+  await cache.initialize();
+  t.after(() => cache.close());
+
+  await t.test('replaces the older snapshot of a stock', async () => {
+    await cache.set(key('old'), 'old analysis');
+    await cache.set(key('new'), 'new analysis');
+
+    assert.equal(await cache.get(key('old')), null);
+    assert.equal(await cache.get(key('new')), 'new analysis');
+  });
+
+  await t.test('writes nothing when the older snapshots cannot be dropped', async () => {
+    await new Promise((resolve, reject) => cache.db.run(`
+      CREATE TRIGGER block_delete BEFORE DELETE ON analysis_cache
+      BEGIN SELECT RAISE(ABORT, 'delete blocked'); END
+    `, err => (err ? reject(err) : resolve())));
+
+    await assert.rejects(cache.set(key('newer'), 'newer analysis'), /delete blocked/);
+    assert.equal(await cache.get(key('newer')), null);
+    assert.equal(await cache.get(key('new')), 'new analysis');
+    assert.equal(cache.counters.writes, 2);
+  });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { round, formatCrore, findFinancialItem, computeFreeCashFlow, getStatements } = require('../src/financials');
+
+// One annual statement with the given income statement items
+const annual = (INC, year = 2025) => ({
+  Type: 'Annual',
+  FiscalYear: String(year),
+  EndDate: `${year}-03-31`,
+  stockFinancialMap: { INC, BAL: [], CAS: [] },
+});
+
+const interestExpense = (INC) => getStatements({ financials: [annual(INC)] })[0].interestExpense;
+
+test('reads the supplemental interest expense as a positive number', () => {
+  assert.equal(interestExpense([{ key: 'InterestExpSupplemental', value: '-812' }]), 812);
+});
+
+test('prefers the supplemental interest expense over the net line', () => {
+  assert.equal(interestExpense([
+    { key: 'InterestInc(Exp)Net-Non-OpTotal', value: '-50' },
+    { key: 'InterestExpSupplemental', value: '40' },
+  ]), 40);
+});
+
+test('falls back to a negative net non-operating interest line', () => {
+  assert.equal(interestExpense([{ key: 'InterestInc(Exp)Net-Non-OpTotal', value: '-2431.5' }]), 2431.5);
+});
+
+test('has no interest expense when net interest is income', () => {
+  assert.equal(interestExpense([{ key: 'InterestInc(Exp)Net-Non-OpTotal', value: '120' }]), null);
+});
+
+test('has no interest expense without either line', () => {
+  assert.equal(interestExpense([{ key: 'Revenue', value: '100' }]), null);
+});
+
+test('ignores missing and non-numeric values', () => {
+  const items = [{ key: 'Revenue', value: null }, { key: 'NetIncome', value: 'n/a' }];
+  assert.equal(findFinancialItem(items, 'Revenue'), null);
+  assert.equal(findFinancialItem(items, 'NetIncome'), null);
+  assert.equal(findFinancialItem(undefined, 'Revenue'), null);
+});
+
+test('free cash flow subtracts capex whatever its sign', () => {
+  assert.equal(computeFreeCashFlow(8, -3), 5);
+  assert.equal(computeFreeCashFlow(8, 3), 5);
+  assert.equal(computeFreeCashFlow(8, null), null);
+  assert.equal(computeFreeCashFlow(null, -3), null);
+});
+
+test('sorts statements oldest first and keeps only the requested type', () => {
+  const statements = getStatements({ financials: [annual([], 2025), annual([], 2023), { ...annual([], 2024), Type: 'Interim' }] });
+  assert.deepEqual(statements.map(statement => statement.fiscalYear), ['2023', '2025']);
+  assert.deepEqual(getStatements({}), []);
+});
+
+test('rounds to the given decimals and passes null through', () => {
+  assert.equal(round(12.345), 12.3);
+  assert.equal(round(12.345, 2), 12.35);
+  assert.equal(round(null), null);
+  assert.equal(round(Infinity), null);
+});
+
+test('formats crore amounts with Indian digit grouping', () => {
+  assert.equal(formatCrore(123456.7), '1,23,457');
+  assert.equal(formatCrore(null), 'N/A');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMClient } = require('../src/llm');
+
+// Provider that throws the given errors in turn, then answers
+function failingProvider(errors) {
+  const provider = {
+    name: 'test',
+    calls: 0,
+    async complete() {
+      const error = errors[provider.calls];
+      provider.calls += 1;
+      if (error) throw error;
+      return { text: 'ok', usage: { promptTokens: 1, completionTokens: 1 } };
+    },
+  };
+  return provider;
+}
+
+function errorWith(properties) {
+  return Object.assign(new Error('failed'), properties);
+}
+
+const messages = [{ role: 'user', content: 'hi' }];
+
+for (const [name, error] of [
+  ['a rate limit', errorWith({ status: 429 })],
+  ['a server error', errorWith({ status: 503 })],
+  ['a connection reset', errorWith({ code: 'ECONNRESET' })],
+  ['a DNS failure wrapped as the cause', errorWith({ cause: { code: 'ENOTFOUND' } })],
+  ['a flagged network error', errorWith({ networkError: true })],
+  ['a timeout', errorWith({ timedOut: true })],
+]) {
+  test(`retries ${name}`, async () => {
+    const provider = failingProvider([error]);
+    const client = new LLMClient({ provider, maxRetries: 1, timeoutMs: 1000 });
+    assert.equal(await client.complete('analysis', { messages }), 'ok');
+    assert.equal(provider.calls, 2);
+  });
+}
+
+for (const [name, error] of [
+  ['a bad request', errorWith({ status: 400 })],
+  ['a programming error', new TypeError('Cannot read properties of undefined')],
+]) {
+  test(`does not retry ${name}`, async () => {
+    const provider = failingProvider([error, error]);
+    const client = new LLMClient({ provider, maxRetries: 1, timeoutMs: 1000 });
+    await assert.rejects(client.complete('analysis', { messages }), error);
+    assert.equal(provider.calls, 1);
+  });
+}
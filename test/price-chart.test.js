@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { renderPriceChart, encodePng, crc32 } = require('../src/price-chart');
+const { parseHistoricalPrices } = require('../src/market-data/price-history');
+
+const points = [{ date: '2026-01-01', close: 100 }, { date: '2026-01-02', close: 110 }];
+
+// Chunks of a PNG as { type, data }
+const readChunks = (image) => {
+  const chunks = [];
+  for (let offset = 8; offset < image.length;) {
+    const length = image.readUInt32BE(offset);
+    chunks.push({ type: image.toString('ascii', offset + 4, offset + 8), data: image.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+test('computes the standard PNG CRC', () => {
+  assert.equal(crc32(Buffer.from('IEND')), 0xAE426082);
+});
+
+test('renders an 800x450 PNG', () => {
+  const image = renderPriceChart({ symbol: 'TEST', points, currentPrice: 108, yearHigh: 120, yearLow: 90 });
+
+  assert.equal(image.subarray(0, 8).toString('hex'), '89504e470d0a1a0a');
+  assert.equal(image.readUInt32BE(16), 800);
+  assert.equal(image.readUInt32BE(20), 450);
+  assert.deepEqual(readChunks(image).map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+});
+
+test('encodes one filter byte and RGB pixels per row', () => {
+  const canvas = { width: 2, height: 1, pixels: Buffer.from([255, 0, 0, 0, 0, 255]) };
+  const idat = readChunks(encodePng(canvas)).find(chunk => chunk.type === 'IDAT');
+
+  assert.deepEqual([...zlib.inflateSync(idat.data)], [0, 255, 0, 0, 0, 0, 255]);
+});
+
+test('draws no chart from a single point', () => {
+  assert.equal(renderPriceChart({ symbol: 'TEST', points: points.slice(0, 1) }), null);
+});
+
+const historyDir = path.join(__dirname, '..', 'fixtures', 'history');
+fs.readdirSync(historyDir).filter(file => file.endsWith('.json')).forEach(file => {
+  test(`renders a year of closes from ${file}`, () => {
+    const history = parseHistoricalPrices(JSON.parse(fs.readFileSync(path.join(historyDir, file), 'utf8')));
+
+    assert.ok(history.length > 200);
+    assert.ok(renderPriceChart({ symbol: path.basename(file, '.json'), points: history }));
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { computeScorecard, formatScorecardMessage } = require('../src/scorecard');
+
+const KEYS = {
+  INC: { revenue: 'Revenue', grossProfit: 'GrossProfit', operatingIncome: 'OperatingIncome', netIncome: 'NetIncome', interest: 'InterestExpSupplemental', netInterest: 'InterestInc(Exp)Net-Non-OpTotal' },
+  BAL: { totalAssets: 'TotalAssets', currentAssets: 'TotalCurrentAssets', currentLiabilities: 'TotalCurrentLiabilities', totalLiabilities: 'TotalLiabilities', longTermDebt: 'TotalLongTermDebt', retainedEarnings: 'RetainedEarnings(AccumulatedDeficit)', shares: 'TotalCommonSharesOutstanding' },
+  CAS: { cfo: 'CashfromOperatingActivities', capex: 'CapitalExpenditures' },
+};
+
+// Annual statement built from named line items
+const statement = (year, items) => {
+  const stockFinancialMap = {};
+  Object.entries(KEYS).forEach(([section, keys]) => {
+    stockFinancialMap[section] = Object.entries(keys)
+      .filter(([name]) => items[name] !== undefined)
+      .map(([name, key]) => ({ key, value: String(items[name]) }));
+  });
+  return { Type: 'Annual', FiscalYear: String(year), EndDate: `${year}-03-31`, stockFinancialMap };
+};
+
+const base = { revenue: 100, grossProfit: 40, operatingIncome: 10, netIncome: 5, interest: 2, totalAssets: 100, currentAssets: 50, currentLiabilities: 25, totalLiabilities: 50, longTermDebt: 20, retainedEarnings: 30, shares: 10, cfo: 8, capex: -3 };
+const improved = { ...base, revenue: 121, grossProfit: 52, operatingIncome: 14, netIncome: 8, totalAssets: 105, currentAssets: 60, longTermDebt: 15, cfo: 12 };
+const worse = { ...base, revenue: 90, grossProfit: 30, netIncome: -2, totalAssets: 110, currentAssets: 40, longTermDebt: 30, shares: 12, cfo: -3 };
+
+const strong = computeScorecard({ financials: [statement(2023, base), statement(2024, base), statement(2025, improved)] }, { marketCap: 200 });
+
+test('passes every Piotroski check for an improving company', () => {
+  assert.equal(strong.piotroski.score, 9);
+});
+
+test('passes no Piotroski check for a deteriorating company', () => {
+  const weak = computeScorecard({ financials: [statement(2024, base), statement(2025, worse)] }, { marketCap: 10 });
+  assert.equal(weak.piotroski.score, 0);
+});
+
+test('computes the Altman Z-score and its zone', () => {
+  const altman = computeScorecard({ financials: [statement(2025, { ...base, currentLiabilities: 20, retainedEarnings: 40, revenue: 150 })] }, { marketCap: 200 });
+  assert.equal(altman.altmanZ.value, 5.15);
+  assert.equal(altman.altmanZ.zone, 'safe');
+});
+
+test('skips the Altman Z-score for banks', () => {
+  const bank = computeScorecard({ financials: [statement(2025, base)] }, { marketCap: 200, industry: 'Banks' });
+  assert.equal(bank.altmanZ, null);
+});
+
+test('computes growth, coverage, conversion and margin trend', () => {
+  assert.equal(strong.revenueCagr.percent, 10);
+  assert.equal(strong.interestCoverage, 7);
+  assert.equal(strong.cashConversion, 150);
+  assert.equal(strong.marginTrend.direction, 'improving');
+});
+
+test('computes interest coverage from the net non-operating interest line', () => {
+  const { interest, ...withoutSupplemental } = improved;
+  const scorecard = computeScorecard({ financials: [statement(2025, { ...withoutSupplemental, netInterest: -interest })] });
+  assert.equal(scorecard.interestCoverage, 7);
+});
+
+test('computes free cash flow whatever the capex sign', () => {
+  assert.equal(strong.freeCashFlow, 9);
+  assert.equal(computeScorecard({ financials: [statement(2025, { ...base, capex: 3 })] }).freeCashFlow, 5);
+  assert.equal(computeScorecard({ financials: [statement(2025, { ...base, capex: undefined })] }).freeCashFlow, null);
+});
+
+test('has no scorecard without annual results', () => {
+  assert.equal(computeScorecard({ financials: [] }), null);
+});
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'stocks');
+fs.readdirSync(fixturesDir).filter(file => file.endsWith('.json')).forEach(file => {
+  test(`builds a scorecard for ${file}`, () => {
+    const stockData = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+    const scorecard = computeScorecard(stockData);
+
+    assert.equal(scorecard.piotroski.available, 9);
+    assert.ok(scorecard.altmanZ);
+    assert.ok(scorecard.revenueCagr);
+    assert.ok(scorecard.marginTrend);
+    // The snapshots carry no interest line, so coverage stays unknown
+    assert.equal(scorecard.interestCoverage, null);
+    assert.match(formatScorecardMessage(stockData.companyName, scorecard, 'english'), /N\/A/);
+  });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  computeBenchmark,
+  summarizeSector,
+  formatBenchmarkForPrompt,
+  formatSectorMessage,
+  readPeerMetrics,
+  median,
+  percentileRank,
+} = require('../src/sector-benchmarks');
+
+const peer = (symbol, industry, peRatio, roe, netMargin, operatingMargin) =>
+  ({ symbol, companyName: symbol, industry, peRatio, roe, netMargin, operatingMargin });
+
+const peers = [
+  peer('AAA', 'IT Services & Consulting', 20, 30, 18, 24),
+  peer('BBB', 'IT Services & Consulting', 25, 20, 15, 20),
+  peer('CCC', 'IT Services & Consulting', 30, 25, 12, 16),
+  peer('DDD', 'IT Services & Consulting', -12, -5, -4, 2),
+  peer('SFT', 'Software', 40, 15, 10, 12),
+  peer('BNK', 'Banks', 12, 14, 20, null),
+];
+const subject = peer('SUB', 'IT Services & Consulting', 22, 28, 16, 21);
+
+test('takes the median of odd and even counts', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(median([]), null);
+});
+
+test('counts ties as half in the percentile rank', () => {
+  assert.equal(percentileRank(2, [1, 2, 3, 4]), 38);
+});
+
+test('benchmarks a stock against its industry peers', () => {
+  const benchmark = computeBenchmark(subject, [...peers, subject]);
+
+  assert.equal(benchmark.peerCount, 4);
+  // DDD's negative P/E stays out of the median
+  assert.equal(benchmark.metrics.peRatio.median, 25);
+  assert.equal(benchmark.metrics.roe.median, 22.5);
+  assert.equal(benchmark.metrics.peRatio.percentile, 33);
+  assert.equal(benchmark.metrics.roe.percentile, 75);
+  assert.match(formatBenchmarkForPrompt(benchmark), /P\/E/);
+});
+
+test('has no benchmark with too few peers', () => {
+  assert.equal(computeBenchmark(peer('X', 'Banks', 10, 10, 10, 10), peers), null);
+});
+
+test('summarizes a sector by name or industry text', () => {
+  const sector = summarizeSector('it', peers);
+
+  assert.equal(sector.companyCount, 5);
+  assert.equal(sector.highestRoe[0].symbol, 'AAA');
+  assert.equal(sector.lowestPe[0].symbol, 'AAA');
+  assert.ok(formatSectorMessage('IT', sector, 'english').includes('AAA'));
+  assert.equal(summarizeSector('bank', peers).companyCount, 1);
+  assert.equal(summarizeSector('shipping', peers), null);
+});
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'stocks');
+fs.readdirSync(fixturesDir).filter(file => file.endsWith('.json')).forEach(file => {
+  test(`reads every peer metric from ${file}`, () => {
+    const metrics = readPeerMetrics(JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')));
+
+    assert.ok(metrics.industry);
+    ['peRatio', 'roe', 'netMargin', 'operatingMargin'].forEach(key => assert.notEqual(metrics[key], null, key));
+  });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The whole pipeline offline: fixture stock data and the stub LLM
+process.env.MARKET_DATA_PROVIDERS = 'fixture';
+process.env.LLM_PROVIDER = 'stub';
+delete process.env.ANALYSIS_MODE;
+
+const { analyzeStocks, llm, structuredAnalysisStats } = require('../src/stock-analysis');
+
+test('renders the analysis card for a fixture stock', async (t) => {
+  // Keep the pipeline's progress logs out of the test report
+  t.mock.method(console, 'log', () => {});
+
+  const card = await analyzeStocks('TCS', 'english');
+
+  assert.match(card, /^\*TATA CONSULTANCY SERVICES:\*/);
+  assert.match(card, /\*Price vs Earnings \(P\/E\):\* stub analysis text/);
+  assert.match(card, /\*Recommendation:\* 👉 \*HOLD\*/);
+  assert.ok(card.endsWith('⚠️ This is information only, not investment advice.'));
+
+  // The card came from the LLM, not the rule-based fallback
+  assert.equal(llm.getUsageStats().tasks.analysis.failures, 0);
+  assert.equal(structuredAnalysisStats.valid, 1);
+});
+
+test('renders the rule-based card in fast mode without the LLM', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = llm.getUsageStats().tasks.analysis.calls;
+
+  const card = await analyzeStocks('Reliance', 'english', { mode: 'rules' });
+
+  assert.match(card, /^\*RELIANCE INDUSTRIES:\*/);
+  assert.match(card, /\*Price vs Earnings \(P\/E\):\* P\/E 26\.8/);
+  assert.equal(llm.getUsageStats().tasks.analysis.calls, calls);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const UserManager = require('../src/user-manager');
+
+const PHONE = '919800000001';
+
+const trade = (symbol, quantity, price = 100) => ({ symbol, companyName: symbol, side: 'buy', quantity, price });
+
+test('portfolio imports', async (t) => {
+  // Keep the database logs (and the expected import errors) out of the test report
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-manager-'));
+  const userManager = new UserManager(path.join(dir, 'users.db'));
+  await userManager.initialize();
+
+  t.after(async () => {
+    await userManager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const symbols = async () => (await userManager.getPortfolioTransactions(PHONE)).map(row => `${row.symbol}:${row.source}`);
+
+  await t.test('replaces earlier transactions from the same source', async () => {
+    await userManager.importPortfolioTransactions(PHONE, [trade('TCS', 5), trade('INFY', 2)], { source: 'holdings', replaceSource: true });
+    const result = await userManager.importPortfolioTransactions(PHONE, [trade('HDFCBANK', 3)], { source: 'holdings', replaceSource: true });
+
+    assert.deepEqual(result, { inserted: 1, replaced: 2 });
+    assert.deepEqual(await symbols(), ['HDFCBANK:holdings']);
+  });
+
+  await t.test('rolls back the whole import when a row fails', async () => {
+    await assert.rejects(userManager.importPortfolioTransactions(PHONE, [trade('WIPRO', 1), trade(null, 1)], { source: 'holdings', replaceSource: true }));
+    assert.deepEqual(await symbols(), ['HDFCBANK:holdings']);
+  });
+
+  await t.test('keeps writes made during a failed import', async () => {
+    const failing = userManager.importPortfolioTransactions(PHONE, [trade('WIPRO', 1), trade(null, 1)], { source: 'holdings', replaceSource: true });
+    const chat = userManager.addPortfolioTransaction(PHONE, { ...trade('ITC', 10), source: 'chat' });
+
+    await assert.rejects(failing);
+    await chat;
+    assert.deepEqual((await symbols()).sort(), ['HDFCBANK:holdings', 'ITC:chat']);
+  });
+
+  await t.test('waits for a write lock held longer than a second', async () => {
+    const other = new sqlite3.Database(userManager.dbPath);
+    await new Promise((resolve, reject) => other.run('BEGIN IMMEDIATE TRANSACTION', err => (err ? reject(err) : resolve())));
+    setTimeout(() => other.run('COMMIT', () => other.close()), 1500);
+
+    await userManager.addPortfolioTransaction(PHONE, { ...trade('SBIN', 4), source: 'chat' });
+    assert.ok((await symbols()).includes('SBIN:chat'));
+  });
+
+  await t.test('refuses to import into an in-memory database', async () => {
+    const inMemory = new UserManager(':memory:');
+    await inMemory.initialize();
+    await assert.rejects(inMemory.importPortfolioTransactions(PHONE, [trade('TCS', 1)], { source: 'holdings' }), /database file/);
+    await inMemory.close();
+  });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { computeSignature, verifySignature } = require('../src/webhook-signature');
+
+const SECRET = 'local-test-secret';
+const rawBody = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'webhook', 'text-message.json'));
+const signature = computeSignature(rawBody, SECRET);
+
+test('accepts the signature of the raw body', () => {
+  assert.deepEqual(verifySignature(rawBody, signature, SECRET), { valid: true, reason: null });
+});
+
+test('accepts uppercase hex', () => {
+  const upper = `sha256=${signature.slice('sha256='.length).toUpperCase()}`;
+  assert.equal(verifySignature(rawBody, upper, SECRET).valid, true);
+});
+
+test('rejects a missing header', () => {
+  assert.deepEqual(verifySignature(rawBody, undefined, SECRET), { valid: false, reason: 'missing' });
+});
+
+test('rejects a malformed header', () => {
+  assert.deepEqual(verifySignature(rawBody, 'sha1=abc', SECRET), { valid: false, reason: 'malformed' });
+});
+
+test('rejects a signature made with another secret', () => {
+  assert.deepEqual(verifySignature(rawBody, computeSignature(rawBody, `${SECRET}-wrong`), SECRET), { valid: false, reason: 'mismatch' });
+});
+
+test('rejects a tampered body', () => {
+  const tampered = Buffer.from(rawBody.toString('utf8').replace('"TCS"', '"INFY"'));
+  assert.equal(verifySignature(tampered, signature, SECRET).reason, 'mismatch');
+});
+
+test('rejects a re-serialized body', () => {
+  const reserialized = JSON.stringify(JSON.parse(rawBody));
+  assert.equal(verifySignature(reserialized, signature, SECRET).reason, 'mismatch');
+});